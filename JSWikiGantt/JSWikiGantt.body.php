@@ -1,409 +1,600 @@
-<?php
-/**
-	Main JSWikiGantt extension class
-*/
-class ecJSGantt {
-	public $strSelfURLBase;                           //<! this extension base URL (virtual path)
-	public $strSelfDir;                               //<! this extension directory (physical path)
-	public $strJSi18nFile = 'jsgantt_i18n_%lang%.js'; //<! js lang file save path (cache)
-	                                                  //<! @note should be this extension based
-
-	private $strInlineOutputMarker;                   //<! marker for the inline output of scripts (=$wgJSGanttInlineOutputMarker)
-	private $isInline = false;                        //<! is in inline Gantt data mode (XML in article)
-	private $isExternal = false;                      //<! is in external Gantt data mode (XML on an external page)
-	private $isHeadDone = false;                      //<! if head is already added (might be important when more then one diagram per page would be possible)
-	private $strInlineOutput = '';                    //<! this holds parsed JS scripts to be put after tidy
-	private $config;                                  //<! copy of $wgJSGanttConfig
-	
-	/**
-		Basic setup
-	*/
-	public function __construct() {
-		global $wgParser, $wgHooks, $wgScriptPath, $wgParserOutputHooks, $wgLang
-			, $wgJSGanttConfig, $wgJSGanttInlineOutputMarker, $wgJSGanttDir;
-		
-		// hook <jsgantt> tag for this extension
-		$wgParser->setHook( 'jsgantt', array( $this, 'render' ) );
-		
-		// to decode script content after "Tidy"
-		$wgHooks['ParserAfterTidy'][] = array( $this, 'inlineOutput' );
-		// this is a hook to add CSS and JS
-		$wgParserOutputHooks['ecJSGantt'] = array( $this, 'outputHook' );
-		
-		// init variables/attributes
-		$this->config                = $wgJSGanttConfig;
-		$this->strInlineOutputMarker = $wgJSGanttInlineOutputMarker;
-		$this->strSelfURLBase        = "{$wgScriptPath}/extensions/JSWikiGantt";
-		$this->strSelfDir            = $wgJSGanttDir;
-		
-		$this->strJSi18nFile         = str_replace( '%lang%', $wgLang->getCode(), $this->strJSi18nFile );
-	}
-
-	/**
-		Parse <jsgantt> content and arguments
-		
-		@param $input - Input between the <jsgantt> and </jsgantt> tags, or null if the tag is "closed", i.e. <jsgantt />
-		@param $args - associative array of attrs of the tag (indexed by lower cased attribute name).
-		@param $parser - not needed
-		@param $frame - not needed
-	*/
-	public function render( $input, $args, $parser, $frame ) {
-		$strRendered = '';
-		
-		// load from some other article
-		if ( !empty( $args['loadxml'] ) && !empty( $this->config['ExternalXMLEnabled'] ) && !$this->isInline && !$this->isExternal ) {
-			$this->isExternal = true;
-			$strRendered = $this->renderXMLLoader( $input, $args, $parser, $frame );
-		// build from content
-		} elseif ( !$this->isInline && !$this->isExternal ) { // yes, currently only one per page
-			$this->isInline = true;
-			$strRendered = $this->renderInnerXML( $input, $args, $parser, $frame );
-		}
-
-		// add css and js
-		//$this->setupHeaders();
-		if ( !$this->isHeadDone ) {
-			$parser->mOutput->addOutputHook( 'ecJSGantt' );	// defined in the JSWikiGantt.php as wgParserOutputHooks
-			$this->isHeadDone = true;
-		}
-		
-		// ret renedered HTML
-		return $strRendered;
-	}
-	
-	/**
-		Render arguments to HTML element attributes.
-		
-		To conform with HTML5 `data-` prefixed attributes are produced.
-	*/
-	private static function argsToAttributes( $args ) {
-		$attrs = '';
-		foreach ( $args as $key => $value ) {
-			$attrs .= " data-{$key}='" . htmlspecialchars($value) . "'";
-		}
-		return $attrs;
-	}
-
-	/**
-		Render our tag for the purpouse of loading an external XML
-		
-		@sa ecJSGantt::render()
-	*/
-	private function renderXMLLoader( $input, $args, $parser, $frame ) {
-		//$out = $parser->recursiveTagParse( $input, $frame );
-		$out = $parser->replaceInternalLinks( $input, $frame );	// just parse links
-		return ''
-			.Html::linkedScript( $this->getCSSJSLink( "jsgantt_loader.js" ) )
-			.'<div id="GanttChartDIV" '.self::argsToAttributes( $args ).'>'
-				.$out
-			.'</div>'
-		;
-	}
-
-	/**
-		Escapes XML string from user for JS
-	*/
-	private function escapeXMLString4JS( $value ) {
-		// quite simple for now - might want to allow html inside tags...
-		return htmlspecialchars( $value );
-	}
-	
-	/**
-		Gets integer value from the task item
-		
-		@todo get content of the tag given by valName or an attribute with the same name
-	*/
-	private function getXMLIntVal( $task, $valName, $defaultVal ) {
-		$val = '';
-		wfSuppressWarnings();
-		$val = $task->getElementsByTagName( $valName )->item( 0 )->nodeValue;
-		wfRestoreWarnings();
-		if( strlen( $val ) <= 0 ) {
-			return intval( $defaultVal );
-		}
-		return intval( $val );
-	}
-	/**
-		Gets string value from the task item
-		
-		@todo get content of the tag given by valName or an attribute with the same name
-	*/
-	private function getXMLStrVal( $task, $valName, $defaultVal ) {
-		// quite simple for now - might want to allow html inside tags...
-		wfSuppressWarnings();
-		$val = $this->escapeXMLString4JS( $task->getElementsByTagName( $valName )->item( 0 )->nodeValue );
-		wfRestoreWarnings();
-		if( empty( $val ) ) {
-			return $defaultVal;
-		}
-		return $val;
-	}
-
-	/**
-		Render contents of our tag to display the diagram more directly
-
-		@sa ecJSGantt::render()
-	*/
-	private function renderInnerXML( $input, $args, $parser, $frame ) {
-		$doc = new DOMDocument();
-		/**
-		// DEBUG
-		echo "<pre style='position:absolute; top:2em; right:0; width:200px; overflow:scroll; z-index:100' onclick='this.style.display=\"none\"'>"
-			.htmlspecialchars( var_export( $args, true ) )
-			.htmlspecialchars( $input )
-		."</pre>"
-		;
-		/**/
-		// get task elements
-		wfSuppressWarnings();
-		$doc->loadXML( '<root>'.$input.'</root>' );
-		$tasks = $doc->documentElement->getElementsByTagName( "task" );
-		wfRestoreWarnings();
-		
-		if ( $tasks->length==0 ) {
-			// TODO error message
-			return '';
-		}
-		
-		// should we add links to details of tasks?
-		$isAddAutoLinks = !isset( $args['autolink'] ) ? '' : $args['autolink'];
-		$isAddAutoLinks = strlen( $isAddAutoLinks ) ? intval( $isAddAutoLinks ) : $this->config['AutoLinks'];
-		
-		// prepare script contents
-		$strScript = '';
-		for ( $i = 0; $i < $tasks->length; $i++ ) {
-			// The ID is required!
-			wfSuppressWarnings();
-			$pID = intval( $tasks->item( $i )->getElementsByTagName( "pID" )->item( 0 )->nodeValue );
-			wfRestoreWarnings();
-			if( empty( $pID ) ) {
-				//! @todo some error message here?
-				continue;
-			}
-			
-			// check if auto link should be added
-			wfSuppressWarnings();
-			$isAddAutoLink = $tasks->item( $i )->getAttribute( 'autolink' );
-			wfRestoreWarnings();
-			if ( $isAddAutoLink=='' ) {
-				$isAddAutoLink = $isAddAutoLinks;
-			} else {
-				$isAddAutoLink = !empty( $isAddAutoLink ) ? true : false;
-			}
-			
-			// other values
-			$pName    = $this->getXMLStrVal( $tasks->item( $i ), "pName"   , "No Task Name" );	//! @todo Allow HTML/Wiki here?
-			$pColor   = $this->getXMLStrVal( $tasks->item( $i ), "pColor"  , "0000ff" );
-			$pParent  = $this->getXMLIntVal( $tasks->item( $i ), "pParent" , 0 );
-			$pStart   = $this->getXMLStrVal( $tasks->item( $i ), "pStart"  , "" );
-			$pEnd     = $this->getXMLStrVal( $tasks->item( $i ), "pEnd"    , "" );
-			$pLink    = $this->getXMLStrVal( $tasks->item( $i ), "pLink"   , "" );
-			$pMile    = $this->getXMLIntVal( $tasks->item( $i ), "pMile"   , 0 );
-			$pRes     = $this->getXMLStrVal( $tasks->item( $i ), "pRes"    , "" );		// resource
-			$pComp    = $this->getXMLIntVal( $tasks->item( $i ), "pComp"   , 0 );
-			$pGroup   = $this->getXMLIntVal( $tasks->item( $i ), "pGroup"  , 0 );
-			$pOpen    = $this->getXMLIntVal( $tasks->item( $i ), "pOpen"   , 1 );
-			$pDepend  = $this->getXMLStrVal( $tasks->item( $i ), "pDepend" , '' );
-			$pCaption = $this->getXMLStrVal( $tasks->item( $i ), "pCaption", '' );
-			
-			// Add auto link
-			if ( $isAddAutoLink && empty( $pLink ) ) {
-				$pLink = str_replace( '%GANTT_TASK_ID%', $pID, $this->config['TasksAutoLink'] );
-			}
-			
-			// Finally add the task
-            $pName = str_replace("'", "\\'", $pName);
-            $pRes = str_replace("'", "\\'", $pRes);
-			$strScript .= "\noJSGant.AddTaskItem(new JSGantt.TaskItem("
-				."{$pID}, '{$pName}', "
-				."'{$pStart}', '{$pEnd}', "
-				."'{$pColor}', "
-				."'{$pLink}', "
-				."{$pMile}, "
-				."'{$pRes}', "
-				."{$pComp}, "
-				."{$pGroup}, "
-				."{$pParent}, "
-				."{$pOpen}, "
-				."'{$pDepend}', "
-				."'{$pCaption}'"
-			    ."))";
-		}
-		
-		// prepare script header
-		if ( !empty( $strScript ) ) {
-			$strScript = ''
-				."<script>"
-			//		."\n".$this->getJSi18nMsgs()
-					."\noJSGantInline.init()"
-					."\n$strScript"
-					."\noJSGantInline.draw();"
-				."\n</script>"
-			;
-			
-			$this->strInlineOutput = $strScript;
-			return ''
-				.Html::linkedScript( $this->getCSSJSLink( "jsgantt_inline.js" ) )
-				.'<div id="GanttChartInline" '.self::argsToAttributes( $args ).'></div>'
-				//.$strScript
-				.$this->strInlineOutputMarker;
-			;
-		// nothing to output
-		} else {
-			return '';
-		}
-	}
-
-	/**
-		Gets "link" (URL path) for the given extension's script
-	*/
-	private function getJSi18nMsgs() {
-		return "
-		/* gantt core */
-		JSGantt.lang['format-label']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-label' ) )."';
-		JSGantt.lang['format-quarter']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-quarter' ) )."';
-		JSGantt.lang['format-month']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-month' ) )."';
-		JSGantt.lang['format-week']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-week' ) )."';
-		JSGantt.lang['format-day']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-day' ) )."';
-		JSGantt.lang['format-hour']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-hour' ) )."';
-		JSGantt.lang['format-minute']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-minute' ) )."';
-		JSGantt.lang['header-res']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-res' ) )."';
-		JSGantt.lang['header-dur']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-dur' ) )."';
-		JSGantt.lang['header-comp']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-comp' ) )."';
-		JSGantt.lang['header-startdate']  = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-startdate' ) )."';
-		JSGantt.lang['header-enddate']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-enddate' ) )."';
-		/* gantt inline/loader */
-		JSGantt.lang['no-xml-link-error'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-no-xml-link-error' ) )."';
-		JSGantt.lang['unexpected-error']  = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-unexpected-error' ) )."';
-		JSGantt.lang['xml-parse-error']   = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-xml-parse-error' ) )."';
-		JSGantt.lang['quarter-short']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-quarter-short' ) )."';
-		/* date-functions */
-		Date.monthNames =
-		   ['".Xml::escapeJsString( wfMsgNoTrans( 'january' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'february' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'march' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'april' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'may_long' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'june' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'july' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'august' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'september' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'october' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'november' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'december' ) )."'];
-		Date.monthShortNames =
-		   ['".Xml::escapeJsString( wfMsgNoTrans( 'jan' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'feb' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'mar' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'apr' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'may' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'jun' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'jul' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'aug' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'sep' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'oct' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'nov' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'dec' ) )."'];
-		Date.dayNames =
-		   ['".Xml::escapeJsString( wfMsgNoTrans( 'sunday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'monday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'tuesday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'wednesday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'thursday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'friday' ) )."',
-			'".Xml::escapeJsString( wfMsgNoTrans( 'saturday' ) )."'];
-		";
-	}
-
-	/**
-		Create JS i18n file
-		
-		Generates the i18n file for JS and returns it's name.
-		If the file is ready it checks if there is need to refresh it.
-		
-		@note blindly assuming that JSWikiGantt.i18n.php will change more often then other i18n files
-	*/
-	private function createJSi18nFile() {
-		$strOutputPath = "{$this->strSelfDir}/{$this->strJSi18nFile}";
-		$strSrcPath = "{$this->strSelfDir}/JSWikiGantt.i18n.php";
-		
-		// check if we need to change anything
-		$isChanged = $this->isSrcChanged( $strSrcPath, $strOutputPath );
-		
-		// generate & create file
-		if ( $isChanged ) {
-			$hFile = fopen ( $strOutputPath, 'w' );
-			fwrite ( $hFile, $this->getJSi18nMsgs() );
-			fclose ( $hFile );
-		}
-		
-		return $this->getCSSJSLink( $this->strJSi18nFile );
-	}
-
-	/**
-		Checks if a source file were changed after dest path
-	*/
-	private function isSrcChanged( $strSrcPath, $strDestPath ) {
-		if ( !file_exists( $strDestPath ) ) {
-			return true;
-		}
-		
-		$intMaxTime = filemtime( $strSrcPath );
-		$intFileTime = filemtime( $strDestPath );
-		
-		return ( $intFileTime < $intMaxTime );
-	}
-
-	/**
-		Gets "link" (URL path) for the given extension's script
-	*/
-	private function getCSSJSLink( $strFileName ) {
-		global $wgJSGanttScriptVersion;
-		
-		return "{$this->strSelfURLBase}/{$strFileName}?{$wgJSGanttScriptVersion}";
-	}
-
-	/**
-		"Decode" script content after "Tidy"...
-	*/
-	public function inlineOutput( $parser, &$text ) {
-		$text = str_replace( $this->strInlineOutputMarker, $this->strInlineOutput, $text );
-		return true;
-	}
-
-	/**
-		Setup our additional styles and scripts
-	*/
-	private function setupHeaders( $outputPage ) {
-		if ( $outputPage->hasHeadItem( 'jsganttCSS' ) && $outputPage->hasHeadItem( 'jsganttJS' )
-			&& $outputPage->hasHeadItem( 'jsganttDateJS' ) )
-		{
-			return;
-		}
-		
-		//echo "test:".$this->getCSSJSLink( "test.js" );
-		
-		$outputPage->addHeadItem( 'jsganttCSS'   , Html::linkedStyle( $this->getCSSJSLink( "jsgantt.css" ) ) );
-		$outputPage->addHeadItem( 'jsganttJS'    , Html::linkedScript( $this->getCSSJSLink( "jsgantt.js" ) ) );
-		$outputPage->addHeadItem( 'jsganttDateJS', Html::linkedScript( $this->getCSSJSLink( "date-functions.js" ) ) );
-
-		// generate i18n messages and append
-		$outputPage->addHeadItem( 'jsganttLangJS', Html::linkedScript( $this->createJSi18nFile() ) );
-		
-		/*
-		// Only works out of cache => has to be moved to the output
-		if ( $this->isInline ) {
-			$outputPage->addHeadItem('jsganttInlineJS' , Html::linkedScript( "{$thisExtPath}/jsgantt_inline.js?$wgJSGanttScriptVersion" ) );
-		} elseif ( $this->isExternal && !empty( $wgJSGanttConfig['ExternalXMLEnabled'] ) ) {
-			$outputPage->addHeadItem('jsganttLoaderJS' , Html::linkedScript( "{$thisExtPath}/jsgantt_loader.js?$wgJSGanttScriptVersion" ) );
-		}
-		*/
-	}
-
-	/**
-		Output Hook to setup extra headers
-	*/
-	public function outputHook( $outputPage, $parserOutput, $data ) {
-		$this->setupHeaders( $outputPage );
-	}
+<?php
+/**
+	Main JSWikiGantt extension class
+*/
+class ecJSGantt {
+	public $strSelfURLBase;                           //<! this extension base URL (virtual path)
+	public $strSelfDir;                               //<! this extension directory (physical path)
+	public $strJSi18nFile = 'jsgantt_i18n_%lang%.js'; //<! js lang file save path (cache)
+	                                                  //<! @note should be this extension based
+
+	private $strInlineOutputMarker;                   //<! marker for the inline output of scripts (=$wgJSGanttInlineOutputMarker)
+	private $intChartsCount = 0;                      //<! number of diagrams rendered so far (used for unique element ids)
+	private $isInlineScriptDone = false;              //<! if jsgantt_inline.js is already linked
+	private $isLoaderScriptDone = false;              //<! if jsgantt_loader.js is already linked
+	private $isHeadDone = false;                      //<! if head is already added
+	private $arrInlineOutput = array();               //<! this holds parsed JS scripts to be put after tidy (marker => script)
+	private $config;                                  //<! copy of $wgJSGanttConfig
+	
+	/**
+		Basic setup
+	*/
+	public function __construct() {
+		global $wgParser, $wgHooks, $wgScriptPath, $wgParserOutputHooks, $wgLang
+			, $wgJSGanttConfig, $wgJSGanttInlineOutputMarker, $wgJSGanttDir;
+		
+		// hook <jsgantt> tag for this extension
+		$wgParser->setHook( 'jsgantt', array( $this, 'render' ) );
+		
+		// to decode script content after "Tidy"
+		$wgHooks['ParserAfterTidy'][] = array( $this, 'inlineOutput' );
+		// this is a hook to add CSS and JS
+		$wgParserOutputHooks['ecJSGantt'] = array( $this, 'outputHook' );
+		
+		// init variables/attributes
+		$this->config                = $wgJSGanttConfig;
+		$this->strInlineOutputMarker = $wgJSGanttInlineOutputMarker;
+		$this->strSelfURLBase        = "{$wgScriptPath}/extensions/JSWikiGantt";
+		$this->strSelfDir            = $wgJSGanttDir;
+		
+		$this->strJSi18nFile         = str_replace( '%lang%', $wgLang->getCode(), $this->strJSi18nFile );
+	}
+
+	/**
+		Parse <jsgantt> content and arguments
+		
+		@param $input - Input between the <jsgantt> and </jsgantt> tags, or null if the tag is "closed", i.e. <jsgantt />
+		@param $args - associative array of attrs of the tag (indexed by lower cased attribute name).
+		@param $parser - not needed
+		@param $frame - not needed
+	*/
+	public function render( $input, $args, $parser, $frame ) {
+		$strRendered = '';
+		$this->intChartsCount++;
+		
+		// load from some other article
+		if ( !empty( $args['loadxml'] ) && !empty( $this->config['ExternalXMLEnabled'] ) ) {
+			$strRendered = $this->renderXMLLoader( $input, $args, $parser, $frame );
+		// build from JSON content
+		} elseif ( isset( $args['format'] ) && strtolower( $args['format'] ) == 'json' ) {
+			$strRendered = $this->renderInnerJSON( $input, $args, $parser, $frame );
+		// build from content
+		} else {
+			$strRendered = $this->renderInnerXML( $input, $args, $parser, $frame );
+		}
+
+		// add css and js
+		//$this->setupHeaders();
+		if ( !$this->isHeadDone ) {
+			$parser->mOutput->addOutputHook( 'ecJSGantt' );	// defined in the JSWikiGantt.php as wgParserOutputHooks
+			$this->isHeadDone = true;
+		}
+		
+		// ret renedered HTML
+		return $strRendered;
+	}
+	
+	/**
+		Render arguments to HTML element attributes.
+		
+		To conform with HTML5 `data-` prefixed attributes are produced.
+	*/
+	private static function argsToAttributes( $args ) {
+		$attrs = '';
+		foreach ( $args as $key => $value ) {
+			$attrs .= " data-{$key}='" . htmlspecialchars($value) . "'";
+		}
+		return $attrs;
+	}
+
+	/**
+		Render our tag for the purpouse of loading an external XML
+		
+		@sa ecJSGantt::render()
+	*/
+	private function renderXMLLoader( $input, $args, $parser, $frame ) {
+		//$out = $parser->recursiveTagParse( $input, $frame );
+		$out = $parser->replaceInternalLinks( $input, $frame );	// just parse links
+		$strScript = '';
+		if ( !$this->isLoaderScriptDone ) {
+			$this->isLoaderScriptDone = true;
+			$strScript = Html::linkedScript( $this->getCSSJSLink( "jsgantt_loader.js" ) );
+		}
+		return ''
+			.$strScript
+			.'<div id="'.$this->getChartElementId( 'GanttChartDIV' ).'" class="GanttChartDIV" '.self::argsToAttributes( $args ).'>'
+				.$out
+			.'</div>'
+		;
+	}
+
+	/**
+		Render error message (in place of the diagram)
+	*/
+	private function renderError( $strMsg ) {
+		return '<p class="gantt_error">'.htmlspecialchars( $strMsg ).'</p>';
+	}
+
+	/**
+		Gets id of the element for the current diagram
+		
+		Each diagram gets its own id (and so its own namespace for ids of other elements).
+	*/
+	private function getChartElementId( $strPrefix ) {
+		return "{$strPrefix}_{$this->intChartsCount}";
+	}
+
+	/**
+		Escapes XML string from user for JS
+	*/
+	private function escapeXMLString4JS( $value ) {
+		// quite simple for now - might want to allow html inside tags...
+		return htmlspecialchars( $value );
+	}
+	
+	/**
+		Gets raw value from the task item (empty string if not given)
+		
+		The value is content of the tag given by valName (e.g. <pStart>) or an attribute named without "p"
+		(e.g. start="...") or with the same name (pStart="..."). Tags go first; attribute names are not case sensitive.
+	*/
+	private function getXMLVal( $task, $valName ) {
+		$node = $task->getElementsByTagName( $valName )->item( 0 );
+		if ( !empty( $node ) ) {
+			return $node->nodeValue;
+		}
+		$attrNames = array( strtolower( preg_replace( '/^p/', '', $valName ) ), strtolower( $valName ) );
+		foreach ( $task->attributes as $attr ) {
+			if ( in_array( strtolower( $attr->name ), $attrNames ) ) {
+				return $attr->value;
+			}
+		}
+		return '';
+	}
+	/**
+		Gets integer value from the task item
+		
+		@sa getXMLVal()
+	*/
+	private function getXMLIntVal( $task, $valName, $defaultVal ) {
+		$val = trim( $this->getXMLVal( $task, $valName ) );
+		if( strlen( $val ) <= 0 ) {
+			return intval( $defaultVal );
+		}
+		return intval( $val );
+	}
+	/**
+		Gets string value from the task item
+		
+		@sa getXMLVal()
+	*/
+	private function getXMLStrVal( $task, $valName, $defaultVal ) {
+		// quite simple for now - might want to allow html inside tags...
+		$val = $this->escapeXMLString4JS( $this->getXMLVal( $task, $valName ) );
+		if( empty( $val ) ) {
+			return $defaultVal;
+		}
+		return $val;
+	}
+
+	/**
+		Render contents of our tag to display the diagram more directly
+
+		@sa ecJSGantt::render()
+	*/
+	private function renderInnerXML( $input, $args, $parser, $frame ) {
+		$doc = new DOMDocument();
+		/**
+		// DEBUG
+		echo "<pre style='position:absolute; top:2em; right:0; width:200px; overflow:scroll; z-index:100' onclick='this.style.display=\"none\"'>"
+			.htmlspecialchars( var_export( $args, true ) )
+			.htmlspecialchars( $input )
+		."</pre>"
+		;
+		/**/
+		// get task elements
+		$isInternalErrors = libxml_use_internal_errors( true );
+		$isLoaded = $doc->loadXML( '<root>'.$input.'</root>' );
+		$xmlErrors = libxml_get_errors();
+		libxml_clear_errors();
+		libxml_use_internal_errors( $isInternalErrors );
+		if ( !$isLoaded ) {
+			$xmlError = empty( $xmlErrors ) ? null : $xmlErrors[0];
+			return $this->renderError( wfMsgNoTrans( 'jswikigantt-inline-parse-error',
+				empty( $xmlError ) ? '?' : $xmlError->line,
+				empty( $xmlError ) ? '' : trim( $xmlError->message ) ) );
+		}
+		$tasks = $doc->documentElement->getElementsByTagName( "task" );
+		$calendars = $doc->documentElement->getElementsByTagName( "calendar" );
+		
+		if ( $tasks->length==0 ) {
+			return $this->renderError( wfMsgNoTrans( 'jswikigantt-no-tasks-error' ) );
+		}
+		
+		// should we add links to details of tasks?
+		$isAddAutoLinks = !isset( $args['autolink'] ) ? '' : $args['autolink'];
+		$isAddAutoLinks = strlen( $isAddAutoLinks ) ? intval( $isAddAutoLinks ) : $this->config['AutoLinks'];
+		
+		// prepare script contents
+		$strScript = '';
+		$intTasksCount = 0;
+		for ( $i = 0; $i < $tasks->length; $i++ ) {
+			// The ID is required!
+			$pID = $this->getXMLIntVal( $tasks->item( $i ), "pID", 0 );
+			if( empty( $pID ) ) {
+				// listed with other problems above the chart
+				$strScript .= "\noChart.addError(JSGantt.lang['error-no-id'], '#".( $i + 1 )."');";
+				continue;
+			}
+			$intTasksCount++;
+			
+			// check if auto link should be added
+			wfSuppressWarnings();
+			$isAddAutoLink = $tasks->item( $i )->getAttribute( 'autolink' );
+			wfRestoreWarnings();
+			if ( $isAddAutoLink=='' ) {
+				$isAddAutoLink = $isAddAutoLinks;
+			} else {
+				$isAddAutoLink = !empty( $isAddAutoLink ) ? true : false;
+			}
+			
+			// other values
+			$pName    = $this->getXMLStrVal( $tasks->item( $i ), "pName"   , "No Task Name" );	//! @todo Allow HTML/Wiki here?
+			$pColor   = $this->getXMLStrVal( $tasks->item( $i ), "pColor"  , "0000ff" );
+			if ( !preg_match( '/^([0-9a-f]{3}|[0-9a-f]{6})$/i', $pColor ) ) {
+				$pColor = "0000ff";	// only hex colors (as in JSGantt.getValidColor)
+			}
+			$pParent  = $this->getXMLIntVal( $tasks->item( $i ), "pParent" , 0 );
+			$pStart   = $this->getXMLStrVal( $tasks->item( $i ), "pStart"  , "" );
+			$pEnd     = $this->getXMLStrVal( $tasks->item( $i ), "pEnd"    , "" );
+			$pLink    = $this->getXMLStrVal( $tasks->item( $i ), "pLink"   , "" );
+			$pMile    = $this->getXMLIntVal( $tasks->item( $i ), "pMile"   , 0 );
+			$pRes     = $this->getXMLStrVal( $tasks->item( $i ), "pRes"    , "" );		// resource
+			$pComp    = $this->getXMLIntVal( $tasks->item( $i ), "pComp"   , 0 );
+			$pGroup   = $this->getXMLIntVal( $tasks->item( $i ), "pGroup"  , 0 );
+			$pOpen    = $this->getXMLIntVal( $tasks->item( $i ), "pOpen"   , 1 );
+			$pDepend  = $this->getXMLStrVal( $tasks->item( $i ), "pDepend" , '' );
+			$pCaption = $this->getXMLStrVal( $tasks->item( $i ), "pCaption", '' );
+			$pBaseStart = Xml::escapeJsString( $this->getXMLStrVal( $tasks->item( $i ), "pBaseStart", '' ) );	// baseline (planned) dates
+			$pBaseEnd   = Xml::escapeJsString( $this->getXMLStrVal( $tasks->item( $i ), "pBaseEnd"  , '' ) );
+			$pNotes   = Xml::escapeJsString( $this->getXMLStrVal( $tasks->item( $i ), "pNotes", '' ) );	// can be multiline
+			$pWeight  = Xml::escapeJsString( $this->getXMLStrVal( $tasks->item( $i ), "pWeight", '' ) );	// weight in % complete of the group
+			$pDur     = Xml::escapeJsString( $this->getXMLStrVal( $tasks->item( $i ), "pDur", '' ) );	// working days (missing start or end is derived)
+			
+			// Add auto link
+			if ( $isAddAutoLink && empty( $pLink ) ) {
+				$pLink = str_replace( '%GANTT_TASK_ID%', $pID, $this->config['TasksAutoLink'] );
+			}
+			
+			// Finally add the task
+            $pName = str_replace("'", "\\'", $pName);
+            $pRes = str_replace("'", "\\'", $pRes);
+			$strScript .= "\noChart.AddTaskItem(new JSGantt.TaskItem("
+				."{$pID}, '{$pName}', "
+				."'{$pStart}', '{$pEnd}', "
+				."'{$pColor}', "
+				."'{$pLink}', "
+				."{$pMile}, "
+				."'{$pRes}', "
+				."{$pComp}, "
+				."{$pGroup}, "
+				."{$pParent}, "
+				."{$pOpen}, "
+				."'{$pDepend}', "
+				."'{$pCaption}', "
+				."oChart, "
+				."'{$pBaseStart}', '{$pBaseEnd}', "
+				."'{$pNotes}', "
+				."'{$pWeight}', "
+				."'{$pDur}'"
+			    ."))";
+		}
+		
+		if ( $intTasksCount==0 ) {
+			return $this->renderError( wfMsgNoTrans( 'jswikigantt-no-tasks-error' ) );
+		}
+		
+		// working calendar (parsed by JS)
+		if ( !empty( $strScript ) && $calendars->length > 0 ) {
+			$strCalendar = Xml::escapeJsString( $doc->saveXML( $calendars->item( 0 ) ) );
+			$strScript = "\noChart.setCalendar(JSGantt.Calendar.fromXMLString('{$strCalendar}', oChart.getDateInputFormat()));"
+				.$strScript;
+		}
+		
+		return $this->renderInlineScript( $strScript, $args );
+	}
+
+	/**
+		Render JSON contents of our tag (format="json")
+
+		Tasks and options are added by JS (see JSGantt.parseJSONString). Errors in JSON are also shown by JS (with a line number).
+
+		@sa ecJSGantt::render()
+	*/
+	private function renderInnerJSON( $input, $args, $parser, $frame ) {
+		$strJSON = trim( $input );
+		if ( !strlen( $strJSON ) ) {
+			return $this->renderError( wfMsgNoTrans( 'jswikigantt-no-tasks-error' ) );
+		}
+
+		// should we add links to details of tasks?
+		$isAddAutoLinks = !isset( $args['autolink'] ) ? '' : $args['autolink'];
+		$isAddAutoLinks = strlen( $isAddAutoLinks ) ? intval( $isAddAutoLinks ) : $this->config['AutoLinks'];
+
+		// add auto links (data that is not valid is left as is)
+		$data = json_decode( $strJSON, true );
+		if ( is_array( $data ) ) {
+			$isTasksList = empty( $data ) || array_keys( $data ) === range( 0, count( $data ) - 1 );
+			$tasks = $isTasksList ? $data : ( isset( $data['tasks'] ) && is_array( $data['tasks'] ) ? $data['tasks'] : array() );
+			foreach ( $tasks as $i => $task ) {
+				if ( !is_array( $task ) ) {
+					continue;
+				}
+				// field names are not case-sensitive (as in JSGantt.AddJSONTask)
+				$fields = array_change_key_case( $task, CASE_LOWER );
+				if ( empty( $fields['pid'] ) ) {
+					continue;
+				}
+				$isAddAutoLink = !isset( $fields['autolink'] ) ? $isAddAutoLinks : !empty( $fields['autolink'] );
+				if ( $isAddAutoLink && empty( $fields['plink'] ) ) {
+					// remove an empty link given in any case so that only the auto link is left
+					foreach ( array_keys( $task ) as $key ) {
+						if ( strtolower( $key ) == 'plink' ) {
+							unset( $tasks[$i][$key] );
+						}
+					}
+					$tasks[$i]['pLink'] = str_replace( '%GANTT_TASK_ID%', intval( $fields['pid'] ), $this->config['TasksAutoLink'] );
+				}
+			}
+			if ( $isTasksList ) {
+				$data = $tasks;
+			} elseif ( isset( $data['tasks'] ) ) {
+				$data['tasks'] = $tasks;
+			}
+			$strJSON = json_encode( $data );
+		}
+
+		$strJSON = Xml::escapeJsString( $strJSON );
+		return $this->renderInlineScript( "\nif ( !oJSGantInline.addJSON(oChart, '{$strJSON}') ) { return; }", $args );
+	}
+
+	/**
+		Render the diagram element and the script adding tasks to the chart (run after the page is loaded)
+
+		@param $strScript - JS code adding tasks to `oChart`
+	*/
+	private function renderInlineScript( $strScript, $args ) {
+		// prepare script header
+		if ( !empty( $strScript ) ) {
+			$strElementId = $this->getChartElementId( 'GanttChartInline' );
+			$strScript = ''
+				."<script>"
+			//		."\n".$this->getJSi18nMsgs()
+				."\n(function(){"
+					."\nvar oChart = oJSGantInline.init('{$strElementId}');"
+					."\n$strScript"
+					."\noJSGantInline.draw(oChart);"
+				."\n})();"
+				."\n</script>"
+			;
+			
+			// each diagram has its own marker
+			$strMarker = str_replace( '-->', "#{$this->intChartsCount}-->", $this->strInlineOutputMarker );
+			$this->arrInlineOutput[$strMarker] = $strScript;
+			$strInlineScript = '';
+			if ( !$this->isInlineScriptDone ) {
+				$this->isInlineScriptDone = true;
+				$strInlineScript = Html::linkedScript( $this->getCSSJSLink( "jsgantt_inline.js" ) );
+			}
+			return ''
+				.$strInlineScript
+				.'<div id="'.$strElementId.'" '.self::argsToAttributes( $args ).'></div>'
+				//.$strScript
+				.$strMarker;
+			;
+		// nothing to output
+		} else {
+			return '';
+		}
+	}
+
+	/**
+		Gets "link" (URL path) for the given extension's script
+	*/
+	private function getJSi18nMsgs() {
+		return "
+		/* gantt core */
+		JSGantt.lang['format-label']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-label' ) )."';
+		JSGantt.lang['format-quarter']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-quarter' ) )."';
+		JSGantt.lang['format-month']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-month' ) )."';
+		JSGantt.lang['format-week']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-week' ) )."';
+		JSGantt.lang['format-day']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-day' ) )."';
+		JSGantt.lang['format-hour']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-hour' ) )."';
+		JSGantt.lang['format-minute']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-format-minute' ) )."';
+		JSGantt.lang['zoom-label']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-zoom-label' ) )."';
+		JSGantt.lang['nav-prev']          = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-nav-prev' ) )."';
+		JSGantt.lang['nav-today']         = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-nav-today' ) )."';
+		JSGantt.lang['nav-next']          = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-nav-next' ) )."';
+		JSGantt.lang['nav-fit']           = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-nav-fit' ) )."';
+		JSGantt.lang['header-res']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-res' ) )."';
+		JSGantt.lang['header-dur']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-dur' ) )."';
+		JSGantt.lang['header-comp']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-comp' ) )."';
+		JSGantt.lang['header-startdate']  = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-startdate' ) )."';
+		JSGantt.lang['header-enddate']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-enddate' ) )."';
+		JSGantt.lang['header-variance']   = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-variance' ) )."';
+		JSGantt.lang['header-float']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-header-float' ) )."';
+		JSGantt.lang['status-date']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-status-date' ) )."';
+		JSGantt.lang['status-overdue']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-status-overdue' ) )."';
+		JSGantt.lang['status-behind']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-status-behind' ) )."';
+		JSGantt.lang['field-id']          = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-id' ) )."';
+		JSGantt.lang['field-name']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-name' ) )."';
+		JSGantt.lang['field-type']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-type' ) )."';
+		JSGantt.lang['type-task']         = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-type-task' ) )."';
+		JSGantt.lang['type-group']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-type-group' ) )."';
+		JSGantt.lang['type-mile']         = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-type-mile' ) )."';
+		JSGantt.lang['field-parent']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-parent' ) )."';
+		JSGantt.lang['field-depend']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-depend' ) )."';
+		JSGantt.lang['field-caption']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-caption' ) )."';
+		JSGantt.lang['field-color']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-color' ) )."';
+		JSGantt.lang['field-baseline']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-baseline' ) )."';
+		JSGantt.lang['field-status']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-status' ) )."';
+		JSGantt.lang['field-link']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-link' ) )."';
+		JSGantt.lang['field-notes']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-notes' ) )."';
+		JSGantt.lang['field-weight']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-weight' ) )."';
+		JSGantt.lang['field-errors']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-field-errors' ) )."';
+		JSGantt.lang['details-edit']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-details-edit' ) )."';
+		JSGantt.lang['details-close']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-details-close' ) )."';
+		/* gantt inline/loader */
+		JSGantt.lang['no-xml-link-error'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-no-xml-link-error' ) )."';
+		JSGantt.lang['unexpected-error']  = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-unexpected-error' ) )."';
+		JSGantt.lang['xml-parse-error']   = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-xml-parse-error' ) )."';
+		JSGantt.lang['json-parse-error']  = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-json-parse-error' ) )."';
+		JSGantt.lang['xml-load-error']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-xml-load-error' ) )."';
+		JSGantt.lang['calendar-load-error'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-calendar-load-error' ) )."';
+		JSGantt.lang['xml-error-task']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-xml-error-task' ) )."';
+		JSGantt.lang['xml-error-line']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-xml-error-line' ) )."';
+		JSGantt.lang['loading']           = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-loading' ) )."';
+		JSGantt.lang['errors-title']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-errors-title' ) )."';
+		JSGantt.lang['error-task']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-task' ) )."';
+		JSGantt.lang['error-no-id']       = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-no-id' ) )."';
+		JSGantt.lang['error-duplicate-id'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-duplicate-id' ) )."';
+		JSGantt.lang['error-parent']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-parent' ) )."';
+		JSGantt.lang['error-parent-group'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-parent-group' ) )."';
+		JSGantt.lang['error-parent-cycle'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-parent-cycle' ) )."';
+		JSGantt.lang['error-depend']      = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-depend' ) )."';
+		JSGantt.lang['error-depend-cycle'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-depend-cycle' ) )."';
+		JSGantt.lang['error-end-before-start'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-end-before-start' ) )."';
+		JSGantt.lang['error-date']        = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-date' ) )."';
+		JSGantt.lang['error-date-missing'] = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-error-date-missing' ) )."';
+		JSGantt.lang['no-tasks-error']    = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-no-tasks-error' ) )."';
+		JSGantt.lang['quarter-short']     = '".Xml::escapeJsString( wfMsgNoTrans( 'jswikigantt-quarter-short' ) )."';
+		/* date-functions */
+		Date.monthNames =
+		   ['".Xml::escapeJsString( wfMsgNoTrans( 'january' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'february' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'march' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'april' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'may_long' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'june' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'july' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'august' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'september' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'october' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'november' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'december' ) )."'];
+		Date.monthShortNames =
+		   ['".Xml::escapeJsString( wfMsgNoTrans( 'jan' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'feb' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'mar' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'apr' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'may' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'jun' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'jul' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'aug' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'sep' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'oct' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'nov' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'dec' ) )."'];
+		Date.dayNames =
+		   ['".Xml::escapeJsString( wfMsgNoTrans( 'sunday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'monday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'tuesday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'wednesday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'thursday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'friday' ) )."',
+			'".Xml::escapeJsString( wfMsgNoTrans( 'saturday' ) )."'];
+		";
+	}
+
+	/**
+		Create JS i18n file
+		
+		Generates the i18n file for JS and returns it's name.
+		If the file is ready it checks if there is need to refresh it.
+		
+		@note blindly assuming that JSWikiGantt.i18n.php will change more often then other i18n files
+	*/
+	private function createJSi18nFile() {
+		$strOutputPath = "{$this->strSelfDir}/{$this->strJSi18nFile}";
+		$strSrcPath = "{$this->strSelfDir}/JSWikiGantt.i18n.php";
+		
+		// check if we need to change anything
+		$isChanged = $this->isSrcChanged( $strSrcPath, $strOutputPath );
+		
+		// generate & create file
+		if ( $isChanged ) {
+			$hFile = fopen ( $strOutputPath, 'w' );
+			fwrite ( $hFile, $this->getJSi18nMsgs() );
+			fclose ( $hFile );
+		}
+		
+		return $this->getCSSJSLink( $this->strJSi18nFile );
+	}
+
+	/**
+		Checks if a source file were changed after dest path
+	*/
+	private function isSrcChanged( $strSrcPath, $strDestPath ) {
+		if ( !file_exists( $strDestPath ) ) {
+			return true;
+		}
+		
+		$intMaxTime = filemtime( $strSrcPath );
+		$intFileTime = filemtime( $strDestPath );
+		
+		return ( $intFileTime < $intMaxTime );
+	}
+
+	/**
+		Gets "link" (URL path) for the given extension's script
+	*/
+	private function getCSSJSLink( $strFileName ) {
+		global $wgJSGanttScriptVersion;
+		
+		return "{$this->strSelfURLBase}/{$strFileName}?{$wgJSGanttScriptVersion}";
+	}
+
+	/**
+		"Decode" script content after "Tidy"...
+	*/
+	public function inlineOutput( $parser, &$text ) {
+		$text = strtr( $text, $this->arrInlineOutput );
+		return true;
+	}
+
+	/**
+		Setup our additional styles and scripts
+	*/
+	private function setupHeaders( $outputPage ) {
+		if ( $outputPage->hasHeadItem( 'jsganttCSS' ) && $outputPage->hasHeadItem( 'jsganttJS' )
+			&& $outputPage->hasHeadItem( 'jsganttDateJS' ) )
+		{
+			return;
+		}
+		
+		//echo "test:".$this->getCSSJSLink( "test.js" );
+		
+		$outputPage->addHeadItem( 'jsganttCSS'   , Html::linkedStyle( $this->getCSSJSLink( "jsgantt.css" ) ) );
+		$outputPage->addHeadItem( 'jsganttJS'    , Html::linkedScript( $this->getCSSJSLink( "jsgantt.js" ) ) );
+		$outputPage->addHeadItem( 'jsganttDateJS', Html::linkedScript( $this->getCSSJSLink( "date-functions.js" ) ) );
+
+		// generate i18n messages and append
+		$outputPage->addHeadItem( 'jsganttLangJS', Html::linkedScript( $this->createJSi18nFile() ) );
+		
+		/*
+		// Only works out of cache => has to be moved to the output
+		if ( $this->isInline ) {
+			$outputPage->addHeadItem('jsganttInlineJS' , Html::linkedScript( "{$thisExtPath}/jsgantt_inline.js?$wgJSGanttScriptVersion" ) );
+		} elseif ( $this->isExternal && !empty( $wgJSGanttConfig['ExternalXMLEnabled'] ) ) {
+			$outputPage->addHeadItem('jsganttLoaderJS' , Html::linkedScript( "{$thisExtPath}/jsgantt_loader.js?$wgJSGanttScriptVersion" ) );
+		}
+		*/
+	}
+
+	/**
+		Output Hook to setup extra headers
+	*/
+	public function outputHook( $outputPage, $parserOutput, $data ) {
+		$this->setupHeaders( $outputPage );
+	}
 }
\ No newline at end of file
@@ -1,71 +1,167 @@
-<?php
-/**
- * Internationalisation file for extension JSWikiGantt.
- *
- * @file
- * @ingroup Extensions
- */
-
-$messages = array();
-
-/** English (English)
- * @author Maciej Jaros
- * @author Ewa Jaros
- */
-$messages['en'] = array(
-	'jswikigantt-desc' => ''
-		." This extension adds a <tt><nowiki><jsgantt></nowiki></tt> tag in which you can define a Gantt diagram data to be drawn. Currently only one diagram per page."
-		." Note! This extension is based on ''JSGantt'' project started by Shlomy Gantz and ''Xaprb JavaScript date formatting'' by Baron Schwartz."
-		." See jsgantt.js and date-functions.js for licensing details of this modules."
-	// display format
-	,'jswikigantt-format-label'      => 'Format:'
-	,'jswikigantt-format-quarter'    => 'Quarter'
-	,'jswikigantt-format-month'      => 'Month'
-	,'jswikigantt-format-week'       => 'Week'
-	,'jswikigantt-format-day'        => 'Day'
-	,'jswikigantt-format-hour'       => 'Hour'
-	,'jswikigantt-format-minute'     => 'Minute'
-	// quarters date format part
-	,'jswikigantt-quarter-short'     => 'Qtr.'
-	// headers
-	,'jswikigantt-header-res'        => 'Resource'
-	,'jswikigantt-header-dur'        => 'Duration'
-	,'jswikigantt-header-comp'       => '% Comp.'
-	,'jswikigantt-header-startdate'  => 'Start Date'
-	,'jswikigantt-header-enddate'    => 'End Date'
-	// loader and inline gantt stuff
-	,'jswikigantt-no-xml-link-error' => 'Error! A link to an article containing the diagram data is missing. The link to an XML data article should be put inside the element with id="%el_id%".'
-	,'jswikigantt-unexpected-error'  => 'Unexpected error!'
-	,'jswikigantt-xml-parse-error'   => 'Parse error! The XML file is malformed or the URL is incorrect.'
-);
-
-/** Polish (Polski)
- * @author Maciej Jaros
- * @author Ewa Jaros
- */
-$messages['pl'] = array(
-	'jswikigantt-desc' => ''
-		." To rozszerzenie pozwala tworzyć diagramy Gantta za pomocą tagu ''jsgantt''. Obecnie dozwolny jest tylko jeden diagram na stronie."
-		." Uwaga! To rozszerzenie jest oparte na projekcie ''JSGantt'' utworzonym przez Shlomy Gantza oraz na projekcie ''Xaprb JavaScript date formatting'' stworzonym przez Barona Schwartza."
-		." Licencje projektów znajdują się odpowiednio w plikach jsgantt.js i date-functions.js."
-	// display format
-	,'jswikigantt-format-label'      => 'Format:'
-	,'jswikigantt-format-quarter'    => 'Kwartały'
-	,'jswikigantt-format-month'      => 'Miesiące'
-	,'jswikigantt-format-week'       => 'Tygodnie'
-	,'jswikigantt-format-day'        => 'Dni'
-	,'jswikigantt-format-hour'       => 'Godziny'
-	,'jswikigantt-format-minute'     => 'Minuty'
-	// quarters date format part
-	,'jswikigantt-quarter-short'     => 'Kw.'
-	// headers
-	,'jswikigantt-header-res'        => 'Zasób'
-	,'jswikigantt-header-dur'        => 'Czas trwania'
-	,'jswikigantt-header-comp'       => '% Ukoń.'
-	,'jswikigantt-header-startdate'  => 'Rozpoczęcie'
-	,'jswikigantt-header-enddate'    => 'Zakończenie'
-	// loader and inline gantt stuff
-	,'jswikigantt-no-xml-link-error' => 'Błąd! Brak linku do artykułu zawierającego dane harmonogramu. W elemencie o id="%el_id%" należy podać link do artykułu z danymi w formacie XML.'
-	,'jswikigantt-unexpected-error'  => 'Niespodziewany błąd!'
-	,'jswikigantt-xml-parse-error'   => 'Błąd odczytu! Nieprawidłowy plik XML lub nieprawidłowy adres URL.'
-);
+<?php
+/**
+ * Internationalisation file for extension JSWikiGantt.
+ *
+ * @file
+ * @ingroup Extensions
+ */
+
+$messages = array();
+
+/** English (English)
+ * @author Maciej Jaros
+ * @author Ewa Jaros
+ */
+$messages['en'] = array(
+	'jswikigantt-desc' => ''
+		." This extension adds a <tt><nowiki><jsgantt></nowiki></tt> tag in which you can define a Gantt diagram data to be drawn. Many diagrams can be put on one page."
+		." Note! This extension is based on ''JSGantt'' project started by Shlomy Gantz and ''Xaprb JavaScript date formatting'' by Baron Schwartz."
+		." See jsgantt.js and date-functions.js for licensing details of this modules."
+	// display format
+	,'jswikigantt-format-label'      => 'Format:'
+	,'jswikigantt-format-quarter'    => 'Quarter'
+	,'jswikigantt-format-month'      => 'Month'
+	,'jswikigantt-format-week'       => 'Week'
+	,'jswikigantt-format-day'        => 'Day'
+	,'jswikigantt-format-hour'       => 'Hour'
+	,'jswikigantt-format-minute'     => 'Minute'
+	,'jswikigantt-zoom-label'        => 'Zoom:'
+	,'jswikigantt-nav-prev'          => 'Earlier'
+	,'jswikigantt-nav-today'         => 'Today'
+	,'jswikigantt-nav-next'          => 'Later'
+	,'jswikigantt-nav-fit'           => 'Fit to width'
+	// quarters date format part
+	,'jswikigantt-quarter-short'     => 'Qtr.'
+	// headers
+	,'jswikigantt-header-res'        => 'Resource'
+	,'jswikigantt-header-dur'        => 'Duration'
+	,'jswikigantt-header-comp'       => '% Comp.'
+	,'jswikigantt-header-startdate'  => 'Start Date'
+	,'jswikigantt-header-enddate'    => 'End Date'
+	,'jswikigantt-header-variance'   => 'Variance'
+	,'jswikigantt-header-float'      => 'Float'
+	,'jswikigantt-status-date'       => 'Status date'
+	,'jswikigantt-status-overdue'    => 'Overdue - should be finished by the status date'
+	,'jswikigantt-status-behind'     => 'Behind schedule - progress is less than elapsed time'
+	,'jswikigantt-field-id'          => 'ID'
+	,'jswikigantt-field-name'        => 'Name'
+	,'jswikigantt-field-type'        => 'Type'
+	,'jswikigantt-type-task'         => 'Task'
+	,'jswikigantt-type-group'        => 'Group'
+	,'jswikigantt-type-mile'         => 'Milestone'
+	,'jswikigantt-field-parent'      => 'Parent'
+	,'jswikigantt-field-depend'      => 'Dependencies'
+	,'jswikigantt-field-caption'     => 'Caption'
+	,'jswikigantt-field-color'       => 'Color'
+	,'jswikigantt-field-baseline'    => 'Baseline'
+	,'jswikigantt-field-status'      => 'Status'
+	,'jswikigantt-field-link'        => 'Link'
+	,'jswikigantt-field-notes'       => 'Notes'
+	,'jswikigantt-field-weight'      => 'Weight'
+	,'jswikigantt-field-errors'      => 'Problems'
+	,'jswikigantt-details-edit'      => 'Edit'
+	,'jswikigantt-details-close'     => 'Close'
+	// loader and inline gantt stuff
+	,'jswikigantt-no-xml-link-error' => 'Error! A link to an article containing the diagram data is missing. The link to an XML data article should be put inside the element with id="%el_id%".'
+	,'jswikigantt-unexpected-error'  => 'Unexpected error!'
+	,'jswikigantt-xml-parse-error'   => 'Parse error! The XML file is malformed or the URL is incorrect.'
+	,'jswikigantt-json-parse-error'  => 'Parse error! The JSON data is malformed or the URL is incorrect.'
+	,'jswikigantt-inline-parse-error' => 'Parse error in line $1 of the diagram data: $2'
+	,'jswikigantt-xml-load-error'    => 'Loading of the data failed (HTTP status %status%).'
+	,'jswikigantt-calendar-load-error' => 'The working calendar could not be loaded from page %page%.'
+	,'jswikigantt-xml-error-task'    => 'Task %task%, line %line%: '
+	,'jswikigantt-xml-error-line'    => 'Line %line%: '
+	,'jswikigantt-loading'           => 'Loading data...'
+	,'jswikigantt-errors-title'      => 'Problems in the data: %count%'
+	,'jswikigantt-error-task'        => 'Task %task%: '
+	,'jswikigantt-error-no-id'       => 'Task has no ID (pID) and was skipped'
+	,'jswikigantt-error-duplicate-id' => 'Duplicate ID %id%'
+	,'jswikigantt-error-parent'      => 'Unknown parent task %id% (pParent)'
+	,'jswikigantt-error-parent-group' => 'Parent task %id% is not a group (pGroup)'
+	,'jswikigantt-error-parent-cycle' => 'Parent tasks form a loop: %ids%'
+	,'jswikigantt-error-depend'      => 'Unknown predecessor %id% (pDepend)'
+	,'jswikigantt-error-depend-cycle' => 'Dependency cycle: %ids%'
+	,'jswikigantt-error-end-before-start' => 'End date is before start date'
+	,'jswikigantt-error-date'        => 'Invalid date in %field%: %date%'
+	,'jswikigantt-error-date-missing' => 'Missing date in %field%'
+	,'jswikigantt-no-tasks-error'    => 'No tasks to show. Each task should be given in a <task> element with an ID in <pID> (or in the id attribute).'
+);
+
+/** Polish (Polski)
+ * @author Maciej Jaros
+ * @author Ewa Jaros
+ */
+$messages['pl'] = array(
+	'jswikigantt-desc' => ''
+		." To rozszerzenie pozwala tworzyć diagramy Gantta za pomocą tagu ''jsgantt''. Na jednej stronie można umieścić wiele diagramów."
+		." Uwaga! To rozszerzenie jest oparte na projekcie ''JSGantt'' utworzonym przez Shlomy Gantza oraz na projekcie ''Xaprb JavaScript date formatting'' stworzonym przez Barona Schwartza."
+		." Licencje projektów znajdują się odpowiednio w plikach jsgantt.js i date-functions.js."
+	// display format
+	,'jswikigantt-format-label'      => 'Format:'
+	,'jswikigantt-format-quarter'    => 'Kwartały'
+	,'jswikigantt-format-month'      => 'Miesiące'
+	,'jswikigantt-format-week'       => 'Tygodnie'
+	,'jswikigantt-format-day'        => 'Dni'
+	,'jswikigantt-format-hour'       => 'Godziny'
+	,'jswikigantt-format-minute'     => 'Minuty'
+	,'jswikigantt-zoom-label'        => 'Powiększenie:'
+	,'jswikigantt-nav-prev'          => 'Wcześniej'
+	,'jswikigantt-nav-today'         => 'Dziś'
+	,'jswikigantt-nav-next'          => 'Później'
+	,'jswikigantt-nav-fit'           => 'Dopasuj'
+	// quarters date format part
+	,'jswikigantt-quarter-short'     => 'Kw.'
+	// headers
+	,'jswikigantt-header-res'        => 'Zasób'
+	,'jswikigantt-header-dur'        => 'Czas trwania'
+	,'jswikigantt-header-comp'       => '% Ukoń.'
+	,'jswikigantt-header-startdate'  => 'Rozpoczęcie'
+	,'jswikigantt-header-enddate'    => 'Zakończenie'
+	,'jswikigantt-header-variance'   => 'Odchylenie'
+	,'jswikigantt-header-float'      => 'Zapas'
+	,'jswikigantt-status-date'       => 'Data statusu'
+	,'jswikigantt-status-overdue'    => 'Zaległe - powinno być już ukończone'
+	,'jswikigantt-status-behind'     => 'Opóźnione - postęp mniejszy niż upływ czasu'
+	,'jswikigantt-field-id'          => 'ID'
+	,'jswikigantt-field-name'        => 'Nazwa'
+	,'jswikigantt-field-type'        => 'Typ'
+	,'jswikigantt-type-task'         => 'Zadanie'
+	,'jswikigantt-type-group'        => 'Grupa'
+	,'jswikigantt-type-mile'         => 'Kamień milowy'
+	,'jswikigantt-field-parent'      => 'Zadanie nadrzędne'
+	,'jswikigantt-field-depend'      => 'Zależności'
+	,'jswikigantt-field-caption'     => 'Podpis'
+	,'jswikigantt-field-color'       => 'Kolor'
+	,'jswikigantt-field-baseline'    => 'Plan bazowy'
+	,'jswikigantt-field-status'      => 'Status'
+	,'jswikigantt-field-link'        => 'Link'
+	,'jswikigantt-field-notes'       => 'Notatki'
+	,'jswikigantt-field-weight'      => 'Waga'
+	,'jswikigantt-field-errors'      => 'Problemy'
+	,'jswikigantt-details-edit'      => 'Edytuj'
+	,'jswikigantt-details-close'     => 'Zamknij'
+	// loader and inline gantt stuff
+	,'jswikigantt-no-xml-link-error' => 'Błąd! Brak linku do artykułu zawierającego dane harmonogramu. W elemencie o id="%el_id%" należy podać link do artykułu z danymi w formacie XML.'
+	,'jswikigantt-unexpected-error'  => 'Niespodziewany błąd!'
+	,'jswikigantt-xml-parse-error'   => 'Błąd odczytu! Nieprawidłowy plik XML lub nieprawidłowy adres URL.'
+	,'jswikigantt-json-parse-error'  => 'Błąd odczytu! Nieprawidłowe dane JSON lub nieprawidłowy adres URL.'
+	,'jswikigantt-inline-parse-error' => 'Błąd odczytu w wierszu $1 danych harmonogramu: $2'
+	,'jswikigantt-xml-load-error'    => 'Nie udało się wczytać danych (status HTTP %status%).'
+	,'jswikigantt-calendar-load-error' => 'Nie udało się wczytać kalendarza ze strony %page%.'
+	,'jswikigantt-xml-error-task'    => 'Zadanie %task%, wiersz %line%: '
+	,'jswikigantt-xml-error-line'    => 'Wiersz %line%: '
+	,'jswikigantt-loading'           => 'Wczytywanie danych...'
+	,'jswikigantt-errors-title'      => 'Problemy w danych: %count%'
+	,'jswikigantt-error-task'        => 'Zadanie %task%: '
+	,'jswikigantt-error-no-id'       => 'Zadanie nie ma ID (pID) i zostało pominięte'
+	,'jswikigantt-error-duplicate-id' => 'Powtórzone ID %id%'
+	,'jswikigantt-error-parent'      => 'Nieznane zadanie nadrzędne %id% (pParent)'
+	,'jswikigantt-error-parent-group' => 'Zadanie nadrzędne %id% nie jest grupą (pGroup)'
+	,'jswikigantt-error-parent-cycle' => 'Zadania nadrzędne tworzą pętlę: %ids%'
+	,'jswikigantt-error-depend'      => 'Nieznany poprzednik %id% (pDepend)'
+	,'jswikigantt-error-depend-cycle' => 'Cykl zależności: %ids%'
+	,'jswikigantt-error-end-before-start' => 'Data zakończenia jest wcześniejsza niż data rozpoczęcia'
+	,'jswikigantt-error-date'        => 'Nieprawidłowa data w %field%: %date%'
+	,'jswikigantt-error-date-missing' => 'Brak daty w %field%'
+	,'jswikigantt-no-tasks-error'    => 'Brak zadań do wyświetlenia. Każde zadanie należy podać w elemencie <task> z identyfikatorem w <pID> (lub w atrybucie id).'
+);
@@ -1,109 +1,128 @@
-﻿/* ------------------------------------------------------------------------ *\
-	Form creation helper method(s)
-	
-	Not really realted to oJobSchEd.
-\* ------------------------------------------------------------------------ */
-
-/* ------------------------------------------------------------------------ *\
-	HTML form creator helper
-	
-	field = {type:'[input type]', lbl: '[field label]',
-		name:'[field_name]', value:'[default value]'}
-	optionally: jsUpdate:'someGlobalVariable = this.value'
-	for text input: maxlen:[max str length]
-	for checkbox: title on the left, label on the right
-\* ------------------------------------------------------------------------ */
-oJobSchEd.createForm = function(arrFields, strHeader)
-{
-	var strRet = ''
-		+ '<h2>'+strHeader+'</h2>'
-		+ '<div style="text-align:left; font-size:12px;" class="msgform">'
-	;
-	for (var i=0; i<arrFields.length; i++)
-	{
-		var oF = arrFields[i];
-		if (typeof(oF.value)=='undefined')
-		{
-			oF.value = '';
-		}
-		if (typeof(oF.name)=='undefined')
-		{
-			var now = new Date();
-			oF.name = 'undefined_'+now.getTime();
-		}
-		switch (oF.type)
-		{
-			default:
-			case 'text':
-				var strExtra = '';
-				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
-				strExtra += oF.maxlen ? ' maxlength="'+oF.maxlen+'" ' : '';
-				strExtra += oF.maxlen ? ' style="width:'+(oF.maxlen*8)+'px" ' : '';
-				strRet += '<p>'
-					+'<label style="display:inline-block;width:120px;text-align:right;">'+oF.lbl+':</label>'
-					+' <input  type="'+oF.type+'" name="'+oF.name+'" value="'+oF.value+'" '+strExtra+' />'
-					+'</p>'
-				;
-			break;
-			case 'checkbox':
-				var dt = new Date()
-				var strInpId = oF.name+'_'+dt.getTime();
-				var strExtra = '';
-				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
-				strExtra += oF.value ? ' checked="checked" ' : '';
-				strRet += '<p>'
-					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
-					+' <input id="'+strInpId+'" type="'+oF.type+'" name="'+oF.name+'" value="1" '+strExtra+' />'
-					+'<label for="'+strInpId+'">'+oF.lbl+':</label>'
-					+'</p>'
-				;
-			break;
-			case 'radio':
-				var dt = new Date()
-				var strInpId = oF.name+'_'+dt.getTime();
-				var strExtra = '';
-				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
-				strRet += '<p>'
-					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
-				;
-				for (var j=0; j<oF.lbls.length; j++)
-				{
-					var oFL = oF.lbls[j];
-					var strSubInpId = strInpId+'_'+oFL.value;
-					var strSubExtra = strExtra;
-					strSubExtra += oF.value==oFL.value ? ' checked="checked" ' : '';
-					strRet += ''
-						+' <input id="'+strSubInpId+'" type="'+oF.type+'" name="'+oF.name+'" value="'+oFL.value+'" '+strSubExtra+' />'
-						+'<label for="'+strSubInpId+'">'+oFL.lbl+'</label>'
-					;
-				}
-				strRet += '</p>';
-			break;
-			case 'select':
-				var dt = new Date()
-				var strInpId = oF.name+'_'+dt.getTime();
-				var strExtra = '';
-				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
-				strRet += '<p>'
-					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
-					+'<select name="'+oF.name+'" '+strExtra+'>'
-				;
-				for (var j=0; j<oF.lbls.length; j++)
-				{
-					var oFL = oF.lbls[j];
-					var strSubInpId = strInpId+'_'+oFL.value;
-					var strSubExtra ='';//= strExtra;
-					strSubExtra += oF.value==oFL.value ? ' selected="selected" ' : '';
-					strRet += ''
-						+'<option value="'+oFL.value+'" '+strSubExtra+'>'+oFL.lbl+'</option>'
-					;
-				}
-				strRet += '</select></p>';
-			break;
-		}
-	}
-	strRet += ''
-		+ '</div>'
-	;
-	return strRet;
-}
\ No newline at end of file
+﻿/* ------------------------------------------------------------------------ *\
+	Form creation helper method(s)
+	
+	Not really realted to oJobSchEd.
+\* ------------------------------------------------------------------------ */
+
+/* ------------------------------------------------------------------------ *\
+	HTML form creator helper
+	
+	field = {type:'[input type]', lbl: '[field label]',
+		name:'[field_name]', value:'[default value]'}
+	optionally: jsUpdate:'someGlobalVariable = this.value'
+	optionally: className:'[class of the field paragraph]'
+	for text input: maxlen:[max str length], id:'[input id]', inputClass:'[input class]'
+	for checkbox: title on the left, label on the right
+	for radio and select: title:'[field title]', lbls:[{value:'[value]', lbl:'[label]'}, ...]
+	default_color_inputs: the "save as default" checkbox and the "make default" button of the color field
+\* ------------------------------------------------------------------------ */
+oJobSchEd.createForm = function(arrFields, strHeader)
+{
+	var strRet = ''
+		+ '<h2>'+strHeader+'</h2>'
+		+ '<div style="text-align:left; font-size:12px;" class="msgform">'
+	;
+	for (var i=0; i<arrFields.length; i++)
+	{
+		var oF = arrFields[i];
+		if (typeof(oF.value)=='undefined')
+		{
+			oF.value = '';
+		}
+		if (typeof(oF.name)=='undefined')
+		{
+			var now = new Date();
+			oF.name = 'undefined_'+now.getTime();
+		}
+
+		// class of the field (allows hiding start and end fields of group tasks)
+		let className  = (oF.className) ? oF.className : '';
+
+		switch (oF.type)
+		{
+			default:
+			case 'text':
+				var strInpId = oF.id ? oF.id : '';
+				var strExtra = '';
+				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
+				strExtra += oF.maxlen ? ' maxlength="'+oF.maxlen+'" ' : '';
+				strExtra += oF.maxlen ? ' style="width:'+(oF.maxlen*8)+'px" ' : '';
+
+				oF.type = oF.type ? oF.type : '';
+				strRet += '<p class="'+ className  +'" >'
+					+'<label style="display:inline-block;width:120px;text-align:right;">'+oF.lbl+':</label>'
+					+' <input  id="'+ strInpId +'" class="'+ oF.inputClass +'" type="'+oF.type+'" name="'+oF.name+'" value="'+oF.value+'" '+strExtra+' />'
+					+'</p>'
+				;
+			break;
+			case 'checkbox':
+				var strInpId = oF.name;
+				var strExtra = '';
+				var strlbl = '';
+				if(oF.lbl) strlbl = '<label for="'+strInpId+'">'+oF.lbl+':</label>';
+				strExtra += ' onclick=oJobSchEd.oModTask.toggleChecked("'+strInpId+'") ';
+				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '' ;
+				strExtra += oF.value ? ' checked="checked" ' : '';
+				strRet += '<p class="'+ className +'">'
+					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
+					+' <input id="'+strInpId+'" type="'+oF.type+'" name="'+oF.name+'" value="1" '+strExtra+' />'
+					+strlbl
+					+'</p>'
+				;
+
+			break;
+			case 'radio':
+				var dt = new Date()
+				var strInpId = oF.name+'_'+dt.getTime();
+				var strExtra = '';
+				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
+				strRet += '<p class="'+ className +'">'
+					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
+				;
+				for (var j=0; j<oF.lbls.length; j++)
+				{
+					var oFL = oF.lbls[j];
+					var strSubInpId = strInpId+'_'+oFL.value;
+					var strSubExtra = strExtra;
+					strSubExtra += oF.value==oFL.value ? ' checked="checked" ' : '';
+					strRet += ''
+						+' <input id="'+strSubInpId+'" type="'+oF.type+'" name="'+oF.name+'" value="'+oFL.value+'" '+strSubExtra+' />'
+						+'<label for="'+strSubInpId+'">'+oFL.lbl+'</label>'
+					;
+				}
+				strRet += '</p>';
+			break;
+			case 'select':
+				var dt = new Date()
+				var strInpId = oF.name+'_'+dt.getTime();
+				var strExtra = '';
+				strExtra += oF.jsUpdate ? ' onchange="'+oF.jsUpdate+'" ' : '';
+				strRet += '<p class="'+className+'">'
+					+'<span style="display:inline-block;width:120px;text-align:right;">'+oF.title+':</span>'
+					+'<select name="'+oF.name+'" '+strExtra+'>'
+				;
+				for (var j=0; j<oF.lbls.length; j++)
+				{
+					var oFL = oF.lbls[j];
+					var strSubInpId = strInpId+'_'+oFL.value;
+					var strSubExtra ='';
+					strSubExtra += oF.value==oFL.value ? ' selected="selected" ' : '';
+					strRet += ''
+						+'<option value="'+oFL.value+'" '+strSubExtra+'>'+oFL.lbl+'</option>';
+				}
+				strRet += '</select></p>';
+			break;
+			case 'default_color_inputs':
+				strRet += '<p class="'+ oF.className +'" style="margin-left:20px;">'
+				+ 'Save as Default: <input id="default_color" type="checkbox" onclick=oJobSchEd.oModTask.toggleChecked("default_color")>'
+				+  '<button style="margin-left:52px;" type="button" onclick="oJobSchEd.oModTask.makeDefaultColor()">Make Default!</button>';
+				+ '</p>'
+			break;
+		}
+	}
+
+	strRet += ''
+		+ '</div>'
+	;
+	return strRet;
+}
@@ -1,226 +1,638 @@
-﻿/* ------------------------------------------------------------------------ *\
-	Show/submit methods for task/activity modification (add&edit&delete)
-\* ------------------------------------------------------------------------ */
-
-oJobSchEd.oModTask = new Object();
-
-/* ------------------------------------------------------------------------ *\
-	Show/build add task window
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.showAdd = function(intPersonId)
-{
-	// get/build activities and persons lables
-	this.buildLabels();
-	
-	// defaults
-	var now = new Date();
-	this.oParent.oNewTask = {
-		intPersonId : (typeof(intPersonId)=='undefined' ? this.arrPersonLbls[0].value : intPersonId),
-		intActivityId : this.arrActivityLbls[0].value,
-		strDateStart : now.dateFormat(this.oParent.conf.strFormat),
-		strDateEnd : now.dateFormat(this.oParent.conf.strFormat)
-	};
-
-	// fields setup
-	var arrFields = this.getArrFields('oJobSchEd.oNewTask');
-	var strHTML = this.oParent.createForm(arrFields, this.oParent.lang['header - add']);
-
-	// show form
-	var msg = this.oMsg;
-	msg.show(strHTML, 'oJobSchEd.oModTask.submitAdd()');
-	msg.repositionMsgCenter();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Submit add task window
-	
-	TODO: some validation of dates?
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.submitAdd = function()
-{
-	// data parse
-	this.oParent.oNewTask.intPersonId = parseInt(this.oParent.oNewTask.intPersonId);
-	this.oParent.oNewTask.intActivityId = parseInt(this.oParent.oNewTask.intActivityId);
-	var intP = this.oParent.indexOfPerson(this.oParent.oNewTask.intPersonId)
-	if (intP!=-1)
-	{
-		this.oParent.oNewTask.strPersonName = this.oParent.arrPersons[intP].strName;
-	}
-	else
-	{
-		jsAlert(this.oParent.lang["gantt add error - unknown person"]);
-		return;
-	}
-
-	// add task
-	this.oParent.addTask (this.oParent.oNewTask);
-	
-	// common stuff (rebuild, refresh...)
-	this.submitCommon();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Show/build edit task window
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.showEdit = function(intPersonId, intActIndex)
-{
-	// get/build activities and persons lables
-	this.buildLabels();
-	
-	// defaults
-	var intPer = this.oParent.indexOfPerson(intPersonId);
-	var oA = this.oParent.arrPersons[intPer].arrActivities[intActIndex];
-	this.oParent.oNewTask = {
-		intPersonId : intPersonId,
-		intActivityId : oA.intId,
-		strDateStart : oA.strDateStart,
-		strDateEnd : oA.strDateEnd
-	};
-
-	// fields setup
-	var arrFields = this.getArrFields('oJobSchEd.oNewTask');
-	var strHTML = this.oParent.createForm(arrFields, this.oParent.lang['header - edit']);
-
-	// show form
-	var msg = this.oMsg;
-	msg.show(strHTML, 'oJobSchEd.oModTask.submitEdit('+intPersonId+', '+intActIndex+')');
-	msg.repositionMsgCenter();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Submit edit task window
-	
-	TODO: some validation of dates?
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.submitEdit = function(intPersonId, intActIndex)
-{
-	var oNewTask = this.oParent.oNewTask;
-	// data parse
-	oNewTask.intPersonId = parseInt(oNewTask.intPersonId);
-	oNewTask.intActivityId = parseInt(oNewTask.intActivityId);
-	var intP = this.oParent.indexOfPerson(oNewTask.intPersonId)
-	if (intP!=-1)
-	{
-		oNewTask.strPersonName = this.oParent.arrPersons[intP].strName;
-	}
-	else
-	{
-		jsAlert(this.oParent.lang["gantt add error - unknown person"]);
-		return;
-	}
-
-	// person not changed? => simply change act.
-	if (intPersonId==oNewTask.intPersonId)
-	{
-		this.oParent.setTask (oNewTask, intPersonId, intActIndex);
-	}
-	// => remove act. from the previous person and add a new one
-	else
-	{
-		this.oParent.delTask (intPersonId, intActIndex);
-		this.oParent.addTask (oNewTask);
-	}
-	
-	// common stuff (rebuild, refresh...)
-	this.submitCommon();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Show/build del task window
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.showDel = function(intPersonId, intActIndex)
-{
-	// defaults
-	var intPer = this.oParent.indexOfPerson(intPersonId);
-	var oA = this.oParent.arrPersons[intPer].arrActivities[intActIndex];
-
-	// fields setup
-	var strHTML = "<h2>"+this.oParent.lang['header - del']+"</h2>"
-		+oA.strDateStart+" - "+oA.strDateEnd
-		+": "+this.oParent.lang.activities[oA.intId].name
-	;
-
-	// show form
-	var msg = this.oMsg;
-	msg.show(strHTML, 'oJobSchEd.oModTask.submitDel('+intPersonId+', '+intActIndex+')');
-	msg.repositionMsgCenter();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Submit del task window
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.submitDel = function(intPersonId, intActIndex)
-{
-	// add person
-	this.oParent.delTask (intPersonId, intActIndex);
-
-	// common stuff (rebuild, refresh...)
-	this.submitCommon();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Build labels for this form
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.buildLabels = function()
-{
-	// persons labels
-	this.arrPersonLbls = new Array();
-	for (var i=0; i<this.oParent.arrPersons.length; i++)
-	{
-		this.arrPersonLbls[this.arrPersonLbls.length] = {
-			value	: this.oParent.arrPersons[i].intId,
-			lbl		: this.oParent.arrPersons[i].strName
-		};
-	}
-	// activities labels
-	this.arrActivityLbls = new Array();
-	for (var i=0; i<this.oParent.lang.activities.length; i++)
-	{
-		this.arrActivityLbls[this.arrActivityLbls.length] = {
-			value	: i,
-			lbl		: this.oParent.lang.activities[i].name
-		};
-	}
-}
-
-/* ------------------------------------------------------------------------ *\
-	Get fields array for this form
-	
-	strNewTaskObject = 'oJobSchEd.oNewTask'
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.getArrFields = function(strNewTaskObject)
-{
-	return [
-		{type:'select', title: this.oParent.lang['label - person']
-			, lbls : this.arrPersonLbls
-			, value:this.oParent.oNewTask.intPersonId
-			, jsUpdate:strNewTaskObject+'.intPersonId = this.value'},
-		{type:'select', title: this.oParent.lang['label - activity']
-			, lbls : this.arrActivityLbls
-			, value:this.oParent.oNewTask.intActivityId
-			, jsUpdate:strNewTaskObject+'.intActivityId = this.value'},
-		{type:'text', maxlen: 10, lbl: this.oParent.lang['label - date start']
-			, value:this.oParent.oNewTask.strDateStart
-			, jsUpdate:strNewTaskObject+'.strDateStart = this.value'},
-		{type:'text', maxlen: 10, lbl: this.oParent.lang['label - date end']
-			, value:this.oParent.oNewTask.strDateEnd
-			, jsUpdate:strNewTaskObject+'.strDateEnd = this.value'}
-	];
-}
-
-/* ------------------------------------------------------------------------ *\
-	Common stuff done at the end of submit
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oModTask.submitCommon = function()
-{
-	// build
-	var strWikicode = this.oParent.buildWikicode();
-	// output
-	this.oParent.setContents(strWikicode);
-	// close
-	this.oMsg.close();
-	
-	// refresh window<del>s</del>
-	//this.oParent.oListPersons.refresh();
-	this.oParent.oListAct.refresh();
-}
\ No newline at end of file
+﻿/* ------------------------------------------------------------------------ *\
+	Show/submit methods for task/activity modification (add&edit&delete)
+\* ------------------------------------------------------------------------ */
+
+oJobSchEd.oModTask = new Object();
+
+/* ------------------------------------------------------------------------ *\
+	Display new task template
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.showAdd = function(intTaskId)
+{
+	this.buildLabels();
+	let oP = this.oParent;
+	//Increment id
+	oP.nextId++;
+
+	let now = new Date();
+	oP.oNewTask = {
+		intId : intTaskId,
+		strName : '',
+		strDateStart : now.dateFormat(this.oParent.conf.strFormat),
+		strDateEnd : now.dateFormat(this.oParent.conf.strFormat),
+		strColor : oP.conf.defaultColor,
+		strResources : '',
+		intComp : 0,
+		boolGroup : false,
+		intParent : null,
+		intDepend : null,
+		boolMile : false,
+		intDur: 1
+	};
+
+	var arrFields = this.getArrFields('oJobSchEd.oNewTask');
+	var strHTML = this.oParent.createForm(arrFields, this.oParent.lang['header - add']);
+
+	var msg = this.oMsg;
+	msg.show(strHTML, 'oJobSchEd.oModTask.submitAdd()');
+	msg.repositionMsgCenter();
+	$(document).ready(function() {
+		jscolor.installByClassName("jscolor");
+	});
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	Append the task to the list, submit and refresh
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.submitAdd = function ()
+{
+
+	let oP = this.oParent;
+	if (!(this.preSubmitTask(oP))){
+		return;
+	}
+
+	/* Add in new task */
+	this.insertTask(null, null);
+	oP.oNewTask = null;
+
+	this.submitCommon();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Gets the object and displays a form to edit it
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.showEdit = function(taskId){
+
+	this.buildLabels();
+	let i;
+	for (i=0; i<this.oParent.arrTasks.length; i++){
+		let oA = this.oParent.arrTasks[i];
+
+		if (oA.intId === taskId){
+			this.oParent.oNewTask = {
+				intId 			: oA.intId,
+				strName 		: oA.strName,
+				strDateStart 	: oA.strDateStart,
+				strDateEnd 		: oA.strDateEnd,
+				intDur 			: oA.intDur,
+				strColor 		: oA.strColor,
+				strResources 	: oA.strResources,
+				intComp 		: oA.intComp,
+				boolGroup 		: oA.boolGroup,
+				intParent 		: oA.intParent,
+				intDepend 		: oA.intDepend,
+				boolMile 		: oA.boolMile
+			};
+			break;
+		}
+	}
+
+	//DEBUG
+	//console.log('old')
+	//console.log(oJobSchEd.oNewTask)
+
+	let arrFields = this.getArrFields('oJobSchEd.oNewTask');
+	let strHTML = this.oParent.createForm(arrFields, this.oParent.lang['header - edit']);
+
+	let msg = this.oMsg;
+	this.oParent.oNewTask.intParent = (this.oParent.oNewTask.intParent) ? this.oParent.oNewTask.intParent : null;
+	msg.saveBtnFunction = 'oJobSchEd.oModTask.saveBtnFunction('+i+', '+ this.oParent.oNewTask.intParent+')';
+	msg.show(strHTML, 'oJobSchEd.oModTask.submitEdit('+i+', '+ this.oParent.oNewTask.intParent+')');
+	msg.repositionMsgCenter();
+
+	/* If group is checked then hide the related fields */
+	if (this.oParent.oNewTask.boolGroup){
+		let related_fields = document.getElementsByClassName("toggle_visibility_group");
+		let i;
+		for(i = 0; i < related_fields.length; i++){
+			related_fields[i].style.display = "none";
+		}
+	}
+	/* If group is checked then hide the related fields */
+	if (this.oParent.oNewTask.boolMile){
+		let related_fields = document.getElementsByClassName("toggle_visibility_mile");
+		let i;
+		for(i = 0; i < related_fields.length; i++){
+			related_fields[i].style.display = "none";
+		}
+	}
+	$(document).ready(function() {
+		jscolor.installByClassName("jscolor");
+	});
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	Assigns the new task object in the array at the specified index
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.submitEdit = function(taskIndex, intParentOld){
+
+	let oP = this.oParent;
+	if (!(this.preSubmitTask(oP))){
+		return;
+	}
+
+	/* Removing the old task */
+	oP.arrTasks.splice(taskIndex, 1);
+
+	/* Add in edited task */
+	let movingChildrenInfo = this.insertTask(taskIndex, intParentOld);
+
+	/* Move all its children with it*/
+	if (movingChildrenInfo) {
+		this.moveChildren(movingChildrenInfo.startIndex, movingChildrenInfo.endIndex, movingChildrenInfo.parentNewIndex);
+	}
+
+	oP.oNewTask = null;
+
+	this.submitCommon();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Pre configure before submiting a task
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.preSubmitTask = function(oP){
+	let task = oP.oNewTask;
+	/*Debug*/
+	//console.log("New task:");
+	//console.log(oP.oNewTask);
+
+	/* Parse all integers */
+	task.intComp = (!isNaN(task.intComp) && (task.intComp != null)) ? (parseInt(task.intComp))              : NaN;
+	task.intParent = (!isNaN(task.intParent) && (task.intParent != null)) ? (parseInt(task.intParent))      : NaN;
+	task.intDepend = (!isNaN(task.intDepend) && (task.intDepend != null)) ? (parseInt(task.intDepend))      : NaN;
+	task.intDur = (!isNaN(task.intDur) && (task.intDur != null)) ? (parseInt(task.intDur))                  : NaN;
+
+	/* Check for empty string for name */
+	if (!task.strName) {
+		jsAlert("Task must have a name!");
+		return false;
+	}
+	/* Check date format */
+	else if ((!this.isDateFormatCorrect(task.strDateStart)) && (!task.boolGroup)) {
+		jsAlert("Please enter the date in 'YYYY-MM-DD' format and make sure it's within bounds");
+		return false;
+	}
+	/* Check duration */
+	else if ((isNaN(task.intDur) || task.intDur < 1) && (!task.boolMile && !task.boolGroup)) {
+		jsAlert("Duration must be a positive integer");
+		return false;
+	}
+	/* Check for % complete*/
+	else if ((isNaN(task.intComp) || task.intComp < 0) && (!task.boolMile && !task.boolGroup)) {
+		jsAlert("Percent Complete must be a non-negative integer");
+		return false;
+	}
+
+	/* Check for hidden fields and set values accordingly */
+	if (task.boolGroup){
+		task.strDateStart    = null;
+		task.strDateEnd      = null;
+		task.intDur          = null;
+		task.intComp         = null;
+		task.intColor        = null;
+	}
+
+	/* Check for hidden fields and set values accordingly */
+	if (task.boolMile){
+		task.strDateEnd      = task.strDateStart;
+		task.intDur          = 1;
+		task.strResources    = null;
+		task.boolGroup       = null;
+		task.intColor        = null;
+	}
+
+	/* Deal with parents */
+	task.intParent = (task.intParent) ? task.intParent : null;
+
+	/* If set default color was checked then change the default color, and uncheck it in conf */
+	if (oJobSchEd.conf.defaultChecked) {
+		oJobSchEd.conf.defaultColor = oJobSchEd.conf.currentColor;
+	}
+	oJobSchEd.conf.defaultChecked = false;
+
+	/* Calculate and set end date if start date and duration is available */
+	if (task.strDateStart && (task.intDur > 0 )){
+		task.strDateEnd = this.addBusinessDays(task.strDateStart, (task.intDur-1));
+	}
+	else if(task.boolGroup === false && task.boolMile === false){
+		jsAlert("\"Number of days\" must be a positive integer greater than 0");
+		task = null;
+		return false;
+	}
+
+	task = null;
+	return true;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Submit the task and the wiki edit form
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.saveBtnFunction = function(taskIndex, intParentOld){
+
+	// Submit the task
+	this.submitEdit(taskIndex, intParentOld);
+
+	// Submit the media wiki form
+	$("#editform").submit();
+
+	//Close forms
+	this.oParent.oListAct.oMsg.close();
+
+	//Add semi-transparent overlay while page loads
+	this.oParent.createOverlay();
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	When user clicks on delete task button
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.showDel = function(taskId){
+
+	let strHTML, i;
+	for (i=0; i<this.oParent.arrTasks.length; i++){
+		let oA = this.oParent.arrTasks[i];
+
+		if (oA.intId === taskId){
+
+			strHTML = "<h2>"+this.oParent.lang['header - del']+"</h2>"
+				+oA.strName
+				+": "+oA.strDateStart+" - "+oA.strDateEnd;
+			break;
+		}
+	}
+
+	let msg = this.oMsg;
+	msg.show(strHTML, 'oJobSchEd.oModTask.submitDel('+i+')');
+	msg.repositionMsgCenter();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Uses the index of a task object and removes it from the array
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.submitDel = function(taskIndex){
+
+	this.oParent.arrTasks.splice(taskIndex, 1);
+	//this.oParent.delTask(taskIndex);
+
+	this.submitCommon();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Builds 2 arrays {label,value} objects of all tasks and only groups
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.buildLabels = function ()
+{
+	this.arrTaskLblsGroup = new Array();
+	this.arrTaskLbls = new Array();
+
+	/* Adding an option for none */
+	let none_option = {
+		value	: null,
+		lbl	:  "None"
+	};
+
+	this.arrTaskLblsGroup.push(none_option);
+	this.arrTaskLbls.push(none_option);
+
+	let i;
+	for (i=0; i<this.oParent.arrTasks.length; i++)
+	{
+		/* Only use tasks that are grouping tasks */
+		if(this.oParent.arrTasks[i].boolGroup){
+			this.arrTaskLblsGroup.push({
+				value	: this.oParent.arrTasks[i].intId,
+				lbl	    : this.oParent.arrTasks[i].strName
+			});
+		}
+		/* Second array containing all tasks */
+		this.arrTaskLbls.push({
+			value	: this.oParent.arrTasks[i].intId,
+			lbl	    : this.oParent.arrTasks[i].strName
+		});
+	}
+}
+
+/* ------------------------------------------------------------------------ *\
+	Making the task template form
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.getArrFields = function(strNewTaskObject)
+{
+	let checkboxValueGroup, checkboxValueMilestone;
+	checkboxValueGroup = (this.oParent.oNewTask.boolGroup) ? "checked" : '';
+	checkboxValueMilestone = (this.oParent.oNewTask.boolMile) ? "checked" : '';
+
+	return [
+		{type:'text',  lbl: 'Title'
+			, value: this.oParent.oNewTask.strName
+			, jsUpdate:strNewTaskObject+'.strName = this.value' },
+
+		{type:'text', maxlen: 10, lbl: 'Start'
+			, value: this.oParent.oNewTask.strDateStart
+			, jsUpdate:strNewTaskObject+'.strDateStart = this.value'
+			, className: "toggle_visibility_group" },
+
+		{type:'text', maxlen: 4, lbl: 'Number of days'
+			, value: this.oParent.oNewTask.intDur
+			, jsUpdate:strNewTaskObject+'.intDur = this.value'
+			, className: "toggle_visibility_group toggle_visibility_mile" },
+
+		{type:'text', lbl: 'Resources'
+			, value: this.oParent.oNewTask.strResources
+			, jsUpdate:strNewTaskObject+'.strResources = this.value'
+			, className: "toggle_visibility_mile" },
+
+		{type: 'text', maxlen: 3, lbl: 'Complete(%)'
+			, value: this.oParent.oNewTask.intComp
+			, jsUpdate:strNewTaskObject+'.intComp = this.value'
+			, className: "toggle_visibility_group" },
+
+		{type: 'checkbox', title: 'Group object', name:'group'
+			, value: checkboxValueGroup
+			, className: "toggle_visibility_mile" },
+
+		{type: 'select', title: 'Parent', lbls: this.arrTaskLblsGroup
+			, value: this.oParent.oNewTask.intParent
+			, jsUpdate:strNewTaskObject+'.intParent = this.value' },
+
+		{type: 'select', title: 'Depends on', lbls: this.arrTaskLbls
+			, value: this.oParent.oNewTask.intDepend
+			, jsUpdate:strNewTaskObject+'.intDepend = this.value' },
+
+		{type: 'checkbox', title: 'Milestone', name:'milestone'
+			, className: "toggle_visibility_group"
+			, value: checkboxValueMilestone },
+
+		{type: 'text', lbl: 'Color'
+			, value: this.oParent.oNewTask.strColor
+			, jsUpdate:strNewTaskObject+'.strColor = this.value'
+			, className: "input_color toggle_visibility_group toggle_visibility_mile"
+			, inputClass: "jscolor"
+			, id: "input_color"},
+
+		{type: 'default_color_inputs'
+			, className: "toggle_visibility_group toggle_visibility_mile" }
+	];
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	Builds XML code, sets it in the wiki and refreshes all tasks
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.submitCommon = function ()
+{
+
+	var strWikicode = this.oParent.buildWikicode();
+
+	this.oParent.setContents(strWikicode);
+
+	this.oMsg.close();
+
+	this.oParent.oListAct.refresh();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Checks date field format YYYY-MM-DD
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.isDateFormatCorrect = function(date){
+	let re = /^(19|20|21)\d{2}-(0[1-9]|1[0-2])-(0[1-9]|1\d|2\d|3[01])/;
+	if (re.test(date)) {
+		return true;
+	}
+	return false;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Updates group/milestone of oNewTask and set visibility of fields
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.toggleChecked = function(id){
+
+	let checked = document.getElementById(id).checked;
+	if (id === "group"){
+		this.oParent.oNewTask.boolGroup = checked;
+		this.updateFieldsVisibility("toggle_visibility_group", checked);
+	}
+	else if (id === "milestone"){
+		this.oParent.oNewTask.boolMile = checked;
+		this.updateFieldsVisibility("toggle_visibility_mile", checked);
+	}
+	else if (id === "default_color") {
+		if (checked) {
+			oJobSchEd.conf.currentColor = $("#input_color")[0].value;
+			oJobSchEd.conf.defaultChecked = true;
+		}
+		else {
+			oJobSchEd.conf.defaultChecked = false;
+		}
+	}
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	Helper function deals with setting display of related fields
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.updateFieldsVisibility = function(className, checked){
+
+	/* Toggle visibility for related fields of group task */
+	let related_fields = document.getElementsByClassName(className);
+
+	if (checked){
+		let i;
+		for(i = 0; i < related_fields.length; i++){
+			related_fields[i].style.display = "none";
+		}
+	}
+	else {
+		let i;
+		for(i = 0; i < related_fields.length; i++){
+			related_fields[i].style.display = "block";
+		}
+		/* If we just unchecked milestone and group is still checked */
+		if (className === "toggle_visibility_mile" && document.getElementById("group").checked){
+			let related_fields_group = document.getElementsByClassName("toggle_visibility_group");
+			let i;
+			for(i = 0; i < related_fields_group.length; i++){
+				related_fields_group[i].style.display = "none";
+			}
+		}
+	}
+
+}
+
+/* ------------------------------------------------------------------------ *\
+	Calculates end date given a start daye and duration
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.addBusinessDays = function(startDate, days){
+	let newDate = new Date(startDate);
+	let moment_instance = new moment(startDate, "YYYY-MM-DD");
+	let endDate = moment_instance.businessAdd(days)._d;
+	let endDateString = ((endDate.getYear()+1900) + "-" + (endDate.getMonth()+1) + "-" + endDate.getDate());
+	return endDateString;
+}
+
+/* ------------------------------------------------------------------------------------- *\
+	Algorithm that finds the proper spot for task in already sorted array and inserts it
+	It also accounts for when a  parent task changes then all of it's kids must follow
+\* ------------------------------------------------------------------------------------- */
+oJobSchEd.oModTask.insertTask = function (taskIndex, intParentOld){                      // intParentOld may be null             //@TODO: only move tasks if parent changes
+	let oP = this.oParent;
+	let oNewTask = oP.oNewTask;
+	let len = oP.arrTasks.length;
+	let i = 0;
+	let stack = []; // Stack is used to keep track of the parent of task i and it's grad-parent(s)
+	let task_prev, task_curr, task_next;
+
+	/* If array is empty or task didn't change parents */
+	if(oP.arrTasks.length === 0 || oNewTask.intParent === intParentOld){
+		if(!(isNaN(taskIndex)) && taskIndex != null) {
+			oP.arrTasks.splice(taskIndex, 0, oNewTask);
+		}
+		else{
+			oP.arrTasks.push(oNewTask);
+		}
+		oP.stack = null;
+		return null;
+	}
+
+	let lastChild = this.getLastChild(taskIndex, oNewTask.intId);
+	console.log(lastChild);
+
+	/* Array is atleast 1 item long and new task has a parent*/
+	/* Iterate through the tasks  */
+	while (i < len) {
+
+		task_prev = oP.arrTasks[i-1];
+		task_curr = oP.arrTasks[i];
+		task_next = oP.arrTasks[i+1];
+
+		/* If it's the last task OR (previous task is not the parent) */
+		if (!(task_next) || ((task_prev && task_prev.intId != task_curr.intParent)) ) {
+
+			/* Keep removing from stack until either (the last element is the parent of current task or stack is empty) */
+			while (stack.last() != task_curr.intParent) {
+				let item = stack.pop();
+
+				/* If we are finished with the subtasks for the desired parent then insert here */
+				if (item === oNewTask.intParent) {
+					oP.arrTasks.splice(i, 0, oNewTask);
+
+					if (i <= lastChild) {
+						lastChild++;
+					}
+
+					if (i <= taskIndex) {
+						taskIndex++;
+					}
+
+					return {startIndex: taskIndex, endIndex: lastChild, parentNewIndex: i};
+				}
+
+				/* If stack is empty then desired parent wasn't in there and we can move on */
+				if (stack.length === 0) {
+					break;
+				}
+			}
+			if (!(task_next)) {
+				oP.arrTasks.push(oNewTask);
+				return {startIndex: taskIndex, endIndex: lastChild, parentNewIndex: oP.arrTasks.length};
+			}
+		}
+
+		/* If grouping task then add to stack */
+		if (task_curr.boolGroup) {
+			stack.push(task_curr.intId);
+		}
+
+		i++;
+	}
+}
+
+/* ------------------------------------------------------------------------ *\
+	Returns the last child index for a task
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.getLastChild = function(whereTaskWas, parentId) {
+	let oP = this.oParent;
+	let oNewTask = oP.oNewTask;
+	let len = oP.arrTasks.length;
+	let i = whereTaskWas;
+	let stack = [parentId]; // Stack is used to keep track of the parent of task i and it's grand-parent(s)
+	let task_prev, task_curr, task_next;
+
+	if (whereTaskWas >= len || !oP.arrTasks[whereTaskWas] || oP.arrTasks[whereTaskWas].intParent !== parentId) {
+		return null;
+	}
+
+	/* Array is atleast 1 item long and new task has a parent*/
+	while (i < len) {
+
+		task_prev = oP.arrTasks[i-1];
+		task_curr = oP.arrTasks[i];
+		task_next = oP.arrTasks[i+1];
+
+		/* If it's the last task OR (previous task is not the parent) */
+		if (!(task_next)  ||  ((task_prev && task_prev.intId != task_curr.intParent)) ) {
+
+			/* Keep removing from stack until either (the last element is the parent of current task or stack is empty) */
+			while (stack.last() != task_curr.intParent) {
+				let item = stack.pop();
+
+				/* If we are finished with the subtasks for the desired parent then insert here */
+				if (item === parentId) {
+					if (oP.arrTasks[i-1].intId !== parentId) {
+						return i-1;
+					}
+					return null;
+				}
+
+				/* If stack is empty then desired parent wasn't in there and we can move on */
+				if (stack.length === 0) {
+					break;
+				}
+			}
+			if (!(task_next)) {
+				return i;
+			}
+		}
+
+		/* If grouping task then add to stack */
+		if (task_curr.boolGroup) {
+			stack.push(task_curr.intId);
+		}
+
+		i++;
+	}
+	return null;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Moves the children to where the parent moved
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.moveChildren = function(startingAt, EndingAt, parentIndex) {
+	let oP = this.oParent;
+	let arr = oP.arrTasks;
+	let diff = EndingAt - startingAt;
+	let i = 0;
+
+	let children = arr.splice(startingAt, diff+1);
+	console.log(children)
+
+	if (parentIndex > startingAt) {
+		parentIndex-=(diff+1);
+	}
+	arr.splice(parentIndex+1, 0, children)  // since children is also an array we need to flatten the tasks array
+	arr = arr.reduce(function(a,b) {
+						return a.concat(b);
+					}, []);
+	oP.arrTasks = arr;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Changes the value of color field to default on button press
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oModTask.makeDefaultColor = function() {
+	$("#input_color")[0].value = oJobSchEd.conf.defaultColor;
+	$("#input_color")[0].jscolor.fromString($("#input_color")[0].value)         // update the color immediately
+	oJobSchEd.oNewTask.strColor = $("#input_color")[0].value;
+}
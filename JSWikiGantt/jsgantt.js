@@ -1,1873 +1,4791 @@
-﻿/* 
-   _        ___            _   _     _   ____  
-  (_)___   / _ \__ _ _ __ | |_| |_  / | |___ \ 
-  | / __| / /_\/ _` | '_ \| __| __| | |   __) |
-  | \__ \/ /_\\ (_| | | | | |_| |_  | |_ / __/ 
- _/ |___/\____/\__,_|_| |_|\__|\__| |_(_)_____|
-|__/ 
-
-Copyright (c) 2009, Shlomy Gantz BlueBrick Inc. All rights reserved.
- 
-*
-* Redistribution and use in source and binary forms, with or without
-* modification, are permitted provided that the following conditions are met:
-*     * Redistributions of source code must retain the above copyright
-*       notice, this list of conditions and the following disclaimer.
-*     * Redistributions in binary form must reproduce the above copyright
-*       notice, this list of conditions and the following disclaimer in the
-*       documentation and/or other materials provided with the distribution.
-*     * Neither the name of Shlomy Gantz or BlueBrick Inc. nor the
-*       names of its contributors may be used to endorse or promote products
-*       derived from this software without specific prior written permission.
-*
-* THIS SOFTWARE IS PROVIDED BY SHLOMY GANTZ/BLUEBRICK INC. ''AS IS'' AND ANY
-* EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
-* WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
-* DISCLAIMED. IN NO EVENT SHALL SHLOMY GANTZ/BLUEBRICK INC. BE LIABLE FOR ANY
-* DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
-* (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
-* LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
-* ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
-* (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
-* SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
-*/
-
-/**
-	@note This file was modified from original version to better fit using with Wiki and preferences of JSWikiGantt developer :-)
-	 - for easier change of date format => must use with date-functions.js!
-	 - more or less xhtml compatible (lower case element names mostly - not that it really matters, but...)
-	 - i18n
-
-	@todo rewrite this.Draw into DOoM ;-) - so that we can attach events and skip oJSGant madness
-	@todo loader and inline gantt i18n stuff - should be here or move it back to jsgantt_inline.js/jsgantt_loader.js?
-*/
-
-var JSGantt; if (!JSGantt) JSGantt = {};
-
-// i18n
-JSGantt.lang = {'':''
-	// display format
-	,'format-label' : 'Format:'
-	,'format-quarter' : 'Quarter'
-	,'format-month' : 'Month'
-	,'format-week' : 'Week'
-	,'format-day' : 'Day'
-	,'format-hour' : 'Hour'
-	,'format-minute' : 'Minute'
-	// headers
-	,'header-res':      'Zasób'
-	,'header-dur':      'Czas trwania'
-	,'header-comp':     '% Ukoń'
-	,'header-startdate':'Rozpoczęcie'
-	,'header-enddate':  'Zakończenie'
-	// quarters date format part
-	,'quarter-short' : 'Qtr.'
-	// loader and inline gantt stuff
-	,'no-xml-link-error' : 'Error! A link to an article containing the diagram data is missing. The link to an XML data article is to be put inside an element with id \"%el_id%\".'
-	,'xml-parse-error' : 'Parse error! The XML file is badly formed or the URL is incorrect.'
-	,'unexpected-error' : 'Unexpected error!'
-}
-
-// jsgantt options to functions mapping
-JSGantt.attributeMapping = {
-	'option-show-responsible' : function (value) {
-		this.setShowRes(JSGantt.AttributeParser.toBoolInt(value));
-	},
-	'option-show-duration' : function (value) {
-		this.setShowDur(JSGantt.AttributeParser.toBoolInt(value));
-	},
-	'option-show-precent-complete' : function (value) {
-		this.setShowComp(JSGantt.AttributeParser.toBoolInt(value));
-	},
-	'option-show-start-date' : function (value) {
-		this.setShowStartDate(JSGantt.AttributeParser.toBoolInt(value));
-	},
-	'option-show-end-date' : function (value) {
-		this.setShowEndDate(JSGantt.AttributeParser.toBoolInt(value));
-	},
-	// Set to Show Caption (None,Caption,Resource,Duration,Complete)
-	'option-caption-type' : function (value) {
-		value = JSGantt.AttributeParser.toStringFromArray(value, 
-			['None','Caption','Resource','Duration','Complete'],
-			'Resource'
-		);
-		this.setCaptionType(value);
-	},
-}
-
-// Attribute parser helper singleton
-JSGantt.AttributeParser = new function() {
-	// transforms string value into 0/1 "boolean"
-	this.toBoolInt = function(value) {
-		var option = 0;
-		if (value.search(/^\s*(y|yes|true|on|1)\s*$/i) >= 0) {
-			option = 1;
-		}
-		return option;
-	};
-	this.toStringFromArray = function(value, possibleValues, fallbackValue) {
-		var option = fallbackValue;
-		for (var i = 0; i < possibleValues.length; i++) {
-			if (possibleValues[i] === value) {
-				option = value;
-				break;
-			}
-		}
-		return option;
-	};
-	this.setOptions = function(sourceElement, ganttObject, prefix) {
-		var mapping = JSGantt.attributeMapping;
-		for (var option in mapping) {
-			var setter = mapping[option];
-			if (sourceElement.hasAttribute(prefix + option)) {
-				setter.call(ganttObject, sourceElement.getAttribute('data-'+option));
-			} else {
-				setter.call(ganttObject, '');
-			}
-		}
-	};
-};
-
-var vTimeout = 0;
-var vBenchTime = new Date().getTime();
-
-JSGantt.isIE = function () {
-	
-	if(typeof document.all != 'undefined')
-		return true;
-	else
-		return false;
-}
-
-
-JSGantt.TaskItem = function(pID, pName, pStart, pEnd, pColor, pLink, pMile, pRes, pComp, pGroup, pParent, pOpen, pDepend, pCaption)
-{
-	var vID    = pID;
-	var vName  = pName;
-	var vStart = new Date();	
-	var vEnd   = new Date();
-	var vColor = pColor;
-	var vLink  = pLink;
-	var vMile  = pMile;
-	var vRes   = pRes;
-	var vComp  = pComp;
-	var vGroup = pGroup;
-	var vParent = pParent;
-	var vOpen   = pOpen;
-	var vDepend = pDepend;
-	var vCaption = pCaption;
-	var vDuration = '';
-	var vLevel = 0;
-	var vNumKid = 0;
-	var vVisible  = 1;
-	var x1, y1, x2, y2;
-
-	if (vGroup != 1)
-	{  
-		vStart = JSGantt.parseDateStr(pStart,oJSGant.getDateInputFormat());
-		vEnd   = JSGantt.parseDateStr(pEnd,oJSGant.getDateInputFormat());
-	}
-
-	this.getID       = function(){ return vID };
-	this.getName     = function(){ return vName };
-	this.getShortName     = function(pNameWidth){
-		var vNameMaxLen = pNameWidth / 7;	// assuming one char is about 6px width
-		if (vName.length > vNameMaxLen)
-		{
-			return vName.substr(0,vNameMaxLen-2) + '...';
-		}
-		return vName
-	};
-	this.getStart    = function(){ return vStart};
-	this.getEnd      = function(){ return vEnd  };
-	this.getColor    = function(){ return vColor};
-	this.getLink     = function(){ return vLink };
-	this.getMile     = function(){ return vMile };
-	this.getDepend   = function(){ if(vDepend) return vDepend; else return null };
-	this.getCaption  = function(){ if(vCaption) return vCaption; else return ''; };
-	this.getResource = function(){ if(vRes) return vRes; else return '&nbsp';  };
-	this.getCompVal  = function(){ if(vComp) return vComp; else return 0; };
-	this.getCompStr  = function(){ if(vComp) return vComp+'%'; else return ''; };
-
-	this.getDuration = function(vFormat)
-	{ 
-		if (vMile) 
-		{
-			vDuration = '-';
-		}
-		else if (vFormat=='hour')
-		{
-			tmpPer =  Math.ceil((this.getEnd() - this.getStart()) /  ( 60 * 60 * 1000) );
-			if(tmpPer == 1)  
-				vDuration = '1 godzina';
-			else if (tmpPer%10!=1 && tmpPer%10 < 5)
-				vDuration = tmpPer + ' godziny';
-			else
-				vDuration = tmpPer + ' godzin';
-		}
-		else if (vFormat=='minute')
-		{
-			tmpPer =  Math.ceil((this.getEnd() - this.getStart()) /  ( 60 * 1000) );
-			if(tmpPer == 1) 
-				vDuration = '1 minuta';
-			else if (tmpPer%10!=1 && tmpPer%10 < 5)
-				vDuration = tmpPer + ' minuty';
-			else
-				vDuration = tmpPer + ' minut';
-		}
-		else //if(vFormat == 'day')
-		{
-			tmpPer =  Math.ceil((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1);
-			if(tmpPer == 1) 
-				vDuration = '1 day';
-			else if (tmpPer%10!=1 && tmpPer%10 < 5)
-				vDuration = tmpPer + ' days';
-			else
-				vDuration = tmpPer + ' days';
-		}
-
-		//else if(vFormat == 'week') {
-		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/7;
-		//   if(tmpPer == 1)  vDuration = '1 Week';
-		//   else             vDuration = tmpPer + ' Weeks'; 
-		//}
-
-		//else if(vFormat == 'month') {
-		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/30;
-		//   if(tmpPer == 1) vDuration = '1 Month';
-		//   else            vDuration = tmpPer + ' Months'; 
-		//}
-
-		//else if(vFormat == 'quater') {
-		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/120;
-		//   if(tmpPer == 1) vDuration = '1 Qtr';
-		//   else            vDuration = tmpPer + ' Qtrs'; 
-		//}
-		return( vDuration )
-	};
-
-	this.getParent   = function(){ return vParent };
-	this.getGroup    = function(){ return vGroup };
-	this.getOpen     = function(){ return vOpen };
-	this.getLevel    = function(){ return vLevel };
-	this.getNumKids  = function(){ return vNumKid };
-	this.getStartX   = function(){ return x1 };
-	this.getStartY   = function(){ return y1 };
-	this.getEndX     = function(){ return x2 };
-	this.getEndY     = function(){ return y2 };
-	this.getVisible  = function(){ return vVisible };
-	this.setDepend   = function(pDepend){ vDepend = pDepend;};
-	this.setStart    = function(pStart){ vStart = pStart;};
-	this.setEnd      = function(pEnd)  { vEnd   = pEnd;  };
-	this.setLevel    = function(pLevel){ vLevel = pLevel;};
-	this.setNumKid   = function(pNumKid){ vNumKid = pNumKid;};
-	this.setCompVal  = function(pCompVal){ vComp = pCompVal;};
-	this.setStartX   = function(pX) {x1 = pX; };
-	this.setStartY   = function(pY) {y1 = pY; };
-	this.setEndX     = function(pX) {x2 = pX; };
-	this.setEndY     = function(pY) {y2 = pY; };
-	this.setOpen     = function(pOpen) {vOpen = pOpen; };
-	this.setVisible  = function(pVisible) {vVisible = pVisible; };
-
-}
-
-	
-// function that loads the main gantt chart properties and functions
-// pDiv: (required) this is a DIV object created in HTML
-// pStart: UNUSED - future use to force minimum chart date
-// pEnd: UNUSED - future use to force maximum chart date
-// pWidth: UNUSED - future use to force chart width and cause objects to scale to fit within that width
-// pShowRes: UNUSED - future use to turn on/off display of resource names
-// pShowDur: UNUSED - future use to turn on/off display of task durations
-// pFormat: (required) - used to indicate whether chart should be drawn in "day", "week", "month", or "quarter" format
-// pCationType - what type of Caption to show:  Caption, Resource, Duration, Complete
-JSGantt.GanttChart =  function(pGanttVar, pDiv, pFormat)
-{
-
-	var vGanttVar = pGanttVar;
-	var vDiv      = pDiv;
-	var vFormat   = pFormat;
-	var vShowRes  = 1;
-	var vShowDur  = 1;
-	var vShowComp = 1;
-	var vShowStartDate = 1;
-	var vShowEndDate = 1;
-	var vDateInputFormat = "m/d/Y";
-	var vDateDisplayFormat = "m/d/y";
-	// date format in formats captions
-	var vDateDisplayFormatCaptions = {
-		'day' : {
-			'from' : 'm/d - ',
-			'to' : 'm/d/y'
-		},
-		'week' : {
-			'upper' : 'Y',
-			'lower' : 'm/d'
-		},
-		'month' : {
-			'upper' : 'Y',
-			'lower' : 'M'
-		},
-		'quarter' : {
-			'upper' : 'Y',
-			'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
-		}
-	};
-	
-	var vNumUnits  = 0;
-	var vCaptionType;
-	var vDepId = 1;
-	var vTaskList     = new Array();	
-	var vFormatArr	= new Array("day","week","month","quarter");	// formats to display
-	var vMonthDaysArr = new Array(31,28,31,30,31,30,31,31,30,31,30,31);
-	this.setFormatArr = function()
-	{
-		vFormatArr = new Array();
-		for(var i = 0; i < arguments.length; i++) {vFormatArr[i] = arguments[i];}
-		if(vFormatArr.length>4){vFormatArr.length=4;}
-	};
-	this.setShowRes  = function(val) { vShowRes  = val; };
-	this.setShowDur  = function(val) { vShowDur  = val; };
-	this.setShowComp = function(val) { vShowComp = val; };
-	this.setShowStartDate = function(val) { vShowStartDate = val; };
-	this.setShowEndDate = function(val) { vShowEndDate = val; };
-	this.setDateInputFormat = function(val) { vDateInputFormat = val; };
-	this.setDateDisplayFormat = function(val) { vDateDisplayFormat = val; };
-	this.setDateDisplayFormatCaptions = function(val) { vDateDisplayFormatCaptions = val; };
-	this.setCaptionType = function(pType) { vCaptionType = pType };
-	this.setFormat = function(pFormat)
-	{
-		vFormat = pFormat; 
-		this.Draw(); 
-	};
-
-	this.getShowRes  = function(){ return vShowRes };
-	this.getShowDur  = function(){ return vShowDur };
-	this.getShowComp = function(){ return vShowComp };
-	this.getShowStartDate = function(){ return vShowStartDate };
-	this.getShowEndDate = function(){ return vShowEndDate };
-	this.getDateInputFormat = function() { return vDateInputFormat };
-	this.getDateDisplayFormat = function() { return vDateDisplayFormat };
-	this.getCaptionType = function() { return vCaptionType };
-	this.CalcTaskXY = function () 
-	{
-		var vList = this.getList();
-		var vTaskDiv;
-		var vParDiv;
-		var vLeft, vTop, vHeight, vWidth;
-
-		for(i = 0; i < vList.length; i++)
-		{
-			vID = vList[i].getID();
-			vTaskDiv = document.getElementById("taskbar_"+vID);
-			vBarDiv  = document.getElementById("bardiv_"+vID);
-			vParDiv  = document.getElementById("childgrid_"+vID);
-
-			if(vBarDiv) 
-			{
-				vList[i].setStartX( vBarDiv.offsetLeft );
-				vList[i].setStartY( vParDiv.offsetTop+vBarDiv.offsetTop+6 );
-				vList[i].setEndX( vBarDiv.offsetLeft + vBarDiv.offsetWidth );
-				vList[i].setEndY( vParDiv.offsetTop+vBarDiv.offsetTop+6 );
-			}
-		}
-	}
-
-	this.AddTaskItem = function(value)
-	{
-		vTaskList.push(value);
-	}
-
-	this.getList   = function() { return vTaskList };
-
-	this.clearDependencies = function()
-	{
-		var parent = document.getElementById('rightside');
-		var depLine;
-		var vMaxId = vDepId;
-		for ( i=1; i<vMaxId; i++ )
-		{
-			depLine = document.getElementById("line"+i);
-			if (depLine) { parent.removeChild(depLine); }
-		}
-		vDepId = 1;
-	}
-
-
-	// sLine: Draw a straight line (colored one-pixel wide DIV), need to parameterize doc item
-	this.sLine = function(x1,y1,x2,y2)
-	{
-		vLeft = Math.min(x1,x2);
-		vTop  = Math.min(y1,y2);
-		vWid  = Math.abs(x2-x1) + 1;
-		vHgt  = Math.abs(y2-y1) + 1;
-
-		vDoc = document.getElementById('rightside');
-
-		// retrieve DIV
-		var oDiv = document.createElement('div');
-
-		oDiv.id = "line"+vDepId++;
-		oDiv.style.position = "absolute";
-		oDiv.style.margin = "0px";
-		oDiv.style.padding = "0px";
-		oDiv.style.overflow = "hidden";
-		oDiv.style.border = "0px";
-
-		// set attributes
-		oDiv.style.zIndex = 0;
-		oDiv.style.backgroundColor = "red";
-
-		oDiv.style.left = vLeft + "px";
-		oDiv.style.top = vTop + "px";
-		oDiv.style.width = vWid + "px";
-		oDiv.style.height = vHgt + "px";
-
-		oDiv.style.visibility = "visible";
-
-		vDoc.appendChild(oDiv);
-	}
-
-
-	// dLine: Draw a diaganol line (calc line x,y paisrs and draw multiple one-by-one sLines)
-	this.dLine = function(x1,y1,x2,y2)
-	{
-		var dx = x2 - x1;
-		var dy = y2 - y1;
-		var x = x1;
-		var y = y1;
-
-		var n = Math.max(Math.abs(dx),Math.abs(dy));
-		dx = dx / n;
-		dy = dy / n;
-		for ( i = 0; i <= n; i++ )
-		{
-			vx = Math.round(x); 
-			vy = Math.round(y);
-			this.sLine(vx,vy,vx,vy);
-			x += dx;
-			y += dy;
-		}
-	}
-
-	this.drawDependency =function(x1,y1,x2,y2)
-	{
-		if(x1 + 10 < x2)
-		{ 
-			this.sLine(x1,y1,x1+4,y1);
-			this.sLine(x1+4,y1,x1+4,y2);
-			this.sLine(x1+4,y2,x2,y2);
-			this.dLine(x2,y2,x2-3,y2-3);
-			this.dLine(x2,y2,x2-3,y2+3);
-			this.dLine(x2-1,y2,x2-3,y2-2);
-			this.dLine(x2-1,y2,x2-3,y2+2);
-		}
-		else
-		{
-			this.sLine(x1,y1,x1+4,y1);
-			this.sLine(x1+4,y1,x1+4,y2-10);
-			this.sLine(x1+4,y2-10,x2-8,y2-10);
-			this.sLine(x2-8,y2-10,x2-8,y2);
-			this.sLine(x2-8,y2,x2,y2);
-			this.dLine(x2,y2,x2-3,y2-3);
-			this.dLine(x2,y2,x2-3,y2+3);
-			this.dLine(x2-1,y2,x2-3,y2-2);
-			this.dLine(x2-1,y2,x2-3,y2+2);
-		}
-	}
-
-	this.DrawDependencies = function ()
-	{
-		//First recalculate the x,y
-		this.CalcTaskXY();
-
-		this.clearDependencies();
-
-		var vList = this.getList();
-		for(var i = 0; i < vList.length; i++)
-		{
-			vDepend = vList[i].getDepend();
-			if(vDepend)
-			{
-				var vDependStr = vDepend + '';
-				var vDepList = vDependStr.split(',');
-				var n = vDepList.length;
-
-				for(var k=0;k<n;k++)
-				{
-					var vTask = this.getArrayLocationByID(vDepList[k]);
-					
-					if(vList[vTask].getVisible()==1)
-						this.drawDependency(vList[vTask].getEndX(),vList[vTask].getEndY(),vList[i].getStartX()-1,vList[i].getStartY())
-				}
-			}
-		}
-	}
-
-
-	this.getArrayLocationByID = function(pId)
-	{
-		var vList = this.getList();
-		for(var i = 0; i < vList.length; i++)
-		{
-			if(vList[i].getID()==pId)
-				return i;
-		}
-	}
-
-	this.Draw = function(pNameWidth)
-	{
-		var vMaxDate = new Date();
-		var vMinDate = new Date();	
-		var vTmpDate = new Date();
-		var vNxtDate = new Date();
-		var vCurrDate = new Date();
-		var vTaskLeft = 0;
-		var vTaskRight = 0;
-		var vNumCols = 0;
-		var vID = 0;
-		var vMainTable = "";
-		var vLeftTable = "";
-		var vRightTable = "";
-		var vDateRowStr = "";
-		var vItemRowStr = "";
-		var vColWidth = 0;
-		var vColUnit = 0;
-		var vChartWidth = 0;
-		var vNumDays = 0;
-		var vDayWidth = 0;
-		var vStr = "";
-		var vNameWidth = 300;
-		if (pNameWidth)
-		{
-			vNameWidth = pNameWidth;
-		}
-		var vStatusWidth = 70;
-		// moved below
-		//var vLeftWidth = 15 + vNameWidth + 70 + 70 + 70 + 70 + 70;
-
-		if(vTaskList.length > 0)
-		{
-
-			// Process all tasks preset parent date and completion %
-			JSGantt.processRows(vTaskList, 0, -1, 1, 1);
-
-			// get overall min/max dates plus padding
-			vMinDate = JSGantt.getMinDate(vTaskList, vFormat);
-			vMaxDate = JSGantt.getMaxDate(vTaskList, vFormat);
-
-			// Calculate chart width variables.  vColWidth can be altered manually to change each column width
-			// May be smart to make this a parameter of GanttChart or set it based on existing pWidth parameter
-			if(vFormat == 'day')
-			{
-				vColWidth = 18;
-				vColUnit = 1;
-			}
-			else if(vFormat == 'week')
-			{
-				vColWidth = 37;
-				vColUnit = 7;
-			}
-			else if(vFormat == 'month')
-			{
-				vColWidth = 37;
-				vColUnit = 30;
-			}
-			else if(vFormat == 'quarter')
-			{
-				vColWidth = 60;
-				vColUnit = 90;
-			}
-			
-			else if(vFormat=='hour')
-			{
-				vColWidth = 18;
-				vColUnit = 1;
-			}
-
-			else if(vFormat=='minute')
-			{
-				vColWidth = 18;
-				vColUnit = 1;
-			}
-
-			vNumDays = (Date.parse(vMaxDate) - Date.parse(vMinDate)) / ( 24 * 60 * 60 * 1000);
-			vNumUnits = vNumDays / vColUnit;
-
-			vChartWidth = vNumUnits * vColWidth + 1;
-			vDayWidth = (vColWidth / vColUnit) + (1/vColUnit);
-
-			vMainTable =
-				'<div class="ganttchart">'
-				+ '<table class="ganttchartmaintable"><tbody><tr>'
-			;
-			
-			// DRAW the Left-side of the chart (names, resources, comp%)
-			var extracolsnum = 0;
-			if(vShowRes ==1) extracolsnum++;
-			if(vShowDur ==1) extracolsnum++;
-			if(vShowComp==1) extracolsnum++;
-			if(vShowStartDate==1) extracolsnum++;
-			if(vShowEndDate==1) extracolsnum++;
-			
-			vNameWidth+=vStatusWidth*extracolsnum;
-			
-			var vLeftWidth = vNameWidth;
-			
-			vLeftTable =
-				'<td style="width:' + vLeftWidth + 'px">'
-				+'<div class="tasksarea"><table><tbody>'
-				+'<tr>'
-				+'  <td colspan="'+(extracolsnum+1)+'">&nbsp;</td>'; 
-
-
-			vLeftTable +=
-				'<tr>'
-				//+'  <td style="width: ' + vNameWidth + 'px;">&nbsp;</td>'
-				+'  <td>&nbsp;</td>'
-			;
-
-			// TODO: temporary function - should simply be done in a loop over headers desc array/object
-			function tmpfunTaskDescHeaderAdd (pColWidth, pDesc)
-			{
-				return '  <th style="width: ' + pColWidth + 'px;">'+pDesc+'</th>';
-			}
-			if(vShowRes ==1)      vLeftTable += tmpfunTaskDescHeaderAdd (vStatusWidth, JSGantt.lang['header-res']);
-			if(vShowDur ==1)      vLeftTable += tmpfunTaskDescHeaderAdd (vStatusWidth, JSGantt.lang['header-dur']);
-			if(vShowComp==1)      vLeftTable += tmpfunTaskDescHeaderAdd (vStatusWidth, JSGantt.lang['header-comp']);
-			if(vShowStartDate==1) vLeftTable += tmpfunTaskDescHeaderAdd (vStatusWidth, JSGantt.lang['header-startdate']);
-			if(vShowEndDate==1)   vLeftTable += tmpfunTaskDescHeaderAdd (vStatusWidth, JSGantt.lang['header-enddate']);
-			
-			vLeftTable += '</tr>';
-
-			//
-			// TASKS
-			//
-			for(i = 0; i < vTaskList.length; i++)
-			{ 
-				if( vTaskList[i].getGroup())
-				{
-					vBGColor = "f3f3f3";
-					vRowType = "group";
-				}
-				else
-				{
-					vBGColor  = "ffffff";
-					vRowType  = "row";
-				}
-
-				vID = vTaskList[i].getID();
-
-				var isDuplicateTaskToBeMovedUp = false;
-				if (vLeftTable.indexOf(' id=child_' + vID + ' ')==-1)	// to allow more bars on one row
-				{
-					vLeftTable += '<tr id=child_' + vID + ' bgcolor="#' + vBGColor + '" ' + (vTaskList[i].getVisible()==0 ? 'style="display:none"' : '') + ' onmouseover="oJSGant.mouseOver(this,' + vID + ',\'left\',\'' + vRowType + '\')" onmouseout="oJSGant.mouseOut(this,' + vID + ',\'left\',\'' + vRowType + '\')">' ;
-				}
-				else
-				{
-					isDuplicateTaskToBeMovedUp = true;
-					vLeftTable += '<tr style="display:none;">' ;
-				}
-
-
-				vLeftTable += 
-					'  <td class="gname"><nobr><span style="color: #aaaaaa">';
-
-				for(j=1; j<vTaskList[i].getLevel(); j++)
-				{
-                    if (vTaskList[i])
-					vLeftTable += '&nbsp&nbsp&nbsp&nbsp';
-				}
-
-				vLeftTable += '</span>';
-
-				if( vTaskList[i].getGroup())
-				{
-					if( vTaskList[i].getOpen() == 1) 
-						vLeftTable += '<span id="group_' + vID + '" style="color:#000000; cursor:pointer; font-weight:bold;" onclick="JSGantt.folder(' + vID + ','+vGanttVar+');'+vGanttVar+'.DrawDependencies();">&ndash;</span><span style="color:#000000">&nbsp</span>' ;
-					else
-						vLeftTable += '<span id="group_' + vID + '" style="color:#000000; cursor:pointer; font-weight:bold;" onclick="JSGantt.folder(' + vID + ','+vGanttVar+');'+vGanttVar+'.DrawDependencies();">+</span><span style="color:#000000">&nbsp</span>' ;
-				}
-				else
-				{
-					vLeftTable += '<span style="color: #000000; font-weight:bold;">&nbsp&nbsp</span>';
-				}
-
-//				if (vTaskList[i].getLink().length>0)
-//				{
-					//vLeftTable += '<span title="'+ vTaskList[i].getName() +'" onclick=JSGantt.taskLink("' + vTaskList[i].getLink() + '",300,200); style="cursor:pointer"> ' + vTaskList[i].getName() + '</span></NOBR></TD>' ;
-//					vLeftTable += ' <span title="'+ vTaskList[i].getName() +'" class="linked_task"><a onclick="JSGantt.taskLink(\'' + name + '\',700,600); return false;" href="'+ vTaskList[i].getLink() +'" target="_blank">' + vTaskList[i].getShortName(pNameWidth) + '</a></span></nobr></td>' ;
-//				}
-//				else
-//				{
-				vLeftTable += ' <span title="'+ vTaskList[i].getName() +'">' + vTaskList[i].getShortName(pNameWidth) + '</span></nobr></td>' ;
-//				}
-
-				if(vShowRes ==1) vLeftTable += '  <td class="gtaskdesc"><nobr>' + vTaskList[i].getResource() + '</nobr></td>' ;
-				if(vShowDur ==1) vLeftTable += '  <td class="gtaskdesc"><nobr>' + vTaskList[i].getDuration(vFormat) + '</nobr></td>' ;
-				if(vShowComp==1) vLeftTable += '  <td class="gtaskdesc"><nobr>' + vTaskList[i].getCompStr()  + '</nobr></td>' ;
-				if(vShowStartDate==1) vLeftTable += '  <td class="gtaskdesc"><nobr>' + JSGantt.formatDateStr( vTaskList[i].getStart(), vDateDisplayFormat) + '</nobr></td>' ;
-				if(vShowEndDate==1) vLeftTable += '  <td class="gtaskdesc"><nobr>' + JSGantt.formatDateStr( vTaskList[i].getEnd(), vDateDisplayFormat) + '</nobr></td>' ;
-
-				vLeftTable += '</TR>';
-                
-			}
-
-			// DRAW the date format selector at bottom left.  Another potential GanttChart parameter to hide/show this selector
-			vLeftTable += '</td></tr>' +
-				'<tr><td colspan="5" class="format_chooser">'+JSGantt.lang['format-label'];
-
-			if (vFormatArr.join().indexOf("minute")!=-1)
-			{
-				if (vFormat=='minute') vLeftTable += '<input type=radio name="radFormat" value="minute" checked />'+JSGantt.lang['format-minute'];
-				else                vLeftTable += '<input type=radio name="radFormat" onclick=JSGantt.changeFormat("minute",'+vGanttVar+'); value="minute" />'+JSGantt.lang['format-minute'];
-			}
-			
-			// TODO: temporary function - should simply be done in a loop over formats array/object
-			function tmpfunFormatAdd (currentFormatId, formatId, formatName)
-			{
-				return '<input type=radio id="radFormat_'+formatId+'" name="radFormat" value="'+formatId+'" '
-					+(currentFormatId==formatId? 'checked' : 'onclick=JSGantt.changeFormat("'+formatId+'",'+vGanttVar+');')
-					+'>'
-					+'<label for="radFormat_'+formatId+'">'+formatName+'</label>';
-			}
-			if (vFormatArr.join().indexOf("hour")!=-1)
-			{
-				vLeftTable += tmpfunFormatAdd(vFormat, 'hour', JSGantt.lang['format-hour']);
-			}
-			if (vFormatArr.join().indexOf("day")!=-1)
-			{
-				vLeftTable += tmpfunFormatAdd(vFormat, 'day', JSGantt.lang['format-day']);
-			}
-			if (vFormatArr.join().indexOf("week")!=-1)
-			{
-				vLeftTable += tmpfunFormatAdd(vFormat, 'week', JSGantt.lang['format-week']);
-			}
-			if (vFormatArr.join().indexOf("month")!=-1)
-			{ 
-				vLeftTable += tmpfunFormatAdd(vFormat, 'month', JSGantt.lang['format-month']);
-			}
-			if (vFormatArr.join().indexOf("quarter")!=-1)
-			{
-				vLeftTable += tmpfunFormatAdd(vFormat, 'quarter', JSGantt.lang['format-quarter']);
-			}
-			
-			// vLeftTable += '<INPUT TYPE=RADIO NAME="other" VALUE="other" style="display:none"> .';
-
-			vLeftTable += '</td></tr></tbody></table></td>';
-
-			vMainTable += vLeftTable;
-
-			// Draw the Chart Rows
-			vRightTable = 
-			'<td>' +
-			'<div class="chartarea" id="rightside">' +
-			'<table>' +
-			'<tbody><tr>';
-
-			vTmpDate.setFullYear(vMinDate.getFullYear(), vMinDate.getMonth(), vMinDate.getDate());
-			vTmpDate.setHours(0);
-			vTmpDate.setMinutes(0);
-
-			// Major Date Header
-			while(Date.parse(vTmpDate) <= Date.parse(vMaxDate))
-			{	
-				vStr = vTmpDate.getFullYear() + '';
-				vStr = vStr.substring(2,4);
-				
-				
-				if(vFormat == 'minute')
-				{
-					vRightTable += '<td class=gdatehead align=center colspan=60>' ;
-					vRightTable += JSGantt.formatDateStr(vTmpDate, vDateDisplayFormat) + ' ' + vTmpDate.getHours() + ':00 -' + vTmpDate.getHours() + ':59 </td>';
-					vTmpDate.setHours(vTmpDate.getHours()+1);
-				}
-				
-				if(vFormat == 'hour')
-				{
-					vRightTable += '<td class=gdatehead align=center colspan=24>' ;
-					vRightTable += JSGantt.formatDateStr(vTmpDate, vDateDisplayFormat) + '</td>';
-					vTmpDate.setDate(vTmpDate.getDate()+1);
-				}
-				
-				if(vFormat == 'day')
-				{
-					vRightTable += '<td class=gdatehead align=center colspan=7>'
-						+ Date.monthNames[vTmpDate.getMonth()] + ' ' + (vTmpDate.getYear()+1900)  // Just shows month and year for every week 
-                        + '</td>';
-                        
-                    vTmpDate.setDate(vTmpDate.getDate()+6);                                       // Previos view of dates
-					vTmpDate.setDate(vTmpDate.getDate()+1);
-				}
-				else if(vFormat == 'week')
-				{
-					//vRightTable += '<td class=gdatehead align=center width='+vColWidth+'px>`'+ vStr + '</td>';
-					vRightTable += '<td class=gdatehead align=center width='+vColWidth+'px>'
-						+ JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].upper)
-						+ '</td>';
-					vTmpDate.setDate(vTmpDate.getDate()+7);
-				}
-				else if(vFormat == 'month')
-				{
-					vRightTable += '<td class=gdatehead align=center width='+vColWidth+'px>' 
-						+ JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].upper)
-						+ '</td>';
-					vTmpDate.setDate(vTmpDate.getDate() + 1);
-					while(vTmpDate.getDate() > 1)
-					{
-						vTmpDate.setDate(vTmpDate.getDate() + 1);
-					}
-				}
-				else if(vFormat == 'quarter')
-				{
-					vRightTable += '<td class=gdatehead align=center width='+vColWidth+'px>'
-						+ JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].upper)
-						+ '</td>';
-					vTmpDate.setDate(vTmpDate.getDate() + 81);
-					while(vTmpDate.getDate() > 1)
-					{
-						vTmpDate.setDate(vTmpDate.getDate() + 1);
-					}
-				}
-
-			}
-
-			vRightTable += '</tr><tr>';
-
-			// Minor Date header and Cell Rows
-			vTmpDate.setFullYear(vMinDate.getFullYear(), vMinDate.getMonth(), vMinDate.getDate());
-			vNxtDate.setFullYear(vMinDate.getFullYear(), vMinDate.getMonth(), vMinDate.getDate());
-			vNumCols = 0;
- 
-			while(Date.parse(vTmpDate) <= Date.parse(vMaxDate))
-			{	
-				if (vFormat == 'minute')
-				{
-			
-					if( vTmpDate.getMinutes() ==0 ) 
-						vWeekdayColor = "ccccff";
-					else
-						vWeekdayColor = "ffffff";
-			
-					vDateRowStr += '<td class="ghead"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">' + vTmpDate.getMinutes() + '</div></td>';
-					vItemRowStr += '<td class="ghead" style="cursor: default;"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					vTmpDate.setMinutes(vTmpDate.getMinutes() + 1);
-				}
-				else if (vFormat == 'hour')
-				{
-					if(  vTmpDate.getHours() ==0  )
-						vWeekdayColor = "ccccff";
-					else
-						vWeekdayColor = "ffffff";
-
-					vDateRowStr += '<td class="ghead"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">' + vTmpDate.getHours() + '</div></td>';
-					vItemRowStr += '<td class="ghead" style="cursor: default;"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					vTmpDate.setHours(vTmpDate.getHours() + 1);
-				}
-
-				else if(vFormat == 'day' )
-				{
-					// is it today?
-					if( JSGantt.formatDateStr(vCurrDate,'yyyy-mm-dd') == JSGantt.formatDateStr(vTmpDate,'yyyy-mm-dd'))
-					{
-						vWeekdayColor  = "ccccff";
-						vWeekendColor  = "9999ff";
-						vWeekdayGColor  = "bbbbff";
-						vWeekendGColor = "8888ff";
-					}
-					else
-					{
-						vWeekdayColor = "ffffff";
-						vWeekendColor = "cfcfcf";
-						vWeekdayGColor = "f3f3f3";
-						vWeekendGColor = "c3c3c3";
-					}
-					
-					if(vTmpDate.getDay() % 6 == 0)
-					{
-						vDateRowStr  += '<td class="gheadwkend" bgcolor=#' + vWeekendColor + ' align=center><div style="width: '+vColWidth+'px">' + vTmpDate.getDate() + '</div></td>';
-						vItemRowStr  += '<td class="gheadwkend" style="cursor: default;"  bgcolor=#' + vWeekendColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp</div></td>';
-					}
-					else
-					{
-						vDateRowStr += '<td class="ghead"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">' + vTmpDate.getDate() + '</div></td>';
-						// is it today?
-						if( JSGantt.formatDateStr(vCurrDate,'yyyy-mm-dd') == JSGantt.formatDateStr(vTmpDate,'yyyy-mm-dd'))
-							vItemRowStr += '<td class="ghead" style="cursor: default;"  bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" style="cursor: default;"  align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					}
-
-					vTmpDate.setDate(vTmpDate.getDate() + 1);
-				}
-				else if(vFormat == 'week')
-				{
-					vNxtDate.setDate(vNxtDate.getDate() + 7);
-
-					if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-						vWeekdayColor = "ccccff";
-					else
-						vWeekdayColor = "ffffff";
-
-					if(vNxtDate <= vMaxDate) 
-					{
-						vDateRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center width:'+vColWidth+'px>'
-							+'<div style="width: '+vColWidth+'px">' + JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower) + '</div></td>'
-						;
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor="#' + vWeekdayColor + '" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-
-					}
-					else
-					{
-						vDateRowStr += '<td class="ghead" bgcolor="#' + vWeekdayColor + '" align=center width:'+vColWidth+'px>'
-							+'<div style="width: '+vColWidth+'px">' + JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower) + '</div></td>';
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-
-					}
-
-					vTmpDate.setDate(vTmpDate.getDate() + 7);
-
-				}
-				else if(vFormat == 'month')
-				{
-					vNxtDate.setFullYear(vTmpDate.getFullYear(), vTmpDate.getMonth(), vMonthDaysArr[vTmpDate.getMonth()]);
-					if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate )
-						vWeekdayColor = "ccccff";
-					else
-						vWeekdayColor = "ffffff";
-                    
-					if(vNxtDate <= vMaxDate)
-					{
-						vDateRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center width='+vColWidth+'px><div style="width: '+vColWidth+'px">' 
-							+ JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower)  + '</div></td>';
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center><div style="width:'+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					}
-					else
-					{
-						vDateRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center width='+vColWidth+'px><div style="width: '+vColWidth+'px">' + 
-							JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower) + '</div></td>';
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center><div style="width:'+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					}
-
-					vTmpDate.setDate(vTmpDate.getDate() + 1);
-
-					while(vTmpDate.getDate() > 1) 
-					{
-						vTmpDate.setDate(vTmpDate.getDate() + 1);
-					}
-
-				}
-				else if(vFormat == 'quarter')
-				{
-
-					vNxtDate.setDate(vNxtDate.getDate() + 122);
-					if( vTmpDate.getMonth()==0 || vTmpDate.getMonth()==1 || vTmpDate.getMonth()==2 )
-						vNxtDate.setFullYear(vTmpDate.getFullYear(), 2, 31);
-					else if( vTmpDate.getMonth()==3 || vTmpDate.getMonth()==4 || vTmpDate.getMonth()==5 )
-						vNxtDate.setFullYear(vTmpDate.getFullYear(), 5, 30);
-					else if( vTmpDate.getMonth()==6 || vTmpDate.getMonth()==7 || vTmpDate.getMonth()==8 )
-						vNxtDate.setFullYear(vTmpDate.getFullYear(), 8, 30);
-					else if( vTmpDate.getMonth()==9 || vTmpDate.getMonth()==10 || vTmpDate.getMonth()==11 )
-						vNxtDate.setFullYear(vTmpDate.getFullYear(), 11, 31);
-
-					if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-						vWeekdayColor = "ccccff";
-					else
-						vWeekdayColor = "ffffff";
-
-					if(vNxtDate <= vMaxDate) 
-					{
-						vDateRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center width:'+vColWidth+'px>'
-							+'<div style="width: '+vColWidth+'px">' + JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower)  + '</div></td>';
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					}
-					else
-					{
-						vDateRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center width:'+vColWidth+'px>'
-							+'<div style="width: '+vColWidth+'px">' + JSGantt.formatDateStr(vTmpDate, vDateDisplayFormatCaptions[vFormat].lower)  + '</div></td>';
-						if( vCurrDate >= vTmpDate && vCurrDate < vNxtDate ) 
-							vItemRowStr += '<td class="ghead" bgcolor=#' + vWeekdayColor + ' align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-						else 
-							vItemRowStr += '<td class="ghead" align=center><div style="width: '+vColWidth+'px">&nbsp&nbsp</div></td>';
-					}
-
-					vTmpDate.setDate(vTmpDate.getDate() + 81);
-
-					while(vTmpDate.getDate() > 1) 
-					{
-						vTmpDate.setDate(vTmpDate.getDate() + 1);
-					}
-
-				}
-			} 
-
-			vRightTable += vDateRowStr + '</tr>';
-			vRightTable += '</tbody></table>';
-
-            // Draw each row
-			for(i = 0; i < vTaskList.length; i++)
-			{
-                let name = vTaskList[i].getName();
-                var res = name.replace(/&quot;/g, '');
-                name = res.split(' ').join('+');
-                
-				vTmpDate.setFullYear(vMinDate.getFullYear(), vMinDate.getMonth(), vMinDate.getDate());
-				vTaskStart = vTaskList[i].getStart();
-				vTaskEnd   = vTaskList[i].getEnd();
-
-				vNumCols = 0;
-				vID = vTaskList[i].getID();
-
-				// vNumUnits = Math.ceil((vTaskList[i].getEnd() - vTaskList[i].getStart()) / (24 * 60 * 60 * 1000)) + 1;
-				vNumUnits = (vTaskList[i].getEnd() - vTaskList[i].getStart()) / (24 * 60 * 60 * 1000) + 1;
-				if (vFormat=='hour')
-				{
-					vNumUnits = (vTaskList[i].getEnd() - vTaskList[i].getStart()) / (  60 * 1000) + 1;
-				}
-				else if (vFormat=='minute')
-				{
-					vNumUnits = (vTaskList[i].getEnd() - vTaskList[i].getStart()) / (  60 * 1000) + 1;
-				}
-
-				var isDuplicateTaskToBeMovedUp = false;
-				if (vRightTable.indexOf(' id=childgrid_' + vID + ' ')==-1)	// to allow more bars on one row
-				{
-					if(vTaskList[i].getVisible() == 0)
-						vRightTable += '<div id=childgrid_' + vID + ' style="position:relative; display:none;">';
-					else
-						vRightTable += '<div id=childgrid_' + vID + ' style="position:relative">';
-				}
-				else
-				{
-					isDuplicateTaskToBeMovedUp = true;
-					vRightTable += '<div style="position:relative; top:-20px;">';
-				}
-				
-				if( vTaskList[i].getMile())
-				{
-					vRightTable += '<div><table style="position:relative; top:0px; width: ' + vChartWidth + 'px;">' +
-						'<tr id=childrow_' + vID + ' class=yesdisplay onmouseover="oJSGant.mouseOver(this,' + vID + ',\'right\',\'mile\')" onmouseout="oJSGant.mouseOut(this,' + vID + ',\'right\',\'mile\')">' + vItemRowStr + '</tr></table></div>';
-
-					// Build date string for Title
-					vDateRowStr = JSGantt.formatDateStr(vTaskStart,vDateDisplayFormat);
-
-					vTaskLeft = (Date.parse(vTaskList[i].getStart()) - Date.parse(vMinDate)) / (24 * 60 * 60 * 1000);
-					vTaskRight = 1
-
-					vRightTable +=
-						'<div id=bardiv_' + vID + ' style="position:absolute; top:0px; left:' + Math.ceil((vTaskLeft * (vDayWidth) - 2)) + 'px; height: 18px; width:16px; overflow:hidden;">' +
-						'  <div id=taskbar_' + vID + ' title="' + vTaskList[i].getName() + ': ' + vDateRowStr + '" style="position:relative;left:2px; height: 20px; width:16px; overflow:hidden; cursor: pointer; font-size:16px;" onclick=JSGantt.taskLink("' + name + '");>';
-
-					if(vTaskList[i].getCompVal() < 100)
-						vRightTable += '&#x2606;</div>' ;
-					else
-						vRightTable += '&#x2605;</div>' ;
-
-					if( oJSGant.getCaptionType() )
-					{
-						vCaptionStr = '';
-						switch( oJSGant.getCaptionType() )
-						{       
-							case 'Caption':    vCaptionStr = vTaskList[i].getCaption();  break;
-							case 'Resource':   vCaptionStr = vTaskList[i].getResource();  break;
-							case 'Duration':   vCaptionStr = vTaskList[i].getDuration(vFormat);  break;
-							case 'Complete':   vCaptionStr = vTaskList[i].getCompStr();  break;
-						}
-						//vRightTable += '<div style="position:absolute; left: 6px; top:1px;">' + vCaptionStr + '</div>';
-						vRightTable += '<div style="position:absolute; top:2px; width:120px; left:12px">' + vCaptionStr + '</div>';
-					}
-
-					vRightTable += '</div>';
-				}
-				else
-				{
-					// Build date string for Title
-					vDateRowStr = JSGantt.formatDateStr(vTaskStart,vDateDisplayFormat) + ' - ' + JSGantt.formatDateStr(vTaskEnd,vDateDisplayFormat)
-
-					if (vFormat=='minute')
-					{
-						vTaskRight = (Date.parse(vTaskList[i].getEnd()) - Date.parse(vTaskList[i].getStart())) / ( 60 * 1000) + 1/vColUnit;
-						vTaskLeft = Math.ceil((Date.parse(vTaskList[i].getStart()) - Date.parse(vMinDate)) / ( 60 * 1000));
-					}
-					else if (vFormat=='hour')
-					{
-						vTaskRight = (Date.parse(vTaskList[i].getEnd()) - Date.parse(vTaskList[i].getStart())) / ( 60 * 60 * 1000) + 1/vColUnit;
-						vTaskLeft = (Date.parse(vTaskList[i].getStart()) - Date.parse(vMinDate)) / ( 60 * 60 * 1000);
-					}
-					else
-					{
-						vTaskRight = (Date.parse(vTaskList[i].getEnd()) - Date.parse(vTaskList[i].getStart())) / (24 * 60 * 60 * 1000) + 1/vColUnit;
-						vTaskLeft = Math.ceil((Date.parse(vTaskList[i].getStart()) - Date.parse(vMinDate)) / (24 * 60 * 60 * 1000));
-						if (vFormat='day')
-						{
-							var tTime=new Date();
-							tTime.setTime(Date.parse(vTaskList[i].getStart()));
-							if (tTime.getMinutes() > 29)
-								vTaskLeft+=.5
-						}
-					}
-
-					// Draw Group Bar  which has outer div with inner group div and several small divs to left and right to create angled-end indicators
-					if( vTaskList[i].getGroup())
-					{
-						vRightTable += '<DIV><TABLE style="position:relative; top:0px; width: ' + vChartWidth + 'px;">' +
-							'<TR id=childrow_' + vID + ' class=yesdisplay bgColor=#f3f3f3 onMouseover="oJSGant.mouseOver(this,' + vID + ',\'right\',\'group\')" onMouseout="oJSGant.mouseOut(this,' + vID + ',\'right\',\'group\')">' + vItemRowStr + '</TR></TABLE></DIV>';
-						vRightTable +=
-							'<div id=bardiv_' + vID + ' style="position:absolute; top:5px; left:' + Math.ceil(vTaskLeft * (vDayWidth) + 1) + 'px; height: 7px; width:' + Math.ceil((vTaskRight) * (vDayWidth) - 1) + 'px">' +
-								'<div id=taskbar_' + vID + ' title="' + vTaskList[i].getName() + ': ' + vDateRowStr + '" class=gtask style="background-color:#000000; height: 7px; width:' + Math.ceil((vTaskRight) * (vDayWidth) -1) + 'px;  cursor: pointer;opacity:0.9;" onclick=JSGantt.taskLink("' + name + '"); >' +
-									'<div style="Z-INDEX: -4; float:left; background-color:#fff; height:3px; overflow: hidden; margin-top:1px; ' +
-										'margin-left:1px; margin-right:1px; filter: alpha(opacity=80); opacity:0.8; width:' + vTaskList[i].getCompStr() + '; ' + 
-										'cursor: pointer;" >' +
-									'</div>' +
-								'</div>' +
-								'<div style="Z-INDEX: -4; float:left; background-color:#000000; height:4px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:right; background-color:#000000; height:4px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:left; background-color:#000000; height:3px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:right; background-color:#000000; height:3px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:left; background-color:#000000; height:2px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:right; background-color:#000000; height:2px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:left; background-color:#000000; height:1px; overflow: hidden; width:1px;"></div>' +
-								'<div style="Z-INDEX: -4; float:right; background-color:#000000; height:1px; overflow: hidden; width:1px;"></div>'
-						;
-
-						if( oJSGant.getCaptionType() )
-						{
-							vCaptionStr = '';
-							switch( oJSGant.getCaptionType() )
-							{
-								case 'Caption':    vCaptionStr = vTaskList[i].getCaption();  break;
-								case 'Resource':   vCaptionStr = vTaskList[i].getResource();  break;
-								case 'Duration':   vCaptionStr = vTaskList[i].getDuration(vFormat);  break;
-								case 'Complete':   vCaptionStr = vTaskList[i].getCompStr();  break;
-							}
-							//vRightTable += '<div style="position:absolute; left: 6px; top:1px;">' + vCaptionStr + '</div>';
-							vRightTable += '<div style="position:absolute; top:-3px; width:120px; left:' + (Math.ceil((vTaskRight) * (vDayWidth) - 1) + 6) + 'px">' + vCaptionStr + '</div>';
-						}
-
-						vRightTable += '</div>' ;
-					}
-					else
-					{
-                        
-                        
-						if (!isDuplicateTaskToBeMovedUp)
-						{
-							vDivStr = '<DIV><TABLE style="position:relative; top:0px; width: ' + vChartWidth + 'px;">' +
-								'<TR id=childrow_' + vID + ' class=yesdisplay bgColor=#ffffff onMouseover="oJSGant.mouseOver(this,' + vID + ',\'right\',\'row\')" onMouseout="oJSGant.mouseOut(this,' + vID + ',\'right\',\'row\')">' + vItemRowStr + '</TR></TABLE></DIV>';
-							vRightTable += vDivStr;
-						}
-						
-						// Draw Task Bar  which has outer DIV with enclosed colored bar div, and opaque completion div
-						vRightTable +=
-							'<div id=bardiv_' + vID + ' style="position:absolute; top:4px; left:' + Math.ceil(vTaskLeft * (vDayWidth) + 1) + 'px; width:' + Math.ceil((vTaskRight) * (vDayWidth) - 1) + 'px">' +
-								'<div id=taskbar_' + vID + ' title="' + vTaskList[i].getName() + ': ' + vDateRowStr + '" class=gtask style="background-color:#' + vTaskList[i].getColor() +'; height: 13px; width:' + Math.ceil((vTaskRight) * (vDayWidth) - 1) + 'px; cursor: pointer;opacity:0.9;" ' +
-									'onclick=JSGantt.taskLink("' + name + '"); >' +
-									'<div class=gcomplete style="Z-INDEX: -4; float:left; background-color:black; height:5px; overflow: auto; margin-top:4px; filter: alpha(opacity=40); opacity:0.4; width:' + vTaskList[i].getCompStr() + '; overflow:hidden">' +
-									'</div>' +
-								'</div>'
-						;
-
-						if( oJSGant.getCaptionType() ) 
-						{
-							vCaptionStr = '';
-							switch( oJSGant.getCaptionType() ) {           
-								case 'Caption':    vCaptionStr = vTaskList[i].getCaption();  break;
-								case 'Resource':   vCaptionStr = vTaskList[i].getResource();  break;
-								case 'Duration':   vCaptionStr = vTaskList[i].getDuration(vFormat);  break;
-								case 'Complete':   vCaptionStr = vTaskList[i].getCompStr();  break;
-							}
-							//vRightTable += '<div style="position:absolute; left: 6px; top:-3px;">' + vCaptionStr + '</div>';
-							vRightTable += '<div style="position:absolute; top:-3px; width:120px; left:' + (Math.ceil((vTaskRight) * (vDayWidth) - 1) + 6) + 'px">' + vCaptionStr + '</div>';
-						}
-						vRightTable += '</div>' ;
-					}
-				}
-				vRightTable += '</DIV>';
-			}
-
-			vMainTable += vRightTable + '</DIV></TD></TR></TBODY></TABLE></div>';
-
-			vDiv.innerHTML = vMainTable;
-
-			// Chart window at full available size
-			try
-			{
-				document.getElementById('rightside').style.width=(vDiv.clientWidth - vNameWidth - 20)+'px';// -20 <= some startup width bug (in Vector only?)
-			} catch(e) {}
-			if (typeof (this.isResizeAlreadyAdded)=='undefined')
-			{
-				this.isResizeAlreadyAdded = true;
-				smpAddEvent(
-					window, 'resize'
-					, function()
-					{
-						try
-						{
-							document.getElementById('rightside').style.width=(vDiv.clientWidth - vNameWidth)+'px';
-						} catch(e) {}
-					}
-				);
-			}
-			//
-		}
-
-	} //this.draw
-
-	this.mouseOver = function( pObj, pID, pPos, pType )
-	{
-		if( pPos == 'right' )  vID = 'child_' + pID;
-		else vID = 'childrow_' + pID;
-	  
-		pObj.bgColor = "#ffffaa";
-		vRowObj = JSGantt.findObj(vID);
-		if (vRowObj) vRowObj.bgColor = "#ffffaa";
-	}
-
-	this.mouseOut = function( pObj, pID, pPos, pType )
-	{
-		if( pPos == 'right' )  vID = 'child_' + pID;
-		else vID = 'childrow_' + pID;
-		
-		pObj.bgColor = "#ffffff";
-		vRowObj = JSGantt.findObj(vID);
-		if (vRowObj)
-		{
-			if( pType == "group")
-			{
-				pObj.bgColor = "#f3f3f3";
-				vRowObj.bgColor = "#f3f3f3";
-			}
-			else
-			{
-				pObj.bgColor = "#ffffff";
-				vRowObj.bgColor = "#ffffff";
-			}
-		}
-	}
-
-} //GanttChart		
-
-// Recursively process task tree ... set min, max dates of parent tasks and identfy task level.
-JSGantt.processRows = function(pList, pID, pRow, pLevel, pOpen)
-{
-
-	var vMinDate = new Date();
-	var vMaxDate = new Date();
-	var vMinSet  = 0;
-	var vMaxSet  = 0;
-	var vList    = pList;
-	var vLevel   = pLevel;
-	var i        = 0;
-	var vNumKid  = 0;
-	var vCompSum = 0;
-	var vVisible = pOpen;
-
-	for(i = 0; i < pList.length; i++)
-	{
-		if(pList[i].getParent() == pID)
-		{
-			vVisible = pOpen;
-			pList[i].setVisible(vVisible);
-			if(vVisible==1 && pList[i].getOpen() == 0) 
-				vVisible = 0;
-				
-			pList[i].setLevel(vLevel);
-			vNumKid++;
-
-			if(pList[i].getGroup() == 1)
-			{
-				JSGantt.processRows(vList, pList[i].getID(), i, vLevel+1, vVisible);
-			}
-
-			if( vMinSet==0 || pList[i].getStart() < vMinDate)
-			{
-				vMinDate = pList[i].getStart();
-				vMinSet = 1;
-			}
-
-			if( vMaxSet==0 || pList[i].getEnd() > vMaxDate)
-			{
-				vMaxDate = pList[i].getEnd();
-				vMaxSet = 1;
-			}
-
-			vCompSum += pList[i].getCompVal();
-		}
-	}
-
-	if(pRow >= 0)
-	{
-		pList[pRow].setStart(vMinDate);
-		pList[pRow].setEnd(vMaxDate);
-		pList[pRow].setNumKid(vNumKid);
-		pList[pRow].setCompVal(Math.ceil(vCompSum/vNumKid));
-	}
-}
-
-
-// Used to determine the minimum date of all tasks and set lower bound based on format
-JSGantt.getMinDate = function getMinDate(pList, pFormat)  
-{
-
-	var vDate = new Date();
-
-	vDate.setFullYear(pList[0].getStart().getFullYear(), pList[0].getStart().getMonth(), pList[0].getStart().getDate());
-
-	// Parse all Task End dates to find min
-	for(i = 0; i < pList.length; i++)
-	{
-		if(Date.parse(pList[i].getStart()) < Date.parse(vDate))
-			vDate.setFullYear(pList[i].getStart().getFullYear(), pList[i].getStart().getMonth(), pList[i].getStart().getDate());
-	}
-
-	if ( pFormat== 'minute')
-	{
-		vDate.setHours(0);
-		vDate.setMinutes(0);
-	}
-	else if (pFormat == 'hour' )
-	{
-		vDate.setHours(0);
-		vDate.setMinutes(0);
-	}
-	// Adjust min date to specific format boundaries (first of week or first of month)
-	else if (pFormat=='day')
-	{
-		vDate.setDate(vDate.getDate() - 1);
-		while(vDate.getDay() % 7 > 0)
-		{
-			vDate.setDate(vDate.getDate() - 1);
-		}
-
-	}
-
-	else if (pFormat=='week')
-	{
-		vDate.setDate(vDate.getDate() - 7);
-		while(vDate.getDay() % 7 > 0)
-		{
-			vDate.setDate(vDate.getDate() - 1);
-		}
-	}
-
-	else if (pFormat=='month')
-	{
-		while(vDate.getDate() > 1)
-		{
-			vDate.setDate(vDate.getDate() - 1);
-		}
-	}
-
-	else if (pFormat=='quarter')
-	{
-		if( vDate.getMonth()==0 || vDate.getMonth()==1 || vDate.getMonth()==2 )
-			vDate.setFullYear(vDate.getFullYear(), 0, 1);
-		else if( vDate.getMonth()==3 || vDate.getMonth()==4 || vDate.getMonth()==5 )
-			vDate.setFullYear(vDate.getFullYear(), 3, 1);
-		else if( vDate.getMonth()==6 || vDate.getMonth()==7 || vDate.getMonth()==8 )
-			vDate.setFullYear(vDate.getFullYear(), 6, 1);
-		else if( vDate.getMonth()==9 || vDate.getMonth()==10 || vDate.getMonth()==11 )
-			vDate.setFullYear(vDate.getFullYear(), 9, 1);
-	}
-
-	return(vDate);
-
-}
-
-// Used to determine the minimum date of all tasks and set lower bound based on format
-
-JSGantt.getMaxDate = function (pList, pFormat)
-{
-	var vDate = new Date();
-
-	vDate.setFullYear(pList[0].getEnd().getFullYear(), pList[0].getEnd().getMonth(), pList[0].getEnd().getDate());
-	
-	// Parse all Task End dates to find max
-	for(i = 0; i < pList.length; i++)
-	{
-		if(Date.parse(pList[i].getEnd()) > Date.parse(vDate))
-		{
-			//vDate.setFullYear(pList[0].getEnd().getFullYear(), pList[0].getEnd().getMonth(), pList[0].getEnd().getDate());
-			vDate.setTime(Date.parse(pList[i].getEnd()));
-		}	
-	}
-	
-	if (pFormat == 'minute')
-	{
-		vDate.setHours(vDate.getHours() + 1);
-		vDate.setMinutes(59);
-	}
-	
-	if (pFormat == 'hour')
-	{
-		vDate.setHours(vDate.getHours() + 2);
-	}				
-		
-	// Adjust max date to specific format boundaries (end of week or end of month)
-	if (pFormat=='day')
-	{
-		vDate.setDate(vDate.getDate() + 1);
-
-		while(vDate.getDay() % 6 > 0)
-		{
-			vDate.setDate(vDate.getDate() + 1);
-		}
-
-	}
-
-	if (pFormat=='week')
-	{
-		//For weeks, what is the last logical boundary?
-		vDate.setDate(vDate.getDate() + 11);
-
-		while(vDate.getDay() % 6 > 0)
-		{
-			vDate.setDate(vDate.getDate() + 1);
-		}
-
-	}
-
-	// Set to last day of current Month
-	if (pFormat=='month')
-	{
-		while(vDate.getDay() > 1)
-		{
-			vDate.setDate(vDate.getDate() + 1);
-		}
-
-		vDate.setDate(vDate.getDate() - 1);
-	}
-
-	// Set to last day of current Quarter
-	if (pFormat=='quarter')
-	{
-		if( vDate.getMonth()==0 || vDate.getMonth()==1 || vDate.getMonth()==2 )
-			vDate.setFullYear(vDate.getFullYear(), 2, 31);
-		else if( vDate.getMonth()==3 || vDate.getMonth()==4 || vDate.getMonth()==5 )
-			vDate.setFullYear(vDate.getFullYear(), 5, 30);
-		else if( vDate.getMonth()==6 || vDate.getMonth()==7 || vDate.getMonth()==8 )
-			vDate.setFullYear(vDate.getFullYear(), 8, 30);
-		else if( vDate.getMonth()==9 || vDate.getMonth()==10 || vDate.getMonth()==11 )
-			vDate.setFullYear(vDate.getFullYear(), 11, 31);
-
-	}
-
-	return(vDate);
-
-}
-
-// This function finds the document id of the specified object
-JSGantt.findObj = function (theObj, theDoc)
-{
-	var p, i, foundObj;
-
-	if(!theDoc) theDoc = document;
-
-	if( (p = theObj.indexOf("?")) > 0 && parent.frames.length)
-	{
-		theDoc = parent.frames[theObj.substring(p+1)].document;
-		theObj = theObj.substring(0,p);
-	}
-
-	if(!(foundObj = theDoc[theObj]) && theDoc.all) 
-		foundObj = theDoc.all[theObj];
-
-	for (i=0; !foundObj && i < theDoc.forms.length; i++) 
-		foundObj = theDoc.forms[i][theObj];
-
-	for(i=0; !foundObj && theDoc.layers && i < theDoc.layers.length; i++)
-		foundObj = JSGantt.findObj(theObj,theDoc.layers[i].document);
-
-	if(!foundObj && document.getElementById)
-		foundObj = document.getElementById(theObj);
-
-	return foundObj;
-}
-
-JSGantt.changeFormat = function(pFormat,ganttObj)
-{
-	if(ganttObj) 
-	{
-		ganttObj.setFormat(pFormat);
-		ganttObj.DrawDependencies();
-	}
-	else
-		alert('Chart undefined');
-}
-
-
-
-
-
-// Function to open/close and hide/show children of specified task
-JSGantt.folder= function (pID,ganttObj)
-{
-	var vList = ganttObj.getList();
-
-	for(i = 0; i < vList.length; i++)
-	{
-		if(vList[i].getID() == pID)
-		{
-			if( vList[i].getOpen() == 1 )
-			{
-				vList[i].setOpen(0);
-				JSGantt.hide(pID,ganttObj);
-
-				if (JSGantt.isIE()) 
-					JSGantt.findObj('group_'+pID).innerText = '+';
-				else
-					JSGantt.findObj('group_'+pID).textContent = '+';
-				
-			}
-			else
-			{
-				vList[i].setOpen(1);
-
-				JSGantt.show(pID, 1, ganttObj);
-
-					if (JSGantt.isIE()) 
-						JSGantt.findObj('group_'+pID).innerText = '–';
-					else
-						JSGantt.findObj('group_'+pID).textContent = '–';
-			}
-		}
-	}
-}
-
-JSGantt.hide = function (pID,ganttObj)
-{
-	var vList = ganttObj.getList();
-	var vID   = 0;
-
-	for(var i = 0; i < vList.length; i++)
-	{
-		if(vList[i].getParent() == pID)
-		{
-			vID = vList[i].getID();
-			JSGantt.findObj('child_' + vID).style.display = "none";
-			JSGantt.findObj('childgrid_' + vID).style.display = "none";
-			vList[i].setVisible(0);
-			if(vList[i].getGroup() == 1) 
-				JSGantt.hide(vID,ganttObj);
-		}
-	}
-}
-
-// Function to show children of specified task
-JSGantt.show =  function (pID, pTop, ganttObj)
-{
-	var vList = ganttObj.getList();
-	var vID   = 0;
-
-	for(var i = 0; i < vList.length; i++)
-	{
-		if(vList[i].getParent() == pID)
-		{
-			vID = vList[i].getID();
-			if(pTop == 1)
-			{
-				if (JSGantt.isIE()) { // IE;
-					if( JSGantt.findObj('group_'+pID).innerText == '+')
-					{
-						JSGantt.findObj('child_'+vID).style.display = "";
-						JSGantt.findObj('childgrid_'+vID).style.display = "";
-						vList[i].setVisible(1);
-					}
-				}
-				else
-				{
-					if( JSGantt.findObj('group_'+pID).textContent == '+')
-					{
-						JSGantt.findObj('child_'+vID).style.display = "";
-						JSGantt.findObj('childgrid_'+vID).style.display = "";
-						vList[i].setVisible(1);
-					}
-				}
-			}
-			else
-			{
-				if (JSGantt.isIE()) // IE;
-				{
-					if( JSGantt.findObj('group_'+pID).innerText == '–') 
-					{
-						JSGantt.findObj('child_'+vID).style.display = "";
-						JSGantt.findObj('childgrid_'+vID).style.display = "";
-						vList[i].setVisible(1);
-					}
-				}
-				else
-				{
-					if( JSGantt.findObj('group_'+pID).textContent == '–')
-					{
-						JSGantt.findObj('child_'+vID).style.display = "";
-						JSGantt.findObj('childgrid_'+vID).style.display = "";
-						vList[i].setVisible(1);
-					}
-				}
-			}
-
-			if(vList[i].getGroup() == 1) 
-				JSGantt.show(vID, 0,ganttObj);
-		}
-	}
-}
-
-
-  
-
-
-// function to open window to display task link
-
-JSGantt.taskLink = function(pName) 
-{
-	//if(pWidth)  vWidth =pWidth;  else vWidth =400;
-	//if(pHeight) vHeight=pHeight; else vHeight=400;
-
-	//var OpenWindow=window.open(pRef, "newwin", "height="+vHeight+",width="+vWidth);
-    //window.attachEvent('onload', oJobSchEd.startEditor());
-    if (oJobSchEd) {
-        oJobSchEd.createOverlay();
-    }
-	var OpenWindow=window.open('/mediawiki/index.php?title='+wgTitle+'&action=edit#openTask='+pName+'', "_self");
-    //OpenWindow.focus();
-    //$(OpenWindow.document).onload(oJobSchEd.startEditor())
-}
-
-JSGantt.parseDateStr = function(pDateStr,pFormatStr)
-{
-	var vDate = Date.parseDate(pDateStr, pFormatStr);
-	return(vDate);
-}
-
-JSGantt.formatDateStr = function(pDate,pFormatStr)
-{
-	var vDateStr = pDate.dateFormat(pFormatStr);
-	return(vDateStr);
-}
-
-JSGantt.parseXML = function(ThisFile,pGanttVar)
-{
-	var is_chrome = navigator.userAgent.toLowerCase().indexOf('chrome') > -1;   // Is this Chrome 
-	
-	try { //Internet Explorer  
-		xmlDoc=new ActiveXObject("Microsoft.XMLDOM");
-	}
-	catch(e)
-	{
-		try { //Firefox, Mozilla, Opera, Chrome etc. 
-			if (is_chrome==false) {  xmlDoc=document.implementation.createDocument("","",null); }
-		}
-		catch(e) {
-			alert(e.message);
-			return;
-		}
-	}
-
-	if (is_chrome==false)	// can't use xmlDoc.load in chrome at the moment
-	{
-		xmlDoc.async=false;
-		xmlDoc.load(ThisFile);		// we can use  loadxml
-		JSGantt.AddXMLTask(pGanttVar)
-		xmlDoc=null;			// a little tidying
-		Task = null;
-	}
-	else
-	{
-		JSGantt.ChromeLoadXML(ThisFile,pGanttVar);	
-		ta=null;	// a little tidying	
-	}
-}
-
-JSGantt.AddXMLTask = function(pGanttVar)
-{
-	Task=xmlDoc.getElementsByTagName("task");
-	
-	//var n = xmlDoc.documentElement.childNodes.length;	// the number of tasks. IE gets this right, but mozilla add extra ones (Whitespace)
-	
-	//for(var i=0;i<n;i++)
-	for(var i=0;i<Task.length;i++)
-	{
-		// optional parameters may not have an entry (Whitespace from mozilla also returns an error )
-		// Task ID must NOT be zero other wise it will be skipped
-		try { pID = Task[i].getElementsByTagName("pID")[0].childNodes[0].nodeValue;
-		} catch (error) {pID =0;}
-		pID *= 1;	// make sure that these are numbers rather than strings in order to make jsgantt.js behave as expected.
-
-		if(pID!=0)
-		{
-	 		try { pName = Task[i].getElementsByTagName("pName")[0].childNodes[0].nodeValue;
-			} catch (error) {pName ="No Task Name";}			// If there is no corresponding entry in the XML file the set a default.
-		
-			try { pColor = Task[i].getElementsByTagName("pColor")[0].childNodes[0].nodeValue;
-			} catch (error) {pColor ="0000ff";}
-			
-			try { pParent = Task[i].getElementsByTagName("pParent")[0].childNodes[0].nodeValue;
-			} catch (error) {pParent =0;}
-			pParent *= 1;
-	
-			try { pStart = Task[i].getElementsByTagName("pStart")[0].childNodes[0].nodeValue;
-			} catch (error) {pStart ="";}
-
-			try { pEnd = Task[i].getElementsByTagName("pEnd")[0].childNodes[0].nodeValue;
-			} catch (error) { pEnd ="";}
-
-			try { pLink = Task[i].getElementsByTagName("pLink")[0].childNodes[0].nodeValue;
-			} catch (error) { pLink ="";}
-	
-			try { pMile = Task[i].getElementsByTagName("pMile")[0].childNodes[0].nodeValue;
-			} catch (error) { pMile=0;}
-			pMile *= 1;
-
-			try { pRes = Task[i].getElementsByTagName("pRes")[0].childNodes[0].nodeValue;
-			} catch (error) { pRes ="";}
-
-			try { pComp = Task[i].getElementsByTagName("pComp")[0].childNodes[0].nodeValue;
-			} catch (error) {pComp =0;}
-			pComp *= 1;
-
-			try { pGroup = Task[i].getElementsByTagName("pGroup")[0].childNodes[0].nodeValue;
-			} catch (error) {pGroup =0;}
-			pGroup *= 1;
-
-			try { pOpen = Task[i].getElementsByTagName("pOpen")[0].childNodes[0].nodeValue;
-			} catch (error) { pOpen =1;}
-			pOpen *= 1;
-
-			try { pDepend = Task[i].getElementsByTagName("pDepend")[0].childNodes[0].nodeValue;
-			} catch (error) { pDepend =0;}
-			//pDepend *= 1;
-			if (pDepend.length==0){pDepend=''} // need this to draw the dependency lines
-			
-			try { pCaption = Task[i].getElementsByTagName("pCaption")[0].childNodes[0].nodeValue;
-			} catch (error) { pCaption ="";}
-			
-			
-			// Finally add the task
-            var nameEscaped = pName.replace(/'/g, '\'');
-            
-			pGanttVar.AddTaskItem(new JSGantt.TaskItem(pID , nameEscaped, pStart, pEnd, pColor,  pLink, pMile, pRes,  pComp, pGroup, pParent, pOpen, pDepend,pCaption));
-		}
-	}
-}
-
-JSGantt.ChromeLoadXML = function(ThisFile,pGanttVar)
-{
-	// Thanks to vodobas at mindlence,com for the initial pointers here.
-	XMLLoader = new XMLHttpRequest();
-	XMLLoader.onreadystatechange= function()
-	{
-		JSGantt.ChromeXMLParse(pGanttVar);
-	};
-	XMLLoader.open("GET", ThisFile, false);
-	XMLLoader.send(null);
-}
-
-JSGantt.ChromeXMLParse = function (pGanttVar)
-{
-	// Manually parse the file as it is loads quicker
-	if (XMLLoader.readyState == 4)
-	{
-		var ta=XMLLoader.responseText.split(/<task>/gi);
-
-		var n = ta.length;	// the number of tasks. 
-		for(var i=1;i<n;i++) {
-			Task = ta[i].replace(/<[/]p/g, '<p');	
-			var te = Task.split(/<pid>/i)
-	
-			if(te.length> 2){var pID=te[1];} else {var pID = 0;}
-			pID *= 1;
-	
-			var te = Task.split(/<pName>/i)
-			if(te.length> 2){var pName=te[1];} else {var pName = "No Task Name";}
-	
-			var te = Task.split(/<pstart>/i)
-			if(te.length> 2){var pStart=te[1];} else {var pStart = "";}
-	
-			var te = Task.split(/<pEnd>/i)
-			if(te.length> 2){var pEnd=te[1];} else {var pEnd = "";}
-	
-			var te = Task.split(/<pColor>/i)
-			if(te.length> 2){var pColor=te[1];} else {var pColor = '0000ff';}
-
-			var te = Task.split(/<pLink>/i)
-			if(te.length> 2){var pLink=te[1];} else {var pLink = "";}
-	
-			var te = Task.split(/<pMile>/i)
-			if(te.length> 2){var pMile=te[1];} else {var pMile = 0;}
-			pMile  *= 1;
-	
-			var te = Task.split(/<pRes>/i)
-			if(te.length> 2){var pRes=te[1];} else {var pRes = "";}	
-	
-			var te = Task.split(/<pComp>/i)
-			if(te.length> 2){var pComp=te[1];} else {var pComp = 0;}	
-			pComp  *= 1;
-	
-			var te = Task.split(/<pGroup>/i)
-			if(te.length> 2){var pGroup=te[1];} else {var pGroup = 0;}	
-			pGroup *= 1;
-
-			var te = Task.split(/<pParent>/i)
-			if(te.length> 2){var pParent=te[1];} else {var pParent = 0;}	
-			pParent *= 1;
-	
-			var te = Task.split(/<pOpen>/i)
-			if(te.length> 2){var pOpen=te[1];} else {var pOpen = 1;}
-			pOpen *= 1;
-	
-			var te = Task.split(/<pDepend>/i)
-			if(te.length> 2){var pDepend=te[1];} else {var pDepend = "";}	
-			//pDepend *= 1;
-			if (pDepend.length==0){pDepend=''} // need this to draw the dependency lines
-			
-			var te = Task.split(/<pCaption>/i)
-			if(te.length> 2){var pCaption=te[1];} else {var pCaption = "";}
-			
-			// Finally add the task
-            var nameEscaped = pName.replace(/'/g, '\'');
-			pGanttVar.AddTaskItem(new JSGantt.TaskItem(pID , nameEscaped, pStart, pEnd, pColor,  pLink, pMile, pRes,  pComp, pGroup, pParent, pOpen, pDepend,pCaption 	));
-		}
-	}
-}
-
-JSGantt.benchMark = function(pItem)
-{
-   var vEndTime=new Date().getTime();
-   alert(pItem + ': Elapsed time: '+((vEndTime-vBenchTime)/1000)+' seconds.');
-   vBenchTime=new Date().getTime();
-}
-
-// simple event adder
-if (typeof smpAddEvent != 'function')
-{
-	function smpAddEvent(obj, onwhat, fun)
-	{
-		if (obj.addEventListener)
-		{
-			obj.addEventListener(onwhat, fun, false);
-		}
-		else if (obj.attachEvent)
-		{
-			obj.attachEvent('on'+onwhat, fun);
-		}
-		else
-		{
-			// error
-		}
-	}
+﻿/* 
+   _        ___            _   _     _   ____  
+  (_)___   / _ \__ _ _ __ | |_| |_  / | |___ \ 
+  | / __| / /_\/ _` | '_ \| __| __| | |   __) |
+  | \__ \/ /_\\ (_| | | | | |_| |_  | |_ / __/ 
+ _/ |___/\____/\__,_|_| |_|\__|\__| |_(_)_____|
+|__/ 
+
+Copyright (c) 2009, Shlomy Gantz BlueBrick Inc. All rights reserved.
+ 
+*
+* Redistribution and use in source and binary forms, with or without
+* modification, are permitted provided that the following conditions are met:
+*     * Redistributions of source code must retain the above copyright
+*       notice, this list of conditions and the following disclaimer.
+*     * Redistributions in binary form must reproduce the above copyright
+*       notice, this list of conditions and the following disclaimer in the
+*       documentation and/or other materials provided with the distribution.
+*     * Neither the name of Shlomy Gantz or BlueBrick Inc. nor the
+*       names of its contributors may be used to endorse or promote products
+*       derived from this software without specific prior written permission.
+*
+* THIS SOFTWARE IS PROVIDED BY SHLOMY GANTZ/BLUEBRICK INC. ''AS IS'' AND ANY
+* EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+* WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+* DISCLAIMED. IN NO EVENT SHALL SHLOMY GANTZ/BLUEBRICK INC. BE LIABLE FOR ANY
+* DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+* (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+* LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+* ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+* (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+* SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+*/
+
+/**
+	@note This file was modified from original version to better fit using with Wiki and preferences of JSWikiGantt developer :-)
+	 - for easier change of date format => must use with date-functions.js!
+	 - more or less xhtml compatible (lower case element names mostly - not that it really matters, but...)
+	 - i18n
+
+	@todo loader and inline gantt i18n stuff - should be here or move it back to jsgantt_inline.js/jsgantt_loader.js?
+*/
+
+var JSGantt; if (!JSGantt) JSGantt = {};
+
+// i18n
+JSGantt.lang = {'':''
+	// display format
+	,'format-label' : 'Format:'
+	,'format-quarter' : 'Quarter'
+	,'format-month' : 'Month'
+	,'format-week' : 'Week'
+	,'format-day' : 'Day'
+	,'format-hour' : 'Hour'
+	,'format-minute' : 'Minute'
+	,'zoom-label' : 'Zoom:'
+	,'nav-prev' : 'Earlier'
+	,'nav-today' : 'Today'
+	,'nav-next' : 'Later'
+	,'nav-fit' : 'Fit to width'
+	// headers
+	,'header-res':      'Zasób'
+	,'header-dur':      'Czas trwania'
+	,'header-comp':     '% Ukoń'
+	,'header-startdate':'Rozpoczęcie'
+	,'header-enddate':  'Zakończenie'
+	,'header-variance': 'Variance'
+	,'header-float':    'Float'
+	,'status-date' : 'Status date'
+	,'status-overdue' : 'Overdue - should be finished by the status date'
+	,'status-behind' : 'Behind schedule - progress is less than elapsed time'
+	,'field-id' : 'ID'
+	,'field-name' : 'Name'
+	,'field-type' : 'Type'
+	,'type-task' : 'Task'
+	,'type-group' : 'Group'
+	,'type-mile' : 'Milestone'
+	,'field-parent' : 'Parent'
+	,'field-depend' : 'Dependencies'
+	,'field-caption' : 'Caption'
+	,'field-color' : 'Color'
+	,'field-baseline' : 'Baseline'
+	,'field-status' : 'Status'
+	,'field-link' : 'Link'
+	,'field-notes' : 'Notes'
+	,'field-weight' : 'Weight'
+	,'field-errors' : 'Problems'
+	,'details-edit' : 'Edit'
+	,'details-close' : 'Close'
+	// quarters date format part
+	,'quarter-short' : 'Qtr.'
+	// loader and inline gantt stuff
+	,'no-xml-link-error' : 'Error! A link to an article containing the diagram data is missing. The link to an XML data article is to be put inside an element with id \"%el_id%\".'
+	,'xml-parse-error' : 'Parse error! The XML file is badly formed or the URL is incorrect.'
+	,'json-parse-error' : 'Parse error! The JSON data is malformed or the URL is incorrect.'
+	,'xml-load-error' : 'Loading of the data failed (HTTP status %status%).'
+	,'calendar-load-error' : 'The working calendar could not be loaded from page %page%.'
+	,'xml-error-task' : 'Task %task%, line %line%: '
+	,'xml-error-line' : 'Line %line%: '
+	,'loading' : 'Loading data...'
+	,'errors-title' : 'Problems in the data: %count%'
+	,'error-task' : 'Task %task%: '
+	,'error-no-id' : 'Task has no ID (pID) and was skipped'
+	,'error-duplicate-id' : 'Duplicate ID %id%'
+	,'error-parent' : 'Unknown parent task %id% (pParent)'
+	,'error-parent-group' : 'Parent task %id% is not a group (pGroup)'
+	,'error-parent-cycle' : 'Parent tasks form a loop: %ids%'
+	,'error-depend' : 'Unknown predecessor %id% (pDepend)'
+	,'error-depend-cycle' : 'Dependency cycle: %ids%'
+	,'error-end-before-start' : 'End date is before start date'
+	,'error-date' : 'Invalid date in %field%: %date%'
+	,'error-date-missing' : 'Missing date in %field%'
+	,'no-tasks-error' : 'No tasks to show. Each task should be given in a <task> element with an ID in <pID> (or in the id attribute).'
+	,'unexpected-error' : 'Unexpected error!'
+}
+
+// all formats of the chart (time scales)
+JSGantt.formats = ['minute', 'hour', 'day', 'week', 'month', 'quarter'];
+
+// default widths of date columns (in pixels)
+JSGantt.columnWidths = {'minute': 18, 'hour': 18, 'day': 18, 'week': 37, 'month': 37, 'quarter': 60};
+// days in a column of each format (on average) - used for zooming
+JSGantt.columnDays = {'minute': 1/(24*60), 'hour': 1/24, 'day': 1, 'week': 7, 'month': 30.44, 'quarter': 91.31};
+
+// jsgantt options to functions mapping
+JSGantt.attributeMapping = {
+	'option-show-responsible' : function (value) {
+		this.setShowRes(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-duration' : function (value) {
+		this.setShowDur(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-precent-complete' : function (value) {
+		this.setShowComp(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-start-date' : function (value) {
+		this.setShowStartDate(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-end-date' : function (value) {
+		this.setShowEndDate(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-variance' : function (value) {
+		this.setShowVariance(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-critical-path' : function (value) {
+		this.setShowCriticalPath(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	'option-show-float' : function (value) {
+		this.setShowFloat(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	// Set to Show Caption (None,Caption,Resource,Duration,Complete)
+	'option-caption-type' : function (value) {
+		value = JSGantt.AttributeParser.toStringFromArray(value, 
+			['None','Caption','Resource','Duration','Complete'],
+			'Resource'
+		);
+		this.setCaptionType(value);
+	},
+	// Dependency arrows color (any CSS color, defaults to red)
+	'option-dependency-color' : function (value) {
+		this.setDependencyColor(value.length ? value : '#ff0000');
+	},
+	// Dependency arrows line style (solid, dashed, dotted)
+	'option-dependency-style' : function (value) {
+		value = JSGantt.AttributeParser.toStringFromArray(value, 
+			['solid','dashed','dotted'],
+			'solid'
+		);
+		this.setDependencyStyle(value);
+	},
+	// Formats available in the format chooser (e.g. "hour,day,week")
+	'option-formats' : function (value) {
+		var vFormats = value.split(/[\s,]+/);
+		var vValid = new Array();
+		for (var i = 0; i < vFormats.length; i++)
+		{
+			if (JSGantt.formats.join().indexOf(vFormats[i]) != -1 && vFormats[i].length)
+			{
+				vValid.push(vFormats[i]);
+			}
+		}
+		if (vValid.length) {
+			this.setFormatArr.apply(this, vValid);
+		}
+	},
+	// Initial format (minute, hour, day, week, month, quarter)
+	'option-format' : function (value) {
+		if (value.length) {
+			value = JSGantt.AttributeParser.toStringFromArray(value, JSGantt.formats, 'day');
+			this.setFormat(value);
+		}
+	},
+	// Date the progress is reported at (defaults to now)
+	'option-status-date' : function (value) {
+		var vDate = value.length ? JSGantt.parseDateStr(value, this.getDateInputFormat()) : null;
+		if (vDate) {
+			this.setStatusDate(vDate);
+		}
+	},
+	// Wiki page with the working calendar (a <calendar> block)
+	'calendar' : function (value) {
+		if (value.length) {
+			this.loadCalendarPage(value);
+		}
+	},
+	// Maximum height of the chart rows area in pixels (defaults to 400)
+	'option-chart-height' : function (value) {
+		value = parseInt(value, 10);
+		this.setChartHeight(value > 0 ? value : 400);
+	},
+	// Width of date columns of the initial format in pixels
+	'option-column-width' : function (value) {
+		value = parseInt(value, 10);
+		if (value > 0) {
+			this.setColumnWidth(value);
+		}
+	},
+	// Fixed date range of the chart (tasks outside of it are cut off)
+	'option-range-start' : function (value) {
+		var vDate = value.length ? JSGantt.parseDateStr(value, this.getDateInputFormat()) : null;
+		if (vDate) {
+			this.setRange(vDate, this.getRangeEnd());
+		}
+	},
+	'option-range-end' : function (value) {
+		var vDate = value.length ? JSGantt.parseDateStr(value, this.getDateInputFormat()) : null;
+		if (vDate) {
+			this.setRange(this.getRangeStart(), vDate);
+		}
+	},
+	// Choose format and column width so that the whole chart (or the date range) fits the page width
+	'option-fit-to-width' : function (value) {
+		this.setFitToWidth(JSGantt.AttributeParser.toBoolInt(value));
+	},
+	// Action on clicking a task (details, link, edit or a name of a handler registered with JSGantt.registerClickHandler)
+	'option-click-action' : function (value) {
+		if (value.length) {
+			this.setClickAction(value);
+		}
+	},
+	// How % complete of groups is computed from their children (duration, average)
+	'option-rollup' : function (value) {
+		value = JSGantt.AttributeParser.toStringFromArray(value, JSGantt.rollups, 'duration');
+		this.setRollup(value);
+	},
+	// Zoom in percent of column widths (e.g. 50 - columns of all formats are half as wide)
+	'option-zoom' : function (value) {
+		value = parseFloat(value);
+		if (value > 0) {
+			this.setZoom(value);
+		}
+	},
+}
+
+// Attribute parser helper singleton
+JSGantt.AttributeParser = new function() {
+	// transforms string value into 0/1 "boolean"
+	this.toBoolInt = function(value) {
+		var option = 0;
+		if (value.search(/^\s*(y|yes|true|on|1)\s*$/i) >= 0) {
+			option = 1;
+		}
+		return option;
+	};
+	// sets options given in an object (e.g. options of JSON data); options that are not given are left unchanged
+	this.setOptionsFromObject = function(options, ganttObject) {
+		var mapping = JSGantt.attributeMapping;
+		for (var option in mapping) {
+			if (options.hasOwnProperty(option) && options[option] !== null) {
+				var value = options[option];
+				if (typeof(value) == 'boolean') {
+					value = value ? 1 : 0;
+				}
+				mapping[option].call(ganttObject, value + '');
+			}
+		}
+	};
+	this.toStringFromArray = function(value, possibleValues, fallbackValue) {
+		var option = fallbackValue;
+		for (var i = 0; i < possibleValues.length; i++) {
+			if (possibleValues[i] === value) {
+				option = value;
+				break;
+			}
+		}
+		return option;
+	};
+	this.setOptions = function(sourceElement, ganttObject, prefix) {
+		var mapping = JSGantt.attributeMapping;
+		for (var option in mapping) {
+			var setter = mapping[option];
+			if (sourceElement.hasAttribute(prefix + option)) {
+				setter.call(ganttObject, sourceElement.getAttribute('data-'+option));
+			} else {
+				setter.call(ganttObject, '');
+			}
+		}
+	};
+};
+
+// SVG namespace (used by the dependency layer)
+JSGantt.svgNS = 'http://www.w3.org/2000/svg';
+
+// dependency line styles to SVG stroke-dasharray mapping
+JSGantt.depStyleDashArray = {
+	'solid' : '',
+	'dashed' : '4,3',
+	'dotted' : '1,2'
+};
+
+// all charts on the page by their element id
+JSGantt.charts = {};
+
+// counter for arrowhead markers ids (must be unique within the page)
+JSGantt.depMarkerCount = 0;
+
+// dependency link types (predecessor's start/finish to successor's start/finish)
+JSGantt.dependTypes = ['FS', 'SS', 'FF', 'SF'];
+
+/*
+	Parses dependencies of a task into links
+
+	Dependencies are a comma separated list of IDs of predecessors. Each ID can be followed by a link type
+	(FS - finish-to-start (default), SS - start-to-start, FF - finish-to-finish, SF - start-to-finish)
+	and a lag (+) or lead (-) in working days. E.g.: "20FS+2,30SS-1,40".
+
+	Returns array of links: [{id, type, lag}]
+*/
+JSGantt.parseDepend = function(pDepend)
+{
+	var vLinks = new Array();
+	if (!pDepend)
+	{
+		return vLinks;
+	}
+	var vList = (pDepend + '').split(',');
+	for (var i = 0; i < vList.length; i++)
+	{
+		var vMatch = vList[i].match(/^\s*(.+?)\s*(FS|SS|FF|SF)?\s*(([+-])\s*(\d+(\.\d+)?))?\s*$/i);
+		if (!vMatch)
+		{
+			continue;
+		}
+		vLinks.push({
+			id   : vMatch[1],
+			type : vMatch[2] ? vMatch[2].toUpperCase() : 'FS',
+			lag  : vMatch[3] ? parseFloat(vMatch[4] + vMatch[5]) : 0
+		});
+	}
+	return vLinks;
+}
+
+// Formats link back to the pDepend syntax (without the ID)
+JSGantt.formatDependLink = function(pLink)
+{
+	return pLink.type + (pLink.lag > 0 ? '+' : '') + (pLink.lag != 0 ? pLink.lag : '');
+}
+
+var vTimeout = 0;
+var vBenchTime = new Date().getTime();
+
+JSGantt.isIE = function () {
+	
+	if(typeof document.all != 'undefined')
+		return true;
+	else
+		return false;
+}
+
+
+// pBaseStart, pBaseEnd: (optional) baseline (originally planned) dates of the task
+// pWeight: (optional) weight of the task in % complete of its group (defaults to its duration in working days)
+// pDur: (optional) duration in working days; a missing start or end is derived from it (see applyDur)
+JSGantt.TaskItem = function(pID, pName, pStart, pEnd, pColor, pLink, pMile, pRes, pComp, pGroup, pParent, pOpen, pDepend, pCaption, pGantt, pBaseStart, pBaseEnd, pNotes, pWeight, pDur)
+{
+	var vID    = pID;
+	var vName  = pName;
+	var vStart = new Date();	
+	var vEnd   = new Date();
+	var vColor = JSGantt.getValidColor(pColor);
+	var vLink  = pLink;
+	var vMile  = pMile;
+	var vRes   = pRes;
+	var vComp  = pComp;
+	var vGroup = pGroup;
+	var vParent = pParent;
+	var vOpen   = pOpen;
+	var vDepend = pDepend;
+	var vDependLinks = null;
+	var vCaption = pCaption;
+	var vNotes   = pNotes ? pNotes : '';
+	var vWeight  = null;
+	var vDur     = null;	// duration in working days (as given in pDur)
+	var vDurDate = null;	// field of the date derived from the duration (pStart or pEnd; see applyDur)
+	var vSumDays = null;	// summed working days of children of a group (see JSGantt.processRows)
+	var vDuration = '';
+	var vLevel = 0;
+	var vNumKid = 0;
+	var vVisible  = 1;
+	var vBaseStart = null;
+	var vBaseEnd   = null;
+	var vFloat     = null;	// total float in working days (see JSGantt.calcCriticalPath)
+	var vCritical  = false;
+	var vInvalidDates = {};	// field name -> date string that is not a valid date (see JSGantt.validateTasks)
+	var vSourceLine = null;	// line of the XML source the task was read from (if known)
+	var x1, y1, x2, y2;
+	// chart this task belongs to (global oJSGant is kept only for older scripts)
+	var vGantt = pGantt ? pGantt : oJSGant;
+
+	if (vGroup != 1)
+	{  
+		vStart = JSGantt.parseDateStr(pStart,vGantt.getDateInputFormat());
+		vEnd   = JSGantt.parseDateStr(pEnd,vGantt.getDateInputFormat());
+		if (!JSGantt.isValidDateStr(pStart, vGantt.getDateInputFormat())) vInvalidDates.pStart = pStart ? pStart : '';
+		if (!JSGantt.isValidDateStr(pEnd, vGantt.getDateInputFormat()))   vInvalidDates.pEnd   = pEnd ? pEnd : '';
+	}
+	if (pBaseStart && pBaseEnd)
+	{
+		vBaseStart = JSGantt.parseDateStr(pBaseStart,vGantt.getDateInputFormat());
+		vBaseEnd   = JSGantt.parseDateStr(pBaseEnd,vGantt.getDateInputFormat());
+		if (!JSGantt.isValidDateStr(pBaseStart, vGantt.getDateInputFormat())) vInvalidDates.pBaseStart = pBaseStart;
+		if (!JSGantt.isValidDateStr(pBaseEnd, vGantt.getDateInputFormat()))   vInvalidDates.pBaseEnd   = pBaseEnd;
+	}
+
+	this.getID       = function(){ return vID };
+	this.getName     = function(){ return vName };
+	this.getShortName     = function(pNameWidth){
+		var vNameMaxLen = pNameWidth / 7;	// assuming one char is about 6px width
+		if (vName.length > vNameMaxLen)
+		{
+			return vName.substr(0,vNameMaxLen-2) + '...';
+		}
+		return vName
+	};
+	this.getStart    = function(){ return vStart};
+	this.getEnd      = function(){ return vEnd  };
+	this.getColor    = function(){ return vColor};
+	this.getLink     = function(){ return vLink };
+	this.getMile     = function(){ return vMile };
+	this.getDepend   = function(){ if(vDepend) return vDepend; else return null };
+	// dependencies parsed into links (see JSGantt.parseDepend)
+	this.getDependLinks = function(){ if(vDependLinks===null) vDependLinks = JSGantt.parseDepend(vDepend); return vDependLinks };
+	this.getCaption  = function(){ if(vCaption) return vCaption; else return ''; };
+	this.getNotes    = function(){ return vNotes };
+	this.getWeight   = function(){ return vWeight };
+	this.getDur      = function(){ return vDur };
+	this.getDurDate  = function(){ return vDurDate };
+	this.getInvalidDates = function(){ return vInvalidDates };
+	this.getSourceLine = function(){ return vSourceLine };
+	this.getResource = function(){ if(vRes) return vRes; else return '&nbsp';  };
+	this.getCompVal  = function(){ if(vComp) return vComp; else return 0; };
+	this.getCompStr  = function(){ if(vComp) return vComp+'%'; else return ''; };
+	this.getBaseStart = function(){ return vBaseStart };
+	this.getBaseEnd   = function(){ return vBaseEnd };
+	// days late (positive) or early (negative) against the baseline end; null if there is no baseline
+	this.getVariance = function()
+	{
+		if (!vBaseEnd)
+		{
+			return null;
+		}
+		return Math.round((this.getEnd() - vBaseEnd) / (24 * 60 * 60 * 1000));
+	};
+	this.getFloat    = function(){ return vFloat };
+	this.getFloatStr = function(){ if(vFloat===null) return ''; else return Math.round(vFloat*10)/10 + ''; };
+	this.getCritical = function(){ return vCritical };
+	this.getVarianceStr = function()
+	{
+		var vVariance = this.getVariance();
+		if (vVariance === null)
+		{
+			return '';
+		}
+		return (vVariance > 0 ? '+' : '') + vVariance;
+	};
+
+	this.getDuration = function(vFormat)
+	{ 
+		if (vMile) 
+		{
+			vDuration = '-';
+		}
+		else if (vFormat=='hour')
+		{
+			tmpPer =  Math.ceil((JSGantt.getEndMoment(this.getEnd()) - this.getStart()) /  ( 60 * 60 * 1000) );
+			if(tmpPer == 1)  
+				vDuration = '1 godzina';
+			else if (tmpPer%10!=1 && tmpPer%10 < 5)
+				vDuration = tmpPer + ' godziny';
+			else
+				vDuration = tmpPer + ' godzin';
+		}
+		else if (vFormat=='minute')
+		{
+			tmpPer =  Math.ceil((JSGantt.getEndMoment(this.getEnd()) - this.getStart()) /  ( 60 * 1000) );
+			if(tmpPer == 1) 
+				vDuration = '1 minuta';
+			else if (tmpPer%10!=1 && tmpPer%10 < 5)
+				vDuration = tmpPer + ' minuty';
+			else
+				vDuration = tmpPer + ' minut';
+		}
+		else //if(vFormat == 'day')
+		{
+			tmpPer = this.getWorkingDays();
+			if(tmpPer == 1) 
+				vDuration = '1 day';
+			else
+				vDuration = tmpPer + ' days';
+		}
+
+		//else if(vFormat == 'week') {
+		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/7;
+		//   if(tmpPer == 1)  vDuration = '1 Week';
+		//   else             vDuration = tmpPer + ' Weeks'; 
+		//}
+
+		//else if(vFormat == 'month') {
+		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/30;
+		//   if(tmpPer == 1) vDuration = '1 Month';
+		//   else            vDuration = tmpPer + ' Months'; 
+		//}
+
+		//else if(vFormat == 'quater') {
+		//   tmpPer =  ((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1)/120;
+		//   if(tmpPer == 1) vDuration = '1 Qtr';
+		//   else            vDuration = tmpPer + ' Qtrs'; 
+		//}
+		return( vDuration )
+	};
+
+	// Duration in days - working days of the chart's calendar (if any); groups get summed days of their children
+	this.getWorkingDays = function()
+	{
+		if (vGroup == 1 && vSumDays !== null)
+		{
+			return vSumDays;
+		}
+		if (vMile)
+		{
+			return 0;
+		}
+		if (vDurDate)
+		{
+			return vDur;
+		}
+		if (vGantt.getCalendar())
+		{
+			return vGantt.getCalendar().countWorkingDays(this.getStart(), this.getEnd());
+		}
+		if (JSGantt.hasTime(this.getStart()) || JSGantt.hasTime(this.getEnd()))
+		{
+			// e.g. half-day tasks
+			return Math.round(JSGantt.daysBetween(this.getStart(), JSGantt.getEndMoment(this.getEnd())) * 10) / 10;
+		}
+		return Math.ceil((this.getEnd() - this.getStart()) /  (24 * 60 * 60 * 1000) + 1);
+	};
+
+	this.getParent   = function(){ return vParent };
+	this.getGroup    = function(){ return vGroup };
+	this.getOpen     = function(){ return vOpen };
+	this.getLevel    = function(){ return vLevel };
+	this.getNumKids  = function(){ return vNumKid };
+	this.getStartX   = function(){ return x1 };
+	this.getStartY   = function(){ return y1 };
+	this.getEndX     = function(){ return x2 };
+	this.getEndY     = function(){ return y2 };
+	this.getVisible  = function(){ return vVisible };
+	this.setName     = function(pName){ vName = pName;};
+	this.setColor    = function(pColor){ vColor = JSGantt.getValidColor(pColor);};
+	this.setLink     = function(pLink){ vLink = pLink;};
+	this.setMile     = function(pMile){ vMile = pMile;};
+	this.setResource = function(pRes){ vRes = pRes;};
+	this.setGroup    = function(pGroup){ vGroup = pGroup;};
+	this.setParent   = function(pParent){ vParent = pParent;};
+	this.setCaption  = function(pCaption){ vCaption = pCaption;};
+	this.setNotes    = function(pNotes){ vNotes = pNotes;};
+	// weight is a number (null or an empty string - weighted by duration)
+	this.setWeight   = function(pWeight){ vWeight = (pWeight === null || pWeight === '' || typeof(pWeight) == 'undefined' || isNaN(pWeight * 1)) ? null : pWeight * 1;};
+	this.setSumDays  = function(pDays){ vSumDays = pDays;};
+	// duration is a positive number of working days (null or an empty string - not given)
+	this.setDur      = function(pDur){ vDur = (pDur === null || pDur === '' || typeof(pDur) == 'undefined' || !(pDur * 1 > 0)) ? null : pDur * 1;};
+	// marks date string given in the field as invalid (null - the field is valid)
+	this.setInvalidDate = function(pField, pDateStr){ if (pDateStr === null) delete vInvalidDates[pField]; else vInvalidDates[pField] = pDateStr;};
+	this.setSourceLine = function(pLine){ vSourceLine = pLine;};
+	this.setDepend   = function(pDepend){ vDepend = pDepend; vDependLinks = null;};
+	this.setStart    = function(pStart){ vStart = pStart;};
+	this.setEnd      = function(pEnd)  { vEnd   = pEnd;  };
+	this.setBaseStart = function(pStart){ vBaseStart = pStart;};
+	this.setBaseEnd   = function(pEnd)  { vBaseEnd   = pEnd;  };
+	this.setFloat    = function(pFloat){ vFloat = pFloat;};
+	this.setCritical = function(pCritical){ vCritical = pCritical;};
+	this.setLevel    = function(pLevel){ vLevel = pLevel;};
+	this.setNumKid   = function(pNumKid){ vNumKid = pNumKid;};
+	this.setCompVal  = function(pCompVal){ vComp = pCompVal;};
+	this.setStartX   = function(pX) {x1 = pX; };
+	this.setStartY   = function(pY) {y1 = pY; };
+	this.setEndX     = function(pX) {x2 = pX; };
+	this.setEndY     = function(pY) {y2 = pY; };
+	this.setOpen     = function(pOpen) {vOpen = pOpen; };
+	this.setVisible  = function(pVisible) {vVisible = pVisible; };
+
+	/*
+		Derives a missing end from the start plus the duration (or a missing start from the end minus the duration)
+		counting working days of the calendar as JobSchEd does (see JSGantt.addWorkingDays). Returns true if a date was derived.
+		pCalendar - working calendar of the chart (Mondays to Fridays if not given).
+	*/
+	this.applyDur = function(pCalendar)
+	{
+		vDurDate = null;
+		if (!vDur || vGroup == 1)
+		{
+			return false;
+		}
+		var vCalendar = pCalendar ? pCalendar : new JSGantt.Calendar();
+		if (vInvalidDates.pEnd === '' && !vInvalidDates.hasOwnProperty('pStart') && vStart)
+		{
+			vEnd = JSGantt.addWorkingDays(vStart, vDur - 1, vCalendar);
+			vDurDate = 'pEnd';
+		}
+		else if (vInvalidDates.pStart === '' && !vInvalidDates.hasOwnProperty('pEnd') && vEnd)
+		{
+			vStart = JSGantt.addWorkingDays(vEnd, 1 - vDur, vCalendar);
+			vDurDate = 'pStart';
+		}
+		return vDurDate !== null;
+	}
+
+	this.setWeight(pWeight);
+	this.setDur(pDur);
+}
+
+
+/*
+	Creates a task from an object with fields named as in XML (pID, pName, pStart, pEnd, pColor, pLink, pMile, pRes, pComp,
+	pGroup, pParent, pOpen, pDepend, pCaption, pBaseStart, pBaseEnd, pNotes, pWeight, pDur). Dates can be strings (in the input format of the chart) or Date objects.
+	Texts (pName, pLink, pRes, pCaption, pNotes) are plain text as in XML - they are escaped like in JSGantt.AddXMLTask.
+*/
+JSGantt.TaskItem.fromFields = function(pFields, pGantt)
+{
+	var vTask = new JSGantt.TaskItem(pFields.pID * 1, 'No Task Name', '', '', '0000ff', '', 0, '', 0, 0, 0, 1, '', '', pGantt);
+	JSGantt.TaskItem.setFields(vTask, pFields, pGantt);
+	return vTask;
+}
+
+// Sets fields of the task (see JSGantt.TaskItem.fromFields; fields that are not given are left unchanged)
+JSGantt.TaskItem.setFields = function(pTask, pFields, pGantt)
+{
+	// (date strings that are not valid dates are reported by JSGantt.validateTasks; baseline dates are optional)
+	var toDate = function(pDate, pField, pOptional)
+	{
+		var vValid = (typeof(pDate) != 'string' || (pOptional && !pDate) || JSGantt.isValidDateStr(pDate, pGantt.getDateInputFormat()));
+		pTask.setInvalidDate(pField, vValid ? null : pDate);
+		if (!pDate)
+		{
+			return null;
+		}
+		return (typeof(pDate) == 'string') ? JSGantt.parseDateStr(pDate, pGantt.getDateInputFormat()) : pDate;
+	};
+	var vSetters = {
+		pName      : function(v){ pTask.setName(JSGantt.escapeHTML(v)); },
+		pStart     : function(v){ pTask.setStart(toDate(v, 'pStart')); },
+		pEnd       : function(v){ pTask.setEnd(toDate(v, 'pEnd')); },
+		pColor     : function(v){ pTask.setColor(v); },
+		pLink      : function(v){ pTask.setLink(v ? JSGantt.escapeHTML(v) : ''); },
+		pMile      : function(v){ pTask.setMile(v * 1); },
+		pRes       : function(v){ pTask.setResource(v ? JSGantt.escapeHTML(v) : ''); },
+		pComp      : function(v){ pTask.setCompVal(v * 1); },
+		pGroup     : function(v){ pTask.setGroup(v * 1); },
+		pParent    : function(v){ pTask.setParent(v * 1); },
+		pOpen      : function(v){ pTask.setOpen(v * 1); },
+		pDepend    : function(v){ pTask.setDepend(v ? v + '' : ''); },
+		pCaption   : function(v){ pTask.setCaption(v ? JSGantt.escapeHTML(v) : ''); },
+		pBaseStart : function(v){ pTask.setBaseStart(toDate(v, 'pBaseStart', true)); },
+		pBaseEnd   : function(v){ pTask.setBaseEnd(toDate(v, 'pBaseEnd', true)); },
+		pNotes     : function(v){ pTask.setNotes(v ? JSGantt.escapeHTML(v) : ''); },
+		pWeight    : function(v){ pTask.setWeight(v); },
+		pDur       : function(v){ pTask.setDur(v); }
+	};
+	for (var vField in vSetters)
+	{
+		if (typeof(pFields[vField]) != 'undefined')
+		{
+			vSetters[vField](pFields[vField]);
+		}
+	}
+}
+
+/*
+	Working calendar (working weekdays and dated exceptions - holidays and extra working days)
+
+	Defined with a <calendar> block (inside <jsgantt> or on a separate page given in the `calendar` attribute), e.g.:
+	<calendar>
+		<workdays>Mon,Tue,Wed,Thu,Fri</workdays>
+		<holiday date="2010-07-14">Bastille Day</holiday>
+		<holiday from="2010-08-02" to="2010-08-06">Company shutdown</holiday>
+		<workday date="2010-07-17">Make-up day</workday>
+	</calendar>
+
+	Weekdays are numbered from 0 (Sunday) like in Date.getDay(). Dates are in the chart's date input format.
+*/
+JSGantt.Calendar = function()
+{
+	var vWorkdays = [false, true, true, true, true, true, false];
+	var vExceptions = {};	// 'Y-m-d' => {working, name}
+
+	// pDays: array of working weekdays (0 - Sunday ... 6 - Saturday)
+	this.setWorkdays = function(pDays)
+	{
+		vWorkdays = [false, false, false, false, false, false, false];
+		for (var i = 0; i < pDays.length; i++)
+		{
+			vWorkdays[pDays[i]] = true;
+		}
+	}
+	this.getWorkdays = function()
+	{
+		var vDays = new Array();
+		for (var i = 0; i < 7; i++)
+		{
+			if (vWorkdays[i]) vDays.push(i);
+		}
+		return vDays;
+	}
+
+	// marks days from pFrom to pTo (inclusive) as working or not
+	this.addException = function(pFrom, pTo, pWorking, pName)
+	{
+		var vDate = new Date(pFrom.getFullYear(), pFrom.getMonth(), pFrom.getDate());
+		while (vDate <= pTo)
+		{
+			vExceptions[JSGantt.Calendar.dateKey(vDate)] = {working: pWorking, name: pName};
+			vDate.setDate(vDate.getDate() + 1);
+		}
+	}
+	this.getException = function(pDate)
+	{
+		var vKey = JSGantt.Calendar.dateKey(pDate);
+		return vExceptions.hasOwnProperty(vKey) ? vExceptions[vKey] : null;
+	}
+	// non-working exceptions (holidays) as array of {date, name}
+	this.getHolidays = function()
+	{
+		var vHolidays = new Array();
+		for (var vKey in vExceptions)
+		{
+			if (vExceptions.hasOwnProperty(vKey) && !vExceptions[vKey].working)
+			{
+				vHolidays.push({date: JSGantt.parseDateStr(vKey, 'Y-m-d'), name: vExceptions[vKey].name});
+			}
+		}
+		return vHolidays;
+	}
+
+	this.isWorkingDay = function(pDate)
+	{
+		var vException = this.getException(pDate);
+		if (vException)
+		{
+			return vException.working;
+		}
+		return vWorkdays[pDate.getDay()];
+	}
+
+	// number of working days from pStart to pEnd (both inclusive)
+	this.countWorkingDays = function(pStart, pEnd)
+	{
+		var vCount = 0;
+		var vDate = new Date(pStart.getFullYear(), pStart.getMonth(), pStart.getDate());
+		while (vDate <= pEnd)
+		{
+			if (this.isWorkingDay(vDate))
+			{
+				vCount++;
+			}
+			vDate.setDate(vDate.getDate() + 1);
+		}
+		return vCount;
+	}
+}
+
+/*
+	Adds working days to the date (or subtracts them if pDays is negative) skipping days that are not working days
+	of the calendar - as JobSchEd does with businessAdd (so a task of N days ends N - 1 working days after its start).
+	Time of day is dropped.
+*/
+JSGantt.addWorkingDays = function(pDate, pDays, pCalendar)
+{
+	var vDate = new Date(pDate.getFullYear(), pDate.getMonth(), pDate.getDate());
+	var vStep = pDays < 0 ? -1 : 1;
+	var vLeft = Math.abs(Math.round(pDays));
+	var vSkipped = 0;
+	// (a calendar without working days would never end)
+	while (vLeft > 0 && vSkipped < 366)
+	{
+		vDate.setDate(vDate.getDate() + vStep);
+		if (pCalendar.isWorkingDay(vDate))
+		{
+			vLeft--;
+			vSkipped = 0;
+		}
+		else
+		{
+			vSkipped++;
+		}
+	}
+	return vDate;
+}
+
+/*
+	Loads the working calendar from a wiki page (the page should contain a <calendar> block)
+
+	pOnLoad(oCalendar) is called when the calendar is ready.
+	pOnError(oError) is called with JSGantt.XMLError when the page could not be loaded or has no valid calendar
+	(shows an alert by default).
+*/
+JSGantt.loadCalendar = function(pTitle, pDateFormat, pOnLoad, pOnError)
+{
+	if (!pOnError)
+	{
+		pOnError = function(oError) { alert(oError.toString()); };
+	}
+
+	var oRequest = new XMLHttpRequest();
+	oRequest.onreadystatechange = function()
+	{
+		if (oRequest.readyState != 4)
+		{
+			return;
+		}
+		var vMessage = JSGantt.lang['calendar-load-error'].replace('%page%', pTitle);
+		if (oRequest.status != 200)
+		{
+			pOnError(new JSGantt.XMLError(vMessage + ' ' + JSGantt.lang['xml-load-error'].replace('%status%', oRequest.status)));
+			return;
+		}
+		var oCalendar = JSGantt.Calendar.fromXMLString(oRequest.responseText, pDateFormat);
+		if (!oCalendar)
+		{
+			pOnError(new JSGantt.XMLError(vMessage));
+			return;
+		}
+		pOnLoad(oCalendar);
+	};
+	oRequest.open("GET", JSGantt.getRawPageUrl(pTitle), true);
+	oRequest.send(null);
+}
+
+// key of the day in exceptions
+JSGantt.Calendar.dateKey = function(pDate)
+{
+	return JSGantt.formatDateStr(pDate, 'Y-m-d');
+}
+
+// weekday names (also accepted in <workdays>)
+JSGantt.Calendar.dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Creates calendar from <calendar> element
+JSGantt.Calendar.fromElement = function(pElement, pDateFormat)
+{
+	var oCalendar = new JSGantt.Calendar();
+	var i;
+
+	var vWorkdays = pElement.getElementsByTagName('workdays');
+	if (vWorkdays.length)
+	{
+		var vNames = vWorkdays[0].textContent.toLowerCase().split(/[\s,;]+/);
+		var vDays = new Array();
+		for (i = 0; i < vNames.length; i++)
+		{
+			var vDay = vNames[i].match(/^\d$/) ? parseInt(vNames[i], 10) : JSGantt.Calendar.dayNames.indexOf(vNames[i].substr(0, 3));
+			if (vDay >= 0 && vDay < 7)
+			{
+				vDays.push(vDay);
+			}
+		}
+		oCalendar.setWorkdays(vDays);
+	}
+
+	var vTypes = {'holiday' : false, 'workday' : true};
+	for (var vType in vTypes)
+	{
+		var vItems = pElement.getElementsByTagName(vType);
+		for (i = 0; i < vItems.length; i++)
+		{
+			var vFrom = vItems[i].getAttribute('date') || vItems[i].getAttribute('from');
+			var vTo = vItems[i].getAttribute('to') || vFrom;
+			if (!vFrom)
+			{
+				continue;
+			}
+			vFrom = JSGantt.parseDateStr(vFrom, pDateFormat);
+			vTo = JSGantt.parseDateStr(vTo, pDateFormat);
+			if (vFrom && vTo)
+			{
+				oCalendar.addException(vFrom, vTo, vTypes[vType], vItems[i].textContent);
+			}
+		}
+	}
+
+	return oCalendar;
+}
+
+// Creates calendar from a text with a <calendar> block (returns null if there is none)
+JSGantt.Calendar.fromXMLString = function(pText, pDateFormat)
+{
+	var vMatch = pText.match(/<calendar[\s>][\s\S]*?<\/calendar>/i);
+	if (!vMatch)
+	{
+		return null;
+	}
+	try
+	{
+		var vDoc = new DOMParser().parseFromString(vMatch[0], 'text/xml');
+		if (vDoc.getElementsByTagName('parsererror').length)
+		{
+			return null;
+		}
+		return JSGantt.Calendar.fromElement(vDoc.documentElement, pDateFormat);
+	}
+	catch(e)
+	{
+		return null;
+	}
+}
+
+// URL of raw contents of a wiki page
+JSGantt.getRawPageUrl = function(pTitle)
+{
+	return JSGantt.getScriptPath() + '?title=' + encodeURIComponent(pTitle.replace(/ /g, '_')) + '&action=raw';
+}
+
+// Gets path of the wiki's index.php (e.g. "/w/index.php")
+JSGantt.getScriptPath = function()
+{
+	if (typeof(mw) != 'undefined' && mw.config && mw.config.get('wgScript'))
+	{
+		return mw.config.get('wgScript');
+	}
+	else if (typeof(wgScript) != 'undefined')
+	{
+		return wgScript;
+	}
+	return '/index.php';
+}
+
+// Gets name of the current wiki page
+JSGantt.getPageName = function()
+{
+	if (typeof(mw) != 'undefined' && mw.config && mw.config.get('wgPageName'))
+	{
+		return mw.config.get('wgPageName');
+	}
+	else if (typeof(wgPageName) != 'undefined')
+	{
+		return wgPageName;
+	}
+	return (typeof(wgTitle) != 'undefined') ? wgTitle : '';
+}
+
+// Gets URL of the editor of the current page that opens the task (JobSchEd)
+JSGantt.getEditTaskUrl = function(pID)
+{
+	return JSGantt.getScriptPath() + '?title=' + encodeURIComponent(JSGantt.getPageName().replace(/ /g, '_'))
+		+ '&action=edit#openTaskId=' + encodeURIComponent(pID);
+}
+
+/*
+	Actions on clicking a task (see GanttChart.setClickAction):
+	details - show the details panel (default),
+	link - open the task's link (pLink; shows details if the task has no link or its link is not http(s) or relative),
+	edit - open the task in the editor of the current page (JobSchEd).
+*/
+JSGantt.clickActions = ['details', 'link', 'edit'];
+
+/*
+	Modes of computing % complete of groups (see GanttChart.setRollup):
+	duration - mean of children weighted by their duration in working days (or pWeight if given; default),
+	average - plain mean of children.
+*/
+JSGantt.rollups = ['duration', 'average'];
+
+// click handlers registered by other scripts (by name)
+JSGantt.clickHandlers = {};
+
+/*
+	Registers a click handler that can be chosen with the click-action option (or setClickAction).
+	The handler is called with the chart as this, the task (JSGantt.TaskItem) and the click event.
+*/
+JSGantt.registerClickHandler = function(pName, pHandler)
+{
+	JSGantt.clickHandlers[pName] = pHandler;
+}
+
+	
+// function that loads the main gantt chart properties and functions
+// pGanttVar: UNUSED - kept for backward compatibility (events are attached to the chart's DIV)
+// pDiv: (required) this is a DIV object created in HTML; its id is used as a prefix for all ids of the chart
+// pStart: UNUSED - future use to force minimum chart date
+// pEnd: UNUSED - future use to force maximum chart date
+// pWidth: UNUSED - future use to force chart width and cause objects to scale to fit within that width
+// pShowRes: UNUSED - future use to turn on/off display of resource names
+// pShowDur: UNUSED - future use to turn on/off display of task durations
+// pFormat: (required) - used to indicate whether chart should be drawn in "day", "week", "month", or "quarter" format
+// pCationType - what type of Caption to show:  Caption, Resource, Duration, Complete
+JSGantt.GanttChart =  function(pGanttVar, pDiv, pFormat)
+{
+
+	var vDiv      = pDiv;
+	var vChartId  = pDiv.id;
+	JSGantt.charts[vChartId] = this;
+	var vFormat   = pFormat;
+	var vShowRes  = 1;
+	var vShowDur  = 1;
+	var vShowComp = 1;
+	var vShowStartDate = 1;
+	var vShowEndDate = 1;
+	var vShowVariance = 0;
+	var vShowCriticalPath = 0;
+	var vShowFloat = 0;
+	var vCriticalColor = '#cc0000';
+	var vDateInputFormat = "m/d/Y";
+	var vDateDisplayFormat = "m/d/y";
+	// date format in formats captions
+	var vDateDisplayFormatCaptions = {
+		'day' : {
+			'from' : 'm/d - ',
+			'to' : 'm/d/y'
+		},
+		'week' : {
+			'upper' : 'Y',
+			'lower' : 'm/d'
+		},
+		'month' : {
+			'upper' : 'Y',
+			'lower' : 'M'
+		},
+		'quarter' : {
+			'upper' : 'Y',
+			'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
+		}
+	};
+	
+	var vNumUnits  = 0;
+	var vMinDate = new Date();
+	var vMaxDate = new Date();
+	var vColWidth = 0;
+	var vColUnit = 0;
+	var vChartWidth = 0;
+	var vDayWidth = 0;
+	var vNameWidth = 300;
+	var vStatusWidth = 70;
+	var vExtraColsNum = 0;
+	var vEventsAttached = false;
+	var vColumns = {major: [], minor: []};
+	var vRows = new Array();	// visible rows (indexes of tasks in vTaskList)
+	var vRowIndex = {};			// task ID -> row number
+	var vView = null;			// rows and columns currently drawn
+	var vDrawnRows = {};		// task ID -> {left, right, row} elements of rows currently drawn (see renderRows)
+	var vDetailsID = null;		// ID of the task shown in the details panel
+	var vListeners = {};		// event name -> handlers (see on)
+	var vHoverID = null;		// ID of the task under the mouse
+	var vClickAction = 'details';	// see JSGantt.clickActions; can also be a name of a registered handler or a function
+	var vRollup = 'duration';	// see JSGantt.rollups
+	var vErrors = new Array();		// problems found in the data (JSGantt.XMLError; see validate)
+	var vLoadErrors = new Array();	// problems found while loading the data (see addError)
+	var vLoadMessages = new Array();	// messages about additional data that failed to load (see displayError)
+	var vInvalidIDs = {};			// IDs of tasks with problems
+	var vErrorsOpen = true;			// the list of problems is shown (not collapsed)
+	var vRowHeight = 20;
+	var vChartHeight = 400;
+	var vBodyHeight = 0;
+	var vOverscan = 10;			// rows/columns drawn outside of the view
+	var vCaptionType;
+	var vCalendar = null;	// working calendar (JSGantt.Calendar); weekends are Saturdays and Sundays if not given
+	var vStatusDate = null;	// date the progress is reported at; null - now
+	var vDepLayer = null;
+	var vDepMarkers = {};
+	var vDepPaths = {};		// drawn dependency arrows ("from>to>link" -> SVG path)
+	var vDepColor = '#ff0000';
+	var vDepStyle = 'solid';
+	var vTaskList     = new Array();	
+	var vTaskIndex    = null;	// id -> task and parent -> children indexes of vTaskList (see getTaskIndex)
+	var vFormatArr	= new Array("day","week","month","quarter");	// formats to display
+	var vColWidths = {};	// widths of date columns of each format (see JSGantt.columnWidths)
+	for (var vColFormat in JSGantt.columnWidths)
+	{
+		vColWidths[vColFormat] = JSGantt.columnWidths[vColFormat];
+	}
+	var vFitToWidth = false;	// choose format and column width to fit the whole chart (see fitColumns)
+	var vRangeStart = null;	// fixed date range of the chart; null - from tasks
+	var vRangeEnd = null;
+	var vMinColWidth = 10;	// zooming out switches to a coarser format below this width
+	var vMaxColWidth = 300;
+	var vMonthDaysArr = new Array(31,28,31,30,31,30,31,31,30,31,30,31);
+	this.setFormatArr = function()
+	{
+		vFormatArr = new Array();
+		for(var i = 0; i < arguments.length; i++) {vFormatArr[i] = arguments[i];}
+		if(vFormatArr.length>6){vFormatArr.length=6;}
+	};
+	this.setClickAction = function(pAction) { vClickAction = pAction; };
+	this.getClickAction = function() { return vClickAction; };
+	this.setRollup = function(pRollup) { vRollup = pRollup; };
+	// adds a problem found while loading the data (JSGantt.XMLError or a message with an optional task ID)
+	this.addError = function(pError, pTaskID) { vLoadErrors.push(typeof(pError) == 'string' ? new JSGantt.XMLError(pError, null, pTaskID) : pError); };
+	this.getErrors = function() { return vErrors; };
+	this.getRollup = function() { return vRollup; };
+	this.setShowRes  = function(val) { vShowRes  = val; };
+	this.setShowDur  = function(val) { vShowDur  = val; };
+	this.setShowComp = function(val) { vShowComp = val; };
+	this.setShowStartDate = function(val) { vShowStartDate = val; };
+	this.setShowEndDate = function(val) { vShowEndDate = val; };
+	this.setShowVariance = function(val) { vShowVariance = val; };
+	this.setShowCriticalPath = function(val) { vShowCriticalPath = val; };
+	this.setShowFloat = function(val) { vShowFloat = val; };
+	this.setDateInputFormat = function(val) { vDateInputFormat = val; };
+	this.setDateDisplayFormat = function(val) { vDateDisplayFormat = val; };
+	this.setDateDisplayFormatCaptions = function(val) { vDateDisplayFormatCaptions = val; };
+	this.setCaptionType = function(pType) { vCaptionType = pType };
+	this.setCalendar = function(pCalendar) { vCalendar = pCalendar; };
+	this.setStatusDate = function(pDate) { vStatusDate = pDate; };
+	this.setDependencyColor = function(pColor) { vDepColor = pColor; };
+	this.setDependencyStyle = function(pStyle) { vDepStyle = pStyle; };
+	this.setChartHeight = function(pHeight) { vChartHeight = pHeight; };
+	this.setFitToWidth = function(pFit) { vFitToWidth = pFit ? true : false; };
+	this.setRange = function(pStart, pEnd) { vRangeStart = pStart; vRangeEnd = pEnd; };
+	// width of date columns in pixels (of the current format if pFormat is not given)
+	this.setColumnWidth = function(pWidth, pFormat) { vColWidths[pFormat ? pFormat : vFormat] = Math.max(vMinColWidth, Math.min(vMaxColWidth, pWidth)); };
+	// scales widths of date columns of all formats (e.g. 50 - half of the width)
+	this.setZoom = function(pPercent)
+	{
+		for (var vColFormat in vColWidths)
+		{
+			this.setColumnWidth(Math.round(vColWidths[vColFormat] * pPercent / 100), vColFormat);
+		}
+	};
+	this.setFormat = function(pFormat)
+	{
+		var vOldFormat = vFormat;
+		vFormat = pFormat; 
+		this.Draw(); 
+		if (vOldFormat != vFormat)
+		{
+			this.trigger('formatchange', vFormat, vOldFormat);
+		}
+	};
+
+	this.getShowRes  = function(){ return vShowRes };
+	this.getShowDur  = function(){ return vShowDur };
+	this.getShowComp = function(){ return vShowComp };
+	this.getShowStartDate = function(){ return vShowStartDate };
+	this.getShowEndDate = function(){ return vShowEndDate };
+	this.getShowVariance = function(){ return vShowVariance };
+	this.getShowCriticalPath = function(){ return vShowCriticalPath };
+	this.getShowFloat = function(){ return vShowFloat };
+	this.getDateInputFormat = function() { return vDateInputFormat };
+	this.getDateDisplayFormat = function() { return vDateDisplayFormat };
+	this.getCaptionType = function() { return vCaptionType };
+	this.getCalendar = function() { return vCalendar };
+	this.getFitToWidth = function() { return vFitToWidth };
+	this.getRangeStart = function() { return vRangeStart };
+	this.getRangeEnd = function() { return vRangeEnd };
+	this.getColumnWidth = function(pFormat) { return vColWidths[pFormat ? pFormat : vFormat] };
+	this.getStatusDate = function() { return vStatusDate ? vStatusDate : new Date() };
+	this.getDependencyColor = function() { return vDepColor };
+	this.getDependencyStyle = function() { return vDepStyle };
+	this.getChartHeight = function() { return vChartHeight };
+	this.getChartId = function() { return vChartId };
+	this.getDiv = function() { return vDiv };
+	this.getFormat = function() { return vFormat };
+
+	// id of a chart element (all ids are prefixed with the chart's id so that many charts can live on one page)
+	this.getDomId = function(pName, pID)
+	{
+		return vChartId + '_' + pName + (typeof(pID)=='undefined' ? '' : '_' + pID);
+	}
+	this.getObj = function(pName, pID)
+	{
+		return document.getElementById(this.getDomId(pName, pID));
+	}
+	// Calculates ends of task bars (used by dependencies); tasks in folded groups get no position
+	this.CalcTaskXY = function () 
+	{
+		var vList = this.getList();
+
+		for(var i = 0; i < vList.length; i++)
+		{
+			var vRow = vRowIndex[vList[i].getID()];
+			if (typeof(vRow) == 'undefined')
+			{
+				continue;
+			}
+
+			var vBox = this.getTaskBarBox(vList[i]);
+			var vY = vRow * vRowHeight + vBox.top + 6;
+			vList[i].setStartX( vBox.left );
+			vList[i].setStartY( vY );
+			vList[i].setEndX( vBox.left + vBox.width );
+			vList[i].setEndY( vY );
+		}
+	}
+
+	this.AddTaskItem = function(value)
+	{
+		vTaskList.push(value);
+		vTaskIndex = null;
+	}
+
+	this.getList   = function() { return vTaskList };
+
+	// Gets indexes of the task list (see JSGantt.indexTasks); built again when the list changes
+	this.getTaskIndex = function()
+	{
+		if (!vTaskIndex || vTaskIndex.size != vTaskList.length)
+		{
+			vTaskIndex = JSGantt.indexTasks(vTaskList);
+		}
+		return vTaskIndex;
+	}
+
+	/*
+		Public API
+
+		Tasks are identified by their IDs (pID). Fields of tasks are named as in XML (see JSGantt.TaskItem.fromFields).
+		Methods changing tasks redraw the chart if it was already drawn.
+	*/
+
+	// Gets task by its ID (null if not found)
+	this.getTaskById = function(pID)
+	{
+		var vPos = this.getArrayLocationByID(pID);
+		return (typeof(vPos) == 'undefined') ? null : vTaskList[vPos];
+	}
+
+	// Adds a task (JSGantt.TaskItem or an object with fields); tasks with a parent are put after the parent's last child
+	this.addTask = function(pTask)
+	{
+		var vTask = (pTask instanceof JSGantt.TaskItem) ? pTask : JSGantt.TaskItem.fromFields(pTask, this);
+		var vPos = vTaskList.length;
+		if (vTask.getParent())
+		{
+			for (var i = 0; i < vTaskList.length; i++)
+			{
+				if (vTaskList[i].getID() == vTask.getParent())
+				{
+					vPos = i + 1 + this.getDescendants(vTaskList[i].getID()).length;
+					break;
+				}
+			}
+		}
+		vTaskList.splice(vPos, 0, vTask);
+		vTaskIndex = null;
+		this.redrawIfDrawn();
+		return vTask;
+	}
+
+	// Changes fields of the task (e.g. updateTask(10, {pComp: 50, pEnd: '2010-07-20'})); returns false if there is no such task
+	// or the fields contain pID (the ID of a task cannot be changed - remove the task and add it again instead).
+	// Only rows of the task and its groups are drawn again unless the change affects other rows or the date range of the chart.
+	this.updateTask = function(pID, pFields)
+	{
+		var vTask = this.getTaskById(pID);
+		if (!vTask || typeof(pFields.pID) != 'undefined')
+		{
+			return false;
+		}
+		JSGantt.TaskItem.setFields(vTask, pFields, this);
+		// a date derived from the duration follows the changed start, end or duration
+		vTask.applyDur(vCalendar);
+		if (typeof(pFields.pParent) != 'undefined')
+		{
+			vTaskIndex = null;
+		}
+		if (!this.getObj('chartbody'))
+		{
+			return true;
+		}
+
+		// changes of the tree, critical path or float can move other rows and bars
+		var vFullRedraw = vFitToWidth || vShowCriticalPath==1 || vShowFloat==1;
+		var vTreeFields = ['pParent', 'pGroup', 'pOpen'];
+		for (var i = 0; i < vTreeFields.length; i++)
+		{
+			if (typeof(pFields[vTreeFields[i]]) != 'undefined')
+			{
+				vFullRedraw = true;
+			}
+		}
+		// problems in the data are listed above the chart
+		if (!vFullRedraw)
+		{
+			vFullRedraw = (vErrors.join('\n') != this.validate());
+		}
+		if (!vFullRedraw)
+		{
+			JSGantt.processRows(vTaskList, 0, -1, 1, 1, this.getTaskIndex(), vRollup);
+			var vMin = JSGantt.getMinDate(vTaskList, vFormat, vRangeStart);
+			var vMax = JSGantt.getMaxDate(vTaskList, vFormat, vRangeEnd);
+			vFullRedraw = (vMin.getTime() != vMinDate.getTime() || vMax.getTime() != vMaxDate.getTime());
+		}
+		if (vFullRedraw)
+		{
+			this.Draw();
+			return true;
+		}
+
+		// the task and its groups (group dates and completion are taken from children)
+		for (var vRowTask = vTask; vRowTask; vRowTask = vRowTask.getParent() ? this.getTaskById(vRowTask.getParent()) : null)
+		{
+			this.redrawRow(vRowTask.getID());
+			if (vRowTask.getParent() == vRowTask.getID())
+			{
+				break;
+			}
+		}
+		this.DrawDependencies();
+		if (vDetailsID == pID)
+		{
+			this.showDetails(pID);
+		}
+		return true;
+	}
+
+	// Removes the task with all its children; returns false if there is no such task
+	this.removeTask = function(pID)
+	{
+		var vTask = this.getTaskById(pID);
+		if (!vTask)
+		{
+			return false;
+		}
+		var vRemoved = {};
+		var vPositions = this.getDescendantPositions(pID);
+		vPositions.push(this.getArrayLocationByID(pID));
+		for (var i = 0; i < vPositions.length; i++)
+		{
+			vRemoved[vPositions[i]] = true;
+		}
+		var vKeep = new Array();
+		for (i = 0; i < vTaskList.length; i++)
+		{
+			if (!vRemoved[i])
+			{
+				vKeep.push(vTaskList[i]);
+			}
+		}
+		vTaskList.length = 0;
+		vTaskList.push.apply(vTaskList, vKeep);
+		vTaskIndex = null;
+		if (vDetailsID == pID)
+		{
+			this.hideDetails();
+		}
+		this.redrawIfDrawn();
+		return true;
+	}
+
+	// Gets all children of the task (and their children)
+	this.getDescendants = function(pID)
+	{
+		var vPositions = this.getDescendantPositions(pID);
+		var vDescendants = new Array();
+		for (var i = 0; i < vPositions.length; i++)
+		{
+			vDescendants.push(vTaskList[vPositions[i]]);
+		}
+		return vDescendants;
+	}
+
+	// Gets positions (in the task list) of all children of the task and their children
+	this.getDescendantPositions = function(pID)
+	{
+		var vChildren = this.getTaskIndex().children;
+		var vPositions = new Array();
+		var vSeen = {};
+		var vQueue = [pID];
+		vSeen[pID] = true;
+		while (vQueue.length)
+		{
+			var vKids = vChildren[vQueue.shift()] || [];
+			for (var i = 0; i < vKids.length; i++)
+			{
+				var vID = vTaskList[vKids[i]].getID();
+				vPositions.push(vKids[i]);
+				if (!vSeen[vID])
+				{
+					vSeen[vID] = true;
+					vQueue.push(vID);
+				}
+			}
+		}
+		return vPositions;
+	}
+
+	// Expands (unfolds) the group
+	this.expand = function(pID)
+	{
+		this.setGroupOpen(pID, 1);
+	}
+
+	// Collapses (folds) the group
+	this.collapse = function(pID)
+	{
+		this.setGroupOpen(pID, 0);
+	}
+
+	// Shows (pOpen = 1) or hides (pOpen = 0) children of the group
+	this.setGroupOpen = function(pID, pOpen)
+	{
+		var vTask = this.getTaskById(pID);
+		if (!vTask || !vTask.getGroup() || vTask.getOpen() == pOpen)
+		{
+			return;
+		}
+		vTask.setOpen(pOpen);
+		if (pOpen == 1)
+		{
+			JSGantt.show(pID, 1, this);
+		}
+		else
+		{
+			JSGantt.hide(pID, this);
+		}
+
+		var vOpener = this.getObj('group', pID);
+		if (vOpener)
+		{
+			vOpener.innerHTML = (pOpen == 1) ? '&ndash;' : '+';
+		}
+
+		// only rows in view are drawn so rows need to be laid out again
+		this.refreshRows();
+		this.trigger('toggle', vTask, pOpen == 1);
+	}
+
+	// Draws the chart again (e.g. after changing options)
+	this.redraw = function()
+	{
+		this.Draw();
+	}
+
+	// Redraws the chart unless it was not drawn yet
+	this.redrawIfDrawn = function()
+	{
+		if (this.getObj('chartbody'))
+		{
+			this.Draw();
+		}
+	}
+
+	/*
+		Gets options and tasks of the chart in the shape of JSON data (see JSGantt.parseJSONString)
+
+		Options are named as attributes of <jsgantt> and fields of tasks as in XML; dates are in the input format.
+	*/
+	this.getData = function()
+	{
+		var toStr = function(pDate)
+		{
+			return pDate ? JSGantt.formatDateStr(pDate, vDateInputFormat + (JSGantt.hasTime(pDate) ? ' H:i' : '')) : '';
+		};
+		var vOptions = {
+			'option-show-responsible' : vShowRes ? 1 : 0,
+			'option-show-duration' : vShowDur ? 1 : 0,
+			'option-show-precent-complete' : vShowComp ? 1 : 0,
+			'option-show-start-date' : vShowStartDate ? 1 : 0,
+			'option-show-end-date' : vShowEndDate ? 1 : 0,
+			'option-show-variance' : vShowVariance ? 1 : 0,
+			'option-show-critical-path' : vShowCriticalPath ? 1 : 0,
+			'option-show-float' : vShowFloat ? 1 : 0,
+			'option-caption-type' : vCaptionType,
+			'option-dependency-color' : vDepColor,
+			'option-dependency-style' : vDepStyle,
+			'option-formats' : vFormatArr.join(','),
+			'option-format' : vFormat,
+			'option-chart-height' : vChartHeight,
+			'option-column-width' : vColWidths[vFormat],
+			'option-fit-to-width' : vFitToWidth ? 1 : 0,
+			'option-rollup' : vRollup
+		};
+		if (vStatusDate)
+		{
+			vOptions['option-status-date'] = toStr(vStatusDate);
+		}
+		if (vRangeStart && vRangeEnd)
+		{
+			vOptions['option-range-start'] = toStr(vRangeStart);
+			vOptions['option-range-end'] = toStr(vRangeEnd);
+		}
+		if (typeof(vClickAction) == 'string')
+		{
+			vOptions['option-click-action'] = vClickAction;
+		}
+
+		var vTasks = new Array();
+		for (var i = 0; i < vTaskList.length; i++)
+		{
+			var vTask = vTaskList[i];
+			var vInvalid = vTask.getInvalidDates();
+			var vFields = {
+				pID : vTask.getID(),
+				pName : JSGantt.unescapeHTML(vTask.getName()),
+				pStart : vInvalid.hasOwnProperty('pStart') ? vInvalid.pStart : toStr(vTask.getStart()),
+				pEnd : vInvalid.hasOwnProperty('pEnd') ? vInvalid.pEnd : toStr(vTask.getEnd()),
+				pColor : vTask.getColor(),
+				pLink : JSGantt.unescapeHTML(vTask.getLink()),
+				pMile : vTask.getMile() ? 1 : 0,
+				pRes : (vTask.getResource() == '&nbsp') ? '' : JSGantt.unescapeHTML(vTask.getResource()),
+				pComp : vTask.getCompVal(),
+				pGroup : vTask.getGroup() ? 1 : 0,
+				pParent : vTask.getParent(),
+				pOpen : vTask.getOpen() ? 1 : 0,
+				pDepend : vTask.getDepend() ? vTask.getDepend() + '' : '',
+				pCaption : JSGantt.unescapeHTML(vTask.getCaption())
+			};
+			// optional fields are only given when set
+			if (vTask.getBaseStart() || vInvalid.pBaseStart)
+			{
+				vFields.pBaseStart = vInvalid.pBaseStart ? vInvalid.pBaseStart : toStr(vTask.getBaseStart());
+			}
+			if (vTask.getBaseEnd() || vInvalid.pBaseEnd)
+			{
+				vFields.pBaseEnd = vInvalid.pBaseEnd ? vInvalid.pBaseEnd : toStr(vTask.getBaseEnd());
+			}
+			if (vTask.getNotes())
+			{
+				vFields.pNotes = JSGantt.unescapeHTML(vTask.getNotes());
+			}
+			if (vTask.getWeight() !== null)
+			{
+				vFields.pWeight = vTask.getWeight();
+			}
+			if (vTask.getDur() !== null)
+			{
+				vFields.pDur = vTask.getDur();
+			}
+			vTasks.push(vFields);
+		}
+		return {options: vOptions, tasks: vTasks};
+	}
+
+	// Exports options and tasks of the chart as JSON text (can be given to <jsgantt format="json">)
+	this.exportJSON = function()
+	{
+		return JSON.stringify(this.getData(), null, '\t');
+	}
+
+	/*
+		Adds an event handler. Handlers are called with the chart as this. Events:
+		taskclick (task, event) - return false to prevent the click action,
+		taskhover (task, event) - the mouse moved over a task,
+		formatchange (format, previous format),
+		toggle (task, isOpen) - a group was expanded or collapsed,
+		beforerender () - return false to stop drawing,
+		afterrender ().
+	*/
+	this.on = function(pEvent, pHandler)
+	{
+		if (!vListeners[pEvent])
+		{
+			vListeners[pEvent] = new Array();
+		}
+		vListeners[pEvent].push(pHandler);
+	}
+
+	// Removes an event handler added with on
+	this.off = function(pEvent, pHandler)
+	{
+		var vHandlers = vListeners[pEvent];
+		for (var i = 0; vHandlers && i < vHandlers.length; i++)
+		{
+			if (vHandlers[i] == pHandler)
+			{
+				vHandlers.splice(i, 1);
+				break;
+			}
+		}
+	}
+
+	// Calls handlers of the event with the remaining arguments; returns false if any of the handlers returned false
+	this.trigger = function(pEvent)
+	{
+		var vHandlers = vListeners[pEvent];
+		var vResult = true;
+		if (!vHandlers)
+		{
+			return vResult;
+		}
+		var vArgs = Array.prototype.slice.call(arguments, 1);
+		vHandlers = vHandlers.slice(0);
+		for (var i = 0; i < vHandlers.length; i++)
+		{
+			if (vHandlers[i].apply(this, vArgs) === false)
+			{
+				vResult = false;
+			}
+		}
+		return vResult;
+	}
+
+	// dependency layer (SVG overlay on the chart canvas)
+	this.getDependencyLayer = function()
+	{
+		var vChartArea = this.getObj('canvas');
+		if (!vChartArea)
+		{
+			return null;
+		}
+		if (vDepLayer && vDepLayer.parentNode == vChartArea)
+		{
+			return vDepLayer;
+		}
+
+		vDepLayer = document.createElementNS(JSGantt.svgNS, 'svg');
+		vDepLayer.setAttribute('class', 'gdependencies');
+		vDepLayer.appendChild(document.createElementNS(JSGantt.svgNS, 'defs'));
+		vDepLayer.appendChild(document.createElementNS(JSGantt.svgNS, 'g'));
+		vDepMarkers = {};
+		vDepPaths = {};
+		vChartArea.appendChild(vDepLayer);
+		return vDepLayer;
+	}
+
+	// returns id of an arrowhead marker in the given color (created on first use)
+	this.getDependencyMarker = function(pColor)
+	{
+		if (vDepMarkers[pColor])
+		{
+			return vDepMarkers[pColor];
+		}
+
+		var vMarkerId = 'gdeparrow_' + (JSGantt.depMarkerCount++);
+		var oMarker = document.createElementNS(JSGantt.svgNS, 'marker');
+		oMarker.setAttribute('id', vMarkerId);
+		oMarker.setAttribute('viewBox', '0 0 6 6');
+		oMarker.setAttribute('refX', '6');
+		oMarker.setAttribute('refY', '3');
+		oMarker.setAttribute('markerWidth', '6');
+		oMarker.setAttribute('markerHeight', '6');
+		oMarker.setAttribute('markerUnits', 'userSpaceOnUse');
+		oMarker.setAttribute('orient', 'auto');
+
+		var oHead = document.createElementNS(JSGantt.svgNS, 'path');
+		oHead.setAttribute('d', 'M0,0 L6,3 L0,6 z');
+		oHead.setAttribute('fill', pColor);
+		oMarker.appendChild(oHead);
+
+		vDepLayer.firstChild.appendChild(oMarker);
+		vDepMarkers[pColor] = vMarkerId;
+		return vMarkerId;
+	}
+
+	this.clearDependencies = function()
+	{
+		var vLayer = this.getDependencyLayer();
+		if (!vLayer)
+		{
+			return;
+		}
+		var vPaths = vLayer.lastChild;
+		while (vPaths.firstChild)
+		{
+			vPaths.removeChild(vPaths.firstChild);
+		}
+		vDepPaths = {};
+	}
+
+	// Gets SVG path (d attribute) of an arrow from (x1,y1) to (x2,y2); see drawDependency
+	this.getDependencyPath = function(x1,y1,x2,y2,pLink)
+	{
+		var vType = pLink ? pLink.type : 'FS';
+		var vOut = (vType.charAt(0)=='F') ? 1 : -1;	// leaving right from finish, left from start
+		var vIn  = (vType.charAt(1)=='S') ? 1 : -1;	// entering start heading right, finish heading left
+		var vPath;
+		if(vOut != vIn)
+		{
+			// both ends on the same side - go around the outer one
+			var vX = (vOut > 0) ? Math.max(x1, x2) + 8 : Math.min(x1, x2) - 8;
+			vPath = 'M' + x1 + ',' + y1
+				+ ' H' + vX
+				+ ' V' + y2
+				+ ' H' + x2;
+		}
+		else if((x2 - x1) * vOut > 10)
+		{
+			vPath = 'M' + x1 + ',' + y1
+				+ ' H' + (x1+4*vOut)
+				+ ' V' + y2
+				+ ' H' + x2;
+		}
+		else
+		{
+			vPath = 'M' + x1 + ',' + y1
+				+ ' H' + (x1+4*vOut)
+				+ ' V' + (y2-10)
+				+ ' H' + (x2-8*vIn)
+				+ ' V' + y2
+				+ ' H' + x2;
+		}
+		return vPath;
+	}
+
+	// drawDependency: Draw an arrow (single SVG path) from one task (x1,y1) to another (x2,y2)
+	// pLink: (optional) link parsed by JSGantt.parseDepend - its type tells which ends of bars are connected (defaults to finish-to-start)
+	this.drawDependency = function(x1,y1,x2,y2,pFromID,pToID,pLink)
+	{
+		var vPath = this.getDependencyPath(x1,y1,x2,y2,pLink);
+		var isCritical = (vShowCriticalPath==1 && pLink && pLink.critical);
+		var vColor = isCritical ? vCriticalColor : vDepColor;
+		var oPath = document.createElementNS(JSGantt.svgNS, 'path');
+		oPath.setAttribute('d', vPath);
+		oPath.setAttribute('class', isCritical ? 'gdepline gcritical' : 'gdepline');
+		oPath.setAttribute('fill', 'none');
+		oPath.setAttribute('stroke', vColor);
+		oPath.setAttribute('stroke-width', isCritical ? '2' : '1');
+		if (JSGantt.depStyleDashArray[vDepStyle])
+		{
+			oPath.setAttribute('stroke-dasharray', JSGantt.depStyleDashArray[vDepStyle]);
+		}
+		oPath.setAttribute('marker-end', 'url(#' + this.getDependencyMarker(vColor) + ')');
+		oPath.setAttribute('data-from', pFromID);
+		oPath.setAttribute('data-to', pToID);
+		if (pLink)
+		{
+			oPath.setAttribute('data-type', pLink.type);
+			oPath.setAttribute('data-lag', pLink.lag);
+			var oTitle = document.createElementNS(JSGantt.svgNS, 'title');
+			oTitle.appendChild(document.createTextNode(pFromID + ' \u2192 ' + pToID + ' (' + JSGantt.formatDependLink(pLink) + ')'));
+			oPath.appendChild(oTitle);
+		}
+
+		vDepLayer.lastChild.appendChild(oPath);
+		return oPath;
+	}
+
+	// Draws dependency arrows of rows in view. Arrows that did not change are kept, so e.g. folding a group
+	// only reroutes arrows of rows that moved (and removes arrows of rows that got hidden).
+	this.DrawDependencies = function ()
+	{
+		//First recalculate the x,y
+		this.CalcTaskXY();
+
+		var vLayer = this.getDependencyLayer();
+		if (!vLayer)
+		{
+			return;
+		}
+		// cover the whole (scrollable) chart so that all arrows fit in
+		vLayer.setAttribute('width', vChartWidth);
+		vLayer.setAttribute('height', vRows.length * vRowHeight);
+
+		var vPaths = {};
+		var vList = this.getList();
+		for(var i = 0; i < vList.length; i++)
+		{
+			var vLinks = vList[i].getDependLinks();
+			for(var k = 0; k < vLinks.length; k++)
+			{
+				var vTask = this.getArrayLocationByID(vLinks[k].id);
+				
+				if(typeof(vTask) == 'undefined' || !this.isDependencyInView(vList[vTask], vList[i]))
+				{
+					continue;
+				}
+
+				// start or finish of the predecessor...
+				var vFrom = vList[vTask];
+				var vFromX = (vLinks[k].type.charAt(0)=='F') ? vFrom.getEndX() : vFrom.getStartX();
+				// ...to start or finish of the successor
+				var vToX = (vLinks[k].type.charAt(1)=='S') ? vList[i].getStartX()-1 : vList[i].getEndX()+1;
+
+				var vKey = vTask + '>' + i + '>' + k;
+				var vOld = vDepPaths[vKey];
+				if (vOld
+					&& vOld.getAttribute('d') == this.getDependencyPath(vFromX,vFrom.getEndY(),vToX,vList[i].getStartY(),vLinks[k])
+					&& (vOld.getAttribute('class').indexOf('gcritical') != -1) == (vShowCriticalPath==1 && vLinks[k].critical ? true : false))
+				{
+					vPaths[vKey] = vOld;
+					delete vDepPaths[vKey];
+					continue;
+				}
+				vPaths[vKey] = this.drawDependency(vFromX,vFrom.getEndY(),vToX,vList[i].getStartY(),vFrom.getID(),vList[i].getID(),vLinks[k]);
+			}
+		}
+
+		// remove arrows that changed or are no longer in view
+		for (var vOldKey in vDepPaths)
+		{
+			if (vDepPaths[vOldKey].parentNode)
+			{
+				vDepPaths[vOldKey].parentNode.removeChild(vDepPaths[vOldKey]);
+			}
+		}
+		vDepPaths = vPaths;
+	}
+
+
+	// true if both tasks are visible and the arrow between them crosses drawn rows
+	this.isDependencyInView = function(pFrom, pTo)
+	{
+		var vFromRow = vRowIndex[pFrom.getID()];
+		var vToRow = vRowIndex[pTo.getID()];
+		if (typeof(vFromRow) == 'undefined' || typeof(vToRow) == 'undefined' || !vView)
+		{
+			return false;
+		}
+		return Math.max(vFromRow, vToRow) >= vView.firstRow && Math.min(vFromRow, vToRow) < vView.lastRow;
+	}
+
+	// Loads calendar from the given wiki page (the page should contain a <calendar> block)
+	// The calendar is loaded asynchronously and the chart is redrawn when it arrives (see JSGantt.loadCalendar)
+	this.loadCalendarPage = function(pTitle)
+	{
+		var _self = this;
+		JSGantt.loadCalendar(pTitle, vDateInputFormat, function(oCalendar)
+		{
+			vCalendar = oCalendar;
+			_self.redrawIfDrawn();
+		}, function(oError)
+		{
+			_self.displayError(oError.toString());
+		});
+	}
+
+	this.getArrayLocationByID = function(pId)
+	{
+		var vPos = this.getTaskIndex().byId[pId];
+		if (typeof(vPos) == 'undefined' || vTaskList[vPos].getID() == pId)
+		{
+			return vPos;
+		}
+		// IDs of tasks were changed outside of the API (e.g. with setters of tasks)
+		vTaskIndex = JSGantt.indexTasks(vTaskList);
+		return vTaskIndex.byId[pId];
+	}
+
+	// Gets date columns of the chart area for the current format
+	// Returns {major: [{label, span}], minor: [{label, current, weekend}]}
+	this.getDateColumns = function(pMinDate, pMaxDate)
+	{
+		var vMajor = new Array();
+		var vMinor = new Array();
+		var vCurrDate = this.getStatusDate();
+		var vTmpDate = new Date();
+		var vNxtDate = new Date();
+		var vCaptions = vDateDisplayFormatCaptions[vFormat];
+
+		// Major Date Header
+		vTmpDate.setTime(pMinDate.getTime());
+		while(vTmpDate <= pMaxDate)
+		{
+			if(vFormat == 'minute')
+			{
+				vMajor.push({label: JSGantt.formatDateStr(vTmpDate, vDateDisplayFormat + ' H:i') + ' - ' + JSGantt.formatDateStr(vTmpDate, 'H') + ':59', span: 60});
+				vTmpDate.setHours(vTmpDate.getHours() + 1);
+			}
+			else if(vFormat == 'hour')
+			{
+				vMajor.push({label: JSGantt.formatDateStr(vTmpDate, vDateDisplayFormat), span: 24});
+				vTmpDate.setDate(vTmpDate.getDate() + 1);
+			}
+			else if(vFormat == 'day')
+			{
+				// Just shows month and year for every week
+				vMajor.push({label: Date.monthNames[vTmpDate.getMonth()] + ' ' + vTmpDate.getFullYear(), span: 7});
+				vTmpDate.setDate(vTmpDate.getDate() + 7);
+			}
+			else
+			{
+				vMajor.push({label: JSGantt.formatDateStr(vTmpDate, vCaptions.upper), span: 1});
+				JSGantt.nextColumnDate(vTmpDate, vFormat);
+			}
+		}
+
+		// Minor Date header
+		vTmpDate.setTime(pMinDate.getTime());
+		while(vTmpDate <= pMaxDate)
+		{
+			var vColumn = {label: '', current: false, weekend: false};
+			vNxtDate.setTime(vTmpDate.getTime());
+			JSGantt.nextColumnDate(vNxtDate, vFormat);
+
+			if(vFormat == 'minute' || vFormat == 'hour')
+			{
+				vColumn.label = (vFormat == 'minute') ? JSGantt.formatDateStr(vTmpDate, 'i') : JSGantt.formatDateStr(vTmpDate, 'H');
+				vColumn.current = (vCurrDate >= vTmpDate && vCurrDate < vNxtDate);
+				vColumn.weekend = vCalendar ? !vCalendar.isWorkingDay(vTmpDate) : (vTmpDate.getDay() % 6 == 0);
+			}
+			else if(vFormat == 'day')
+			{
+				vColumn.label = vTmpDate.getDate();
+				vColumn.current = (vCurrDate >= vTmpDate && vCurrDate < vNxtDate);
+				if (vCalendar)
+				{
+					vColumn.weekend = !vCalendar.isWorkingDay(vTmpDate);
+					vColumn.title = this.getHolidayNames(vTmpDate, vNxtDate);
+				}
+				else
+				{
+					vColumn.weekend = (vTmpDate.getDay() % 6 == 0);
+				}
+			}
+			else
+			{
+				vColumn.label = JSGantt.formatDateStr(vTmpDate, vCaptions.lower);
+				vColumn.current = (vCurrDate >= vTmpDate && vCurrDate < vNxtDate);
+				if (vCalendar && vFormat == 'week')
+				{
+					vColumn.title = this.getHolidayNames(vTmpDate, vNxtDate);
+				}
+			}
+			vMinor.push(vColumn);
+			vTmpDate.setTime(vNxtDate.getTime());
+		}
+
+		// last major column must not go past the minor ones
+		var vSpans = 0;
+		for (var i = 0; i < vMajor.length; i++)
+		{
+			vSpans += vMajor[i].span;
+		}
+		if (vMajor.length && vSpans > vMinor.length)
+		{
+			vMajor[vMajor.length - 1].span -= vSpans - vMinor.length;
+		}
+
+		return {major: vMajor, minor: vMinor};
+	}
+
+	// Names of holidays from pStart to pEnd (excluding) - one per line
+	this.getHolidayNames = function(pStart, pEnd)
+	{
+		var vNames = new Array();
+		var vDate = new Date(pStart.getTime());
+		while (vDate < pEnd)
+		{
+			var vException = vCalendar.getException(vDate);
+			if (vException && !vException.working)
+			{
+				vNames.push(JSGantt.formatDateStr(vDate, vDateDisplayFormat) + (vException.name.length ? ': ' + vException.name : ''));
+			}
+			vDate.setDate(vDate.getDate() + 1);
+		}
+		return vNames.join('\n');
+	}
+
+	// Attaches chart events (one delegated listener of each type for the whole chart)
+	this.attachEvents = function()
+	{
+		if (vEventsAttached)
+		{
+			return;
+		}
+		vEventsAttached = true;
+
+		var vGantt = this;
+		smpAddEvent(vDiv, 'click', function(e) { vGantt.onClick(e); });
+		smpAddEvent(vDiv, 'mouseover', function(e) { vGantt.onMouseOver(e); });
+		smpAddEvent(vDiv, 'mouseout', function(e) { vGantt.onMouseOut(e); });
+	}
+
+	// Delegated click handler (folding, format switching, navigation and task clicks)
+	this.onClick = function(e)
+	{
+		var vAction = JSGantt.findEventElement(e, 'data-action', vDiv);
+		if (!vAction)
+		{
+			return;
+		}
+
+		switch (vAction.getAttribute('data-action'))
+		{
+			case 'fold':
+				JSGantt.folder(vAction.getAttribute('data-task-id'), this);
+			break;
+			case 'format':
+				if (vAction.getAttribute('data-format') != vFormat)
+				{
+					vFitToWidth = false;
+					JSGantt.changeFormat(vAction.getAttribute('data-format'), this);
+				}
+			break;
+			case 'navigate':
+				switch (vAction.getAttribute('data-navigate'))
+				{
+					case 'prev':
+						this.scrollPage(-1);
+					break;
+					case 'next':
+						this.scrollPage(1);
+					break;
+					case 'today':
+						this.scrollToDate(new Date());
+					break;
+					case 'fit':
+						vFitToWidth = true;
+						this.Draw();
+					break;
+				}
+			break;
+			case 'taskclick':
+				this.onTaskClick(vAction.getAttribute('data-task-id'), e);
+			break;
+			case 'details-close':
+				this.hideDetails();
+			break;
+			case 'errors-toggle':
+				vErrorsOpen = !vErrorsOpen;
+				this.drawErrors(vAction.parentNode.parentNode);
+			break;
+			case 'errors-task':
+				this.showDetails(vAction.getAttribute('data-task-id'));
+			break;
+			case 'edit':
+				JSGantt.editTask(vAction.getAttribute('data-task-id'));
+			break;
+		}
+	}
+
+	// Runs the click action (see setClickAction) for the task
+	this.onTaskClick = function(pID, e)
+	{
+		var vTask = this.getTaskById(pID);
+		if (!vTask || this.trigger('taskclick', vTask, e) === false)
+		{
+			return;
+		}
+
+		var vHandler = vClickAction;
+		if (typeof(vHandler) != 'function')
+		{
+			vHandler = JSGantt.clickHandlers[vClickAction];
+		}
+		if (typeof(vHandler) == 'function')
+		{
+			vHandler.call(this, vTask, e);
+			return;
+		}
+
+		switch (vClickAction)
+		{
+			case 'link':
+				// links other than http(s) and relative ones are ignored (see JSGantt.isSafeLink)
+				var vLink = JSGantt.decodeHTML(vTask.getLink());
+				if (vLink && JSGantt.isSafeLink(vLink))
+				{
+					window.location.href = vLink;
+					return;
+				}
+				this.showDetails(pID);
+			break;
+			case 'edit':
+				JSGantt.editTask(pID);
+			break;
+			default:
+				this.showDetails(pID);
+			break;
+		}
+	}
+
+	// Delegated row hover handlers
+	this.onMouseOver = function(e)
+	{
+		var vRow = JSGantt.findEventElement(e, 'data-row-pos', vDiv);
+		if (vRow)
+		{
+			this.mouseOver(vRow, vRow.getAttribute('data-task-id'), vRow.getAttribute('data-row-pos'), vRow.getAttribute('data-row-type'));
+		}
+
+		var vTaskEl = JSGantt.findEventElement(e, 'data-task-id', vDiv);
+		var vID = vTaskEl ? vTaskEl.getAttribute('data-task-id') : null;
+		if (vID != vHoverID)
+		{
+			vHoverID = vID;
+			if (vID !== null && this.getTaskById(vID))
+			{
+				this.trigger('taskhover', this.getTaskById(vID), e);
+			}
+		}
+	}
+	this.onMouseOut = function(e)
+	{
+		var vRow = JSGantt.findEventElement(e, 'data-row-pos', vDiv);
+		if (vRow)
+		{
+			this.mouseOut(vRow, vRow.getAttribute('data-task-id'), vRow.getAttribute('data-row-pos'), vRow.getAttribute('data-row-type'));
+		}
+	}
+
+	// Gets caption (right side annotation) of the task
+	this.getTaskCaption = function(pTask)
+	{
+		switch( vCaptionType )
+		{
+			case 'Caption':    return pTask.getCaption();
+			case 'Resource':   return pTask.getResource();
+			case 'Duration':   return pTask.getDuration(vFormat);
+			case 'Complete':   return pTask.getCompStr();
+		}
+		return '';
+	}
+
+	// Builds the list of visible chart rows (tasks with the same ID share one row)
+	this.buildRows = function()
+	{
+		var vSeen = {};
+		vRows = new Array();
+		vRowIndex = {};
+		for (var i = 0; i < vTaskList.length; i++)
+		{
+			var vID = vTaskList[i].getID();
+			if (vSeen[vID])
+			{
+				if (typeof(vRowIndex[vID]) != 'undefined')
+				{
+					vRows[vRowIndex[vID]].push(i);
+				}
+				continue;
+			}
+			vSeen[vID] = true;
+			if (vTaskList[i].getVisible() == 1)
+			{
+				vRowIndex[vID] = vRows.length;
+				vRows.push([i]);
+			}
+		}
+	}
+
+	// Rebuilds rows after groups were folded/unfolded
+	this.refreshRows = function()
+	{
+		var vBody = this.getObj('chartbody');
+		var vTasks = this.getObj('tasksbody');
+		var vCanvas = this.getObj('canvas');
+		if (!vBody || !vTasks || !vCanvas)
+		{
+			return;
+		}
+		this.buildRows();
+		vBodyHeight = Math.min(vRows.length * vRowHeight + 20, vChartHeight);
+		vBody.style.height = (vBodyHeight + 2 * vRowHeight) + 'px';
+		vTasks.style.height = (vRows.length * vRowHeight) + 'px';
+		vCanvas.style.height = (vRows.length * vRowHeight) + 'px';
+		this.renderView(false, true);
+	}
+
+	// Table for task rows (all share the same column widths so that columns are aligned)
+	this.newTaskTable = function(pParent)
+	{
+		var vTable = JSGantt.newElement('table', 'gtasktable', pParent);
+		var vColGroup = JSGantt.newElement('colgroup', '', vTable);
+		JSGantt.newElement('col', '', vColGroup).style.width = (vNameWidth - vStatusWidth*vExtraColsNum) + 'px';
+		for (var i = 0; i < vExtraColsNum; i++)
+		{
+			JSGantt.newElement('col', '', vColGroup).style.width = vStatusWidth + 'px';
+		}
+		return vTable;
+	}
+
+	// Cell of the chart grid (both header and task rows)
+	this.newDateCell = function(pColumn, pParent, pHTML, pIsHeader)
+	{
+		var vCell = JSGantt.newElement('td', pColumn.weekend ? 'gheadwkend' : 'ghead', pParent);
+		var vColor = pColumn.current ? (pColumn.weekend ? '#9999ff' : '#ccccff') : (pColumn.weekend ? '#cfcfcf' : '#ffffff');
+		vCell.align = 'center';
+		if (pIsHeader || pColumn.current || pColumn.weekend)
+		{
+			vCell.bgColor = vColor;
+		}
+		if (!pIsHeader)
+		{
+			vCell.style.cursor = 'default';
+		}
+		else if (pColumn.title)
+		{
+			vCell.title = pColumn.title;
+		}
+		JSGantt.newElement('div', '', vCell, pHTML).style.width = vColWidth + 'px';
+		return vCell;
+	}
+
+	// DRAW the Left-side of the chart (names, resources, comp%).
+	// The column is frozen (sticky) so that it stays in view when the chart is scrolled horizontally.
+	this.drawLeftSide = function(pHeader, pBody)
+	{
+		var vArea = JSGantt.newElement('div', 'tasksarea gheadnames', pHeader);
+		vArea.style.width = vNameWidth + 'px';
+		var vTbody = JSGantt.newElement('tbody', '', this.newTaskTable(vArea));
+
+		var vRow = JSGantt.newElement('tr', '', vTbody);
+		vRow.style.height = vRowHeight + 'px';
+		JSGantt.newElement('td', '', vRow, '&nbsp;').colSpan = vExtraColsNum + 1;
+
+		// headers
+		vRow = JSGantt.newElement('tr', '', vTbody);
+		vRow.style.height = vRowHeight + 'px';
+		JSGantt.newElement('td', '', vRow, '&nbsp;');
+		var vHeaders = [
+			[vShowRes,       'header-res'],
+			[vShowDur,       'header-dur'],
+			[vShowComp,      'header-comp'],
+			[vShowStartDate, 'header-startdate'],
+			[vShowEndDate,   'header-enddate'],
+			[vShowVariance,  'header-variance'],
+			[vShowFloat,     'header-float']
+		];
+		for (var i = 0; i < vHeaders.length; i++)
+		{
+			if (vHeaders[i][0] == 1)
+			{
+				JSGantt.newElement('th', '', vRow, JSGantt.lang[vHeaders[i][1]]);
+			}
+		}
+
+		//
+		// TASKS (only rows in view are drawn - see renderView)
+		//
+		var vTasks = JSGantt.newElement('div', 'tasksarea gtasksbody', pBody);
+		vTasks.id = this.getDomId('tasksbody');
+		vTasks.style.width = vNameWidth + 'px';
+		vTasks.style.height = (vRows.length * vRowHeight) + 'px';
+	}
+
+	// DRAW the date format selector, zoom and navigation below the chart
+	this.drawFormatChooser = function(pParent)
+	{
+		var vChooser = JSGantt.newElement('td', 'format_chooser', JSGantt.newElement('tr', '', JSGantt.newElement('tbody', '', JSGantt.newElement('table', '', pParent))), JSGantt.lang['format-label']);
+		var vRadioName = this.getDomId('radFormat');
+		var vFormats = JSGantt.formats;
+		for (var i = 0; i < vFormats.length; i++)
+		{
+			if (vFormatArr.join().indexOf(vFormats[i]) == -1)
+			{
+				continue;
+			}
+			var vRadio = JSGantt.newElement('input', '', vChooser);
+			vRadio.type = 'radio';
+			vRadio.id = vRadioName + '_' + vFormats[i];
+			vRadio.name = vRadioName;
+			vRadio.value = vFormats[i];
+			vRadio.checked = (vFormat == vFormats[i]);
+			vRadio.setAttribute('data-action', 'format');
+			vRadio.setAttribute('data-format', vFormats[i]);
+			JSGantt.newElement('label', '', vChooser, JSGantt.lang['format-' + vFormats[i]]).htmlFor = vRadio.id;
+		}
+
+		// zoom slider (logarithmic - 10 steps double the width)
+		var vGantt = this;
+		var vZoomRange = this.getZoomRange();
+		JSGantt.newElement('span', '', vChooser, ' ' + JSGantt.lang['zoom-label'] + ' ');
+		var vSlider = JSGantt.newElement('input', 'gzoom', vChooser);
+		vSlider.type = 'range';
+		vSlider.id = this.getDomId('zoom');
+		vSlider.min = Math.floor(Math.log(vZoomRange.min) / Math.LN2 * 10);
+		vSlider.max = Math.ceil(Math.log(vZoomRange.max) / Math.LN2 * 10);
+		vSlider.step = 1;
+		vSlider.value = Math.round(Math.log(this.getDayWidth()) / Math.LN2 * 10);
+		smpAddEvent(vSlider, 'change', function() { vGantt.zoomTo(Math.pow(2, vSlider.value / 10)); });
+
+		// navigation (see onClick)
+		var vNavigation = JSGantt.newElement('span', 'gnavigation', vChooser);
+		var vButtons = [['prev', '&laquo;'], ['today', JSGantt.lang['nav-today']], ['next', '&raquo;'], ['fit', JSGantt.lang['nav-fit']]];
+		for (i = 0; i < vButtons.length; i++)
+		{
+			var vButton = JSGantt.newElement('button', '', vNavigation, vButtons[i][1]);
+			vButton.type = 'button';
+			vButton.title = JSGantt.lang['nav-' + vButtons[i][0]];
+			vButton.setAttribute('data-action', 'navigate');
+			vButton.setAttribute('data-navigate', vButtons[i][0]);
+		}
+	}
+
+	// Draws a row of the left side (task name and extra columns)
+	this.drawTaskRow = function(pTask)
+	{
+		var vID = pTask.getID();
+		var vRow = JSGantt.newElement('tr');
+		vRow.id = this.getDomId('child', vID);
+		vRow.bgColor = pTask.getGroup() ? '#f3f3f3' : '#ffffff';
+		vRow.setAttribute('data-task-id', vID);
+		vRow.setAttribute('data-row-pos', 'left');
+		vRow.setAttribute('data-row-type', pTask.getGroup() ? 'group' : 'row');
+		vRow.setAttribute('data-action', 'taskclick');
+		vRow.title = this.getTaskTooltip(pTask);
+
+		var vNobr = JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gname', vRow));
+		var vIndent = JSGantt.newElement('span', '', vNobr);
+		vIndent.style.color = '#aaaaaa';
+		for(var j = 1; j < pTask.getLevel(); j++)
+		{
+			vIndent.innerHTML += '&nbsp;&nbsp;&nbsp;&nbsp;';
+		}
+
+		if( pTask.getGroup())
+		{
+			var vOpener = JSGantt.newElement('span', '', vNobr, pTask.getOpen() == 1 ? '&ndash;' : '+');
+			vOpener.id = this.getDomId('group', vID);
+			vOpener.style.cssText = 'color:#000000; cursor:pointer; font-weight:bold;';
+			vOpener.setAttribute('data-action', 'fold');
+			vOpener.setAttribute('data-task-id', vID);
+			JSGantt.newElement('span', '', vNobr, '&nbsp;').style.color = '#000000';
+		}
+		else
+		{
+			JSGantt.newElement('span', '', vNobr, '&nbsp;&nbsp;').style.cssText = 'color: #000000; font-weight:bold;';
+		}
+
+		var vStatus = this.getTaskStatus(pTask);
+		if (vStatus.length)
+		{
+			JSGantt.newElement('span', 'gwarning g' + vStatus, vNobr, '&#x26a0;').title = JSGantt.lang['status-' + vStatus];
+		}
+
+		JSGantt.newElement('span', '', vNobr, ' ' + pTask.getShortName(vNameWidth - vStatusWidth*vExtraColsNum));
+
+		if(vShowRes ==1)      JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), pTask.getResource());
+		if(vShowDur ==1)      JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), pTask.getDuration(vFormat));
+		if(vShowComp==1)      JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), pTask.getCompStr());
+		if(vShowStartDate==1) JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), this.formatTaskDate(pTask.getStart()));
+		if(vShowEndDate==1)   JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), this.formatTaskDate(pTask.getEnd()));
+		if(vShowVariance==1)
+		{
+			var vVariance = JSGantt.newElement('td', 'gtaskdesc', vRow);
+			JSGantt.newElement('nobr', '', vVariance, pTask.getVarianceStr());
+			if (pTask.getVariance() > 0)
+			{
+				vVariance.className += ' gvariancelate';
+			}
+			else if (pTask.getVariance() < 0)
+			{
+				vVariance.className += ' gvarianceearly';
+			}
+		}
+		if(vShowFloat==1)     JSGantt.newElement('nobr', '', JSGantt.newElement('td', 'gtaskdesc', vRow), pTask.getFloatStr());
+
+		return vRow;
+	}
+
+	// Draw the Chart area (date headers and a canvas for rows)
+	this.drawRightSide = function(pHeader, pBody)
+	{
+		var vHeader = JSGantt.newElement('div', 'chartarea gchartheader', pHeader);
+		vHeader.id = this.getDomId('chartheader');
+		vHeader.style.width = vChartWidth + 'px';
+		vHeader.style.height = (2 * vRowHeight) + 'px';
+		JSGantt.newElement('table', '', vHeader).id = this.getDomId('headtable');
+
+		var vCanvas = JSGantt.newElement('div', 'chartarea gchartcanvas', pBody);
+		vCanvas.id = this.getDomId('canvas');
+		vCanvas.style.width = vChartWidth + 'px';
+		vCanvas.style.height = (vRows.length * vRowHeight) + 'px';
+		if (vRangeStart || vRangeEnd)
+		{
+			vCanvas.style.overflow = 'hidden';	// cut off bars outside of the date range
+		}
+		JSGantt.newElement('div', '', vCanvas).id = this.getDomId('gridrows');
+
+		// holidays in week view (in day view whole columns are shaded)
+		if (vCalendar && vFormat == 'week')
+		{
+			var vHolidaysLayer = JSGantt.newElement('div', 'gholidays', vCanvas);
+			var vHolidays = vCalendar.getHolidays();
+			for (var i = 0; i < vHolidays.length; i++)
+			{
+				if (vHolidays[i].date < vMinDate || vHolidays[i].date > vMaxDate)
+				{
+					continue;
+				}
+				var vHoliday = JSGantt.newElement('div', 'gholiday', vHolidaysLayer);
+				vHoliday.style.cssText = 'left:' + this.getDatesBox(vHolidays[i].date, vHolidays[i].date).left + 'px; width:' + Math.ceil(vDayWidth) + 'px;';
+			}
+		}
+
+		// status date line
+		var vStatusX = Math.round(this.getDateX(this.getStatusDate()));
+		if (vStatusX >= 0 && vStatusX < vChartWidth)
+		{
+			var vStatusLine = JSGantt.newElement('div', 'gstatusline', vCanvas);
+			vStatusLine.style.left = vStatusX + 'px';
+			vStatusLine.title = JSGantt.lang['status-date'] + ': ' + this.formatTaskDate(this.getStatusDate());
+		}
+	}
+
+	// Shows rows and date columns that are scrolled into view
+	// (pForce - draw everything again; pRowsChanged - rows were rebuilt, e.g. a group was folded)
+	this.renderView = function(pForce, pRowsChanged)
+	{
+		var vBody = this.getObj('chartbody');
+		if (!vBody)
+		{
+			return;
+		}
+		var vPitch = vColWidth + 1;
+		var vViewHeight = vBody.clientHeight ? vBody.clientHeight - 2 * vRowHeight : vBodyHeight;
+		var vViewWidth = this.getViewWidth();
+
+		var vNewView = {
+			firstRow : Math.max(0, Math.floor(vBody.scrollTop / vRowHeight) - vOverscan),
+			lastRow  : Math.min(vRows.length, Math.ceil((vBody.scrollTop + vViewHeight) / vRowHeight) + vOverscan),
+			firstCol : Math.max(0, Math.floor(vBody.scrollLeft / vPitch) - vOverscan),
+			lastCol  : Math.min(vColumns.minor.length, Math.ceil((vBody.scrollLeft + vViewWidth) / vPitch) + vOverscan)
+		};
+		var vColsChanged = pForce || !vView || vView.firstCol != vNewView.firstCol || vView.lastCol != vNewView.lastCol;
+		if (!vColsChanged && !pRowsChanged
+			&& vView.firstRow == vNewView.firstRow && vView.lastRow == vNewView.lastRow)
+		{
+			return;
+		}
+		vView = vNewView;
+
+		if (vColsChanged)
+		{
+			this.renderHeader(vView.firstCol, vView.lastCol);
+		}
+		this.renderRows(vView.firstRow, vView.lastRow, vColsChanged);
+		this.DrawDependencies();
+	}
+
+	// Gets width of the visible part of the chart area (right of the frozen name column)
+	this.getViewWidth = function()
+	{
+		var vBody = this.getObj('chartbody');
+		var vWidth = (vBody && vBody.clientWidth) ? vBody.clientWidth : (vDiv.clientWidth || 1000);
+		return Math.max(vWidth - vNameWidth, vColWidth);
+	}
+
+	// Draws date headers for columns from pFirstCol to pLastCol (excluding)
+	this.renderHeader = function(pFirstCol, pLastCol)
+	{
+		var vTable = this.getObj('headtable');
+		var vTbody = JSGantt.newElement('tbody');
+		vTable.style.cssText = 'position:absolute; top:0px; left:' + (pFirstCol * (vColWidth + 1)) + 'px;';
+
+		// Major Date Header
+		var vRow = JSGantt.newElement('tr', '', vTbody);
+		vRow.style.height = vRowHeight + 'px';
+		var vStart = 0;
+		for (var i = 0; i < vColumns.major.length && vStart < pLastCol; i++)
+		{
+			var vEnd = vStart + vColumns.major[i].span;
+			var vSpan = Math.min(vEnd, pLastCol) - Math.max(vStart, pFirstCol);
+			if (vSpan > 0)
+			{
+				var vCell = JSGantt.newElement('td', 'gdatehead', vRow, vColumns.major[i].label);
+				vCell.align = 'center';
+				if (vColumns.major[i].span > 1)
+				{
+					vCell.colSpan = vSpan;
+				}
+				else
+				{
+					vCell.style.width = vColWidth + 'px';
+				}
+			}
+			vStart = vEnd;
+		}
+
+		// Minor Date header
+		vRow = JSGantt.newElement('tr', '', vTbody);
+		vRow.style.height = vRowHeight + 'px';
+		for (i = pFirstCol; i < pLastCol; i++)
+		{
+			this.newDateCell(vColumns.minor[i], vRow, vColumns.minor[i].label + '', true);
+		}
+
+		vTable.innerHTML = '';
+		vTable.appendChild(vTbody);
+	}
+
+	// Draws rows from pFirstRow to pLastRow (excluding). Rows that are already drawn are only moved into place
+	// unless pForce is set (e.g. when other date columns came into view).
+	this.renderRows = function(pFirstRow, pLastRow, pForce)
+	{
+		var vTasks = this.getObj('tasksbody');
+		var vGridRows = this.getObj('gridrows');
+		if (pForce)
+		{
+			vTasks.innerHTML = '';
+			vGridRows.innerHTML = '';
+			vDrawnRows = {};
+		}
+
+		// rows out of view (or hidden) are removed
+		var vInView = {};
+		for (var r = pFirstRow; r < pLastRow; r++)
+		{
+			vInView[vTaskList[vRows[r][0]].getID()] = r;
+		}
+		for (var vID in vDrawnRows)
+		{
+			if (typeof(vInView[vID]) == 'undefined')
+			{
+				this.removeRow(vID);
+			}
+		}
+
+		for (r = pFirstRow; r < pLastRow; r++)
+		{
+			var vDrawn = vDrawnRows[vTaskList[vRows[r][0]].getID()];
+			if (!vDrawn)
+			{
+				this.drawRow(r);
+			}
+			else if (vDrawn.row != r)
+			{
+				vDrawn.row = r;
+				vDrawn.left.style.top = (r * vRowHeight) + 'px';
+				vDrawn.right.style.top = (r * vRowHeight) + 'px';
+			}
+		}
+	}
+
+	// Removes elements of the row of the task (if drawn)
+	this.removeRow = function(pID)
+	{
+		var vDrawn = vDrawnRows[pID];
+		if (vDrawn)
+		{
+			vDrawn.left.parentNode.removeChild(vDrawn.left);
+			vDrawn.right.parentNode.removeChild(vDrawn.right);
+			delete vDrawnRows[pID];
+		}
+	}
+
+	// Draws row number pRow on both sides (with cells for date columns in view)
+	this.drawRow = function(pRow)
+	{
+		var vTask = vTaskList[vRows[pRow][0]];
+		var vID = vTask.getID();
+		var vRowType = vTask.getMile() ? 'mile' : (vTask.getGroup() ? 'group' : 'row');
+
+		// left side
+		var vRowDiv = JSGantt.newElement('div', vInvalidIDs[vID] ? 'gtaskrow ginvalid' : 'gtaskrow', this.getObj('tasksbody'));
+		vRowDiv.style.top = (pRow * vRowHeight) + 'px';
+		vRowDiv.style.height = vRowHeight + 'px';
+		JSGantt.newElement('tbody', '', this.newTaskTable(vRowDiv)).appendChild(this.drawTaskRow(vTask));
+
+		// chart
+		var vGrid = JSGantt.newElement('div', vInvalidIDs[vID] ? 'gchildgrid ginvalid' : 'gchildgrid', this.getObj('gridrows'));
+		vGrid.id = this.getDomId('childgrid', vID);
+		vGrid.style.cssText = 'top:' + (pRow * vRowHeight) + 'px; height:' + vRowHeight + 'px; width:' + vChartWidth + 'px;';
+
+		var vTable = JSGantt.newElement('table', '', vGrid);
+		vTable.style.cssText = 'position:absolute; top:0px; left:' + (vView.firstCol * (vColWidth + 1)) + 'px;';
+		var vRow = JSGantt.newElement('tr', 'yesdisplay', JSGantt.newElement('tbody', '', vTable));
+		vRow.style.height = vRowHeight + 'px';
+		for (var i = vView.firstCol; i < vView.lastCol; i++)
+		{
+			this.newDateCell(vColumns.minor[i], vRow, '&nbsp;&nbsp;', false);
+		}
+		vRow.id = this.getDomId('childrow', vID);
+		vRow.setAttribute('data-task-id', vID);
+		vRow.setAttribute('data-row-pos', 'right');
+		vRow.setAttribute('data-row-type', vRowType);
+		vRow.title = this.getTaskTooltip(vTask);
+		if (vRowType != 'mile')
+		{
+			vRow.bgColor = (vRowType == 'group') ? '#f3f3f3' : '#ffffff';
+		}
+
+		// to allow more bars on one row
+		for (var k = 0; k < vRows[pRow].length; k++)
+		{
+			var vBaseBar = this.drawBaselineBar(vTaskList[vRows[pRow][k]]);
+			if (vBaseBar)
+			{
+				vGrid.appendChild(vBaseBar);
+			}
+			vGrid.appendChild(this.drawTaskBar(vTaskList[vRows[pRow][k]], vRows[pRow][k], k == 0));
+		}
+
+		vDrawnRows[vID] = {left: vRowDiv, right: vGrid, row: pRow};
+	}
+
+	// Draws the row of the task again (if it is drawn)
+	this.redrawRow = function(pID)
+	{
+		var vDrawn = vDrawnRows[pID];
+		if (vDrawn)
+		{
+			this.removeRow(pID);
+			this.drawRow(vDrawn.row);
+		}
+	}
+
+	// Checks progress of the task at the status date:
+	// 'overdue' (should be finished already), 'behind' (progress is less than elapsed time) or '' (on track)
+	this.getTaskStatus = function(pTask)
+	{
+		if (!pTask.getStart() || !pTask.getEnd() || pTask.getCompVal() >= 100)
+		{
+			return '';
+		}
+		var vStatusDate = this.getStatusDate();
+		var vEnd = JSGantt.getEndMoment(pTask.getEnd());
+		if (vEnd <= vStatusDate)
+		{
+			return 'overdue';
+		}
+		if (!pTask.getMile() && pTask.getStart() < vStatusDate)
+		{
+			var vElapsed = (vStatusDate - pTask.getStart()) / (vEnd - pTask.getStart()) * 100;
+			if (pTask.getCompVal() < Math.floor(vElapsed))
+			{
+				return 'behind';
+			}
+		}
+		return '';
+	}
+
+	// Gets position of the task bar within its row ({left, width, top} in pixels)
+	this.getTaskBarBox = function(pTask)
+	{
+		if( pTask.getMile())
+		{
+			return {left: Math.ceil(this.getDateX(pTask.getStart()) - 2), width: 16, top: 0};
+		}
+
+		var vBox = this.getDatesBox(pTask.getStart(), pTask.getEnd());
+		vBox.top = pTask.getGroup() ? 5 : 4;
+		return vBox;
+	}
+
+	// Gets horizontal position of a bar from pStart to pEnd ({left, width} in pixels)
+	// (end dates without time of day include the whole day)
+	this.getDatesBox = function(pStart, pEnd)
+	{
+		var vLeft = this.getDateX(pStart);
+		var vRight = this.getDateX(JSGantt.getEndMoment(pEnd));
+		return {
+			left: Math.ceil(vLeft + 1),
+			width: Math.max(Math.ceil(vRight - vLeft - 1), 1)
+		};
+	}
+
+	// Gets position of the date on the chart area (in pixels from vMinDate)
+	this.getDateX = function(pDate)
+	{
+		if (vFormat=='minute')
+		{
+			return (pDate - vMinDate) / (60 * 1000) * vDayWidth;
+		}
+		else if (vFormat=='hour')
+		{
+			return (pDate - vMinDate) / (60 * 60 * 1000) * vDayWidth;
+		}
+		else if (vFormat=='month' || vFormat=='quarter')
+		{
+			// date is placed within its own month (quarter) column using the real number of days
+			var vMonths = vFormat=='month' ? 1 : 3;
+			var vColStart = new Date(pDate.getFullYear(), pDate.getMonth() - pDate.getMonth() % vMonths, 1);
+			var vColDays = 0;
+			for (var i = 0; i < vMonths; i++)
+			{
+				vColDays += new Date(vColStart.getFullYear(), vColStart.getMonth() + i, 1).getDaysInMonth();
+			}
+			var vCol = ((vColStart.getFullYear() - vMinDate.getFullYear()) * 12 + vColStart.getMonth() - vMinDate.getMonth()) / vMonths;
+			return (vCol + JSGantt.daysBetween(vColStart, pDate) / vColDays) * (vColWidth + 1);
+		}
+		return JSGantt.daysBetween(vMinDate, pDate) * vDayWidth;
+	}
+
+	// Gets date at the position on the chart area (reverse of getDateX)
+	this.getXDate = function(pX)
+	{
+		var vFrom = vMinDate.getTime();
+		var vTo = vMaxDate.getTime() + 92 * 24 * 60 * 60 * 1000;	// end of the last column (a quarter at most)
+		while (vTo - vFrom > 60 * 1000)
+		{
+			var vMiddle = (vFrom + vTo) / 2;
+			if (this.getDateX(new Date(vMiddle)) < pX)
+			{
+				vFrom = vMiddle;
+			}
+			else
+			{
+				vTo = vMiddle;
+			}
+		}
+		return new Date(Math.round(vFrom));
+	}
+
+	// Formats task date for display (with time of day if it was given)
+	this.formatTaskDate = function(pDate)
+	{
+		return JSGantt.formatDateStr(pDate, vDateDisplayFormat + (JSGantt.hasTime(pDate) ? ' H:i' : ''));
+	}
+
+	// Draws thin baseline (planned dates) bar under the task bar; null if the task has no baseline
+	this.drawBaselineBar = function(pTask)
+	{
+		if (!pTask.getBaseStart() || !pTask.getBaseEnd())
+		{
+			return null;
+		}
+
+		var vBox = this.getDatesBox(pTask.getBaseStart(), pTask.getBaseEnd());
+		var vBar = JSGantt.newElement('div', 'gbaseline');
+		if (pTask.getMile())
+		{
+			vBox = {left: Math.ceil(this.getDateX(pTask.getBaseStart()) - 2) + 5, width: 6};
+		}
+		vBar.style.cssText = 'position:absolute; top:17px; left:' + vBox.left + 'px; width:' + vBox.width + 'px; height:3px; overflow:hidden;';
+		vBar.title = JSGantt.decodeHTML(pTask.getName()) + ': '
+			+ this.formatTaskDate(pTask.getBaseStart()) + ' - ' + this.formatTaskDate(pTask.getBaseEnd());
+		return vBar;
+	}
+
+	// Draws bar of the task (pIsFirst = true if this is the first bar in the row)
+	this.drawTaskBar = function(pTask, pIndex, pIsFirst)
+	{
+		var vID = pTask.getID();
+		var vTitle = this.getTaskTooltip(pTask);
+		var vBox = this.getTaskBarBox(pTask);
+		var vBar = JSGantt.newElement('div');
+		var vTaskBar;
+
+		if (pIsFirst)
+		{
+			vBar.id = this.getDomId('bardiv', vID);
+		}
+
+		if( pTask.getMile())
+		{
+			vBar.style.cssText = 'position:absolute; top:0px; left:' + vBox.left + 'px; height: 18px; width:16px; overflow:hidden;';
+
+			vTaskBar = JSGantt.newElement('div', '', vBar, (pTask.getCompVal() < 100) ? '&#x2606;' : '&#x2605;');
+			vTaskBar.style.cssText = 'position:relative;left:2px; height: 20px; width:16px; overflow:hidden; cursor: pointer; font-size:16px;';
+			vTaskBar.title = vTitle;
+
+			if( vCaptionType )
+			{
+				JSGantt.newElement('div', '', vBar, this.getTaskCaption(pTask)).style.cssText = 'position:absolute; top:2px; width:120px; left:12px';
+			}
+		}
+		else
+		{
+			var vLeft = vBox.left;
+			var vWidth = vBox.width;
+
+			vTaskBar = JSGantt.newElement('div', 'gtask', vBar);
+			vTaskBar.title = vTitle;
+
+			// Draw Group Bar  which has outer div with inner group div and several small divs to left and right to create angled-end indicators
+			if( pTask.getGroup())
+			{
+				vBar.style.cssText = 'position:absolute; top:5px; left:' + vLeft + 'px; height: 7px; width:' + vWidth + 'px';
+				vTaskBar.style.cssText = 'background-color:#000000; height: 7px; width:' + vWidth + 'px;  cursor: pointer;opacity:0.9;';
+				JSGantt.newElement('div', '', vTaskBar).style.cssText = 'Z-INDEX: -4; float:left; background-color:#fff; height:3px; overflow: hidden; margin-top:1px; '
+					+ 'margin-left:1px; margin-right:1px; filter: alpha(opacity=80); opacity:0.8; width:' + pTask.getCompStr() + '; cursor: pointer;';
+				for (var vHeight = 4; vHeight > 0; vHeight--)
+				{
+					JSGantt.newElement('div', '', vBar).style.cssText = 'Z-INDEX: -4; float:left; background-color:#000000; height:' + vHeight + 'px; overflow: hidden; width:1px;';
+					JSGantt.newElement('div', '', vBar).style.cssText = 'Z-INDEX: -4; float:right; background-color:#000000; height:' + vHeight + 'px; overflow: hidden; width:1px;';
+				}
+			}
+			// Draw Task Bar  which has outer DIV with enclosed colored bar div, and opaque completion div
+			else
+			{
+				vBar.style.cssText = 'position:absolute; top:4px; left:' + vLeft + 'px; width:' + vWidth + 'px';
+				vTaskBar.style.cssText = 'background-color:#' + pTask.getColor() + '; height: 13px; width:' + vWidth + 'px; cursor: pointer;opacity:0.9;';
+				JSGantt.newElement('div', 'gcomplete', vTaskBar).style.cssText = 'Z-INDEX: -4; float:left; background-color:black; height:5px; margin-top:4px; '
+					+ 'filter: alpha(opacity=40); opacity:0.4; width:' + pTask.getCompStr() + '; overflow:hidden';
+			}
+
+			if( vCaptionType )
+			{
+				JSGantt.newElement('div', '', vBar, this.getTaskCaption(pTask)).style.cssText = 'position:absolute; top:-3px; width:120px; left:' + (vWidth + 6) + 'px';
+			}
+		}
+
+		if (pIsFirst)
+		{
+			vTaskBar.id = this.getDomId('taskbar', vID);
+		}
+		vTaskBar.setAttribute('data-action', 'taskclick');
+		vTaskBar.setAttribute('data-task-id', vID);
+		if (vShowCriticalPath==1 && pTask.getCritical())
+		{
+			vTaskBar.className += (vTaskBar.className.length ? ' ' : '') + 'gcritical';
+		}
+		var vStatus = this.getTaskStatus(pTask);
+		if (vStatus.length)
+		{
+			vTaskBar.className += (vTaskBar.className.length ? ' ' : '') + 'g' + vStatus;
+			vTaskBar.title += '\n' + JSGantt.lang['status-' + vStatus];
+		}
+
+		return vBar;
+	}
+
+	// Gets fields of the task as [{name, label, html}] (empty fields are skipped)
+	this.getTaskFields = function(pTask)
+	{
+		var vFields = new Array();
+		var add = function(pName, pLabelKey, pHTML)
+		{
+			if (pHTML !== null && pHTML !== '' && typeof(pHTML) != 'undefined')
+			{
+				vFields.push({name: pName, label: JSGantt.lang[pLabelKey], html: pHTML + ''});
+			}
+		};
+
+		add('id', 'field-id', pTask.getID());
+		add('name', 'field-name', pTask.getName());
+		add('type', 'field-type', JSGantt.lang[pTask.getMile() ? 'type-mile' : (pTask.getGroup() ? 'type-group' : 'type-task')]);
+		var vParent = this.getTaskById(pTask.getParent());
+		if (vParent)
+		{
+			add('parent', 'field-parent', vParent.getName() + ' (' + vParent.getID() + ')');
+		}
+		add('start', 'header-startdate', this.formatTaskDate(pTask.getStart()));
+		if (!pTask.getMile())
+		{
+			add('end', 'header-enddate', this.formatTaskDate(pTask.getEnd()));
+			add('dur', 'header-dur', pTask.getDuration(vFormat));
+		}
+		add('comp', 'header-comp', pTask.getCompVal() + '%');
+		if (pTask.getWeight() !== null)
+		{
+			add('weight', 'field-weight', pTask.getWeight());
+		}
+		add('res', 'header-res', pTask.getResource() == '&nbsp' ? '' : pTask.getResource());
+		var vLinks = pTask.getDependLinks();
+		var vDepend = new Array();
+		for (var i = 0; i < vLinks.length; i++)
+		{
+			var vPred = this.getTaskById(vLinks[i].id);
+			vDepend.push((vPred ? vPred.getName() + ' ' : '') + '(' + vLinks[i].id + ' ' + JSGantt.formatDependLink(vLinks[i]) + ')');
+		}
+		add('depend', 'field-depend', vDepend.join(', '));
+		add('caption', 'field-caption', pTask.getCaption());
+		if (!pTask.getGroup() && !pTask.getMile() && pTask.getColor())
+		{
+			var vColor = JSGantt.escapeHTML(pTask.getColor());
+			add('color', 'field-color', '<span class="gcolor" style="background-color:#' + vColor + '"></span> #' + vColor);
+		}
+		if (pTask.getBaseStart() && pTask.getBaseEnd())
+		{
+			add('baseline', 'field-baseline', this.formatTaskDate(pTask.getBaseStart()) + ' - ' + this.formatTaskDate(pTask.getBaseEnd()));
+		}
+		add('variance', 'header-variance', pTask.getVarianceStr());
+		add('float', 'header-float', pTask.getFloatStr());
+		var vStatus = this.getTaskStatus(pTask);
+		if (vStatus.length)
+		{
+			add('status', 'field-status', '<span class="g' + vStatus + '">' + JSGantt.lang['status-' + vStatus] + '</span>');
+		}
+		if (pTask.getLink())
+		{
+			// other links (e.g. javascript:) are shown as text
+			var vLink = JSGantt.decodeHTML(pTask.getLink());
+			var vLinkHTML = JSGantt.escapeHTML(vLink);
+			add('link', 'field-link', JSGantt.isSafeLink(vLink) ? '<a href="' + vLinkHTML + '">' + vLinkHTML + '</a>' : vLinkHTML);
+		}
+		add('notes', 'field-notes', pTask.getNotes().replace(/\r?\n/g, '<br />'));
+		var vTaskErrors = this.getTaskErrors(pTask.getID());
+		var vMessages = new Array();
+		for (i = 0; i < vTaskErrors.length; i++)
+		{
+			vMessages.push(JSGantt.escapeHTML(vTaskErrors[i].message));
+		}
+		add('errors', 'field-errors', vMessages.join('<br />'));
+		return vFields;
+	}
+
+	// Validates tasks (see JSGantt.validateTasks); returns messages of all problems (to compare with previous ones)
+	this.validate = function()
+	{
+		vErrors = vLoadErrors.concat(JSGantt.validateTasks(vTaskList, this.getTaskIndex(), vCalendar));
+		vInvalidIDs = {};
+		var vMessages = new Array();
+		for (var i = 0; i < vErrors.length; i++)
+		{
+			var vIDs = vErrors[i].tasks ? vErrors[i].tasks : [];
+			for (var k = 0; k < vIDs.length; k++)
+			{
+				vInvalidIDs[vIDs[k]] = true;
+			}
+			vMessages.push(vErrors[i].toString());
+		}
+		return vMessages.join('\n');
+	}
+
+	// Gets problems of the task
+	this.getTaskErrors = function(pID)
+	{
+		var vTaskErrors = new Array();
+		for (var i = 0; i < vErrors.length; i++)
+		{
+			var vIDs = vErrors[i].tasks ? vErrors[i].tasks : [];
+			for (var k = 0; k < vIDs.length; k++)
+			{
+				if (vIDs[k] == pID)
+				{
+					vTaskErrors.push(vErrors[i]);
+					break;
+				}
+			}
+		}
+		return vTaskErrors;
+	}
+
+	// Shows an error message below the chart (e.g. when the calendar page failed to load); the message stays when the chart is redrawn
+	this.displayError = function(pMsg)
+	{
+		vLoadMessages.push(pMsg);
+		this.drawLoadMessage(pMsg);
+	}
+
+	// Draws an error message below the chart (in the same way as jsgantt_loader.js shows errors)
+	this.drawLoadMessage = function(pMsg)
+	{
+		var vMessage = JSGantt.newElement('p', 'gantt_error', vDiv);
+		vMessage.appendChild(document.createTextNode(pMsg));
+	}
+
+	// Draws (collapsible) list of problems found in the data above the chart
+	this.drawErrors = function(pMainDiv)
+	{
+		var vPanel = this.getObj('errors');
+		if (vPanel)
+		{
+			vPanel.parentNode.removeChild(vPanel);
+		}
+		if (!vErrors.length)
+		{
+			return;
+		}
+		vPanel = JSGantt.newElement('div', 'gantt_error gerrors');
+		vPanel.id = this.getDomId('errors');
+		pMainDiv.insertBefore(vPanel, pMainDiv.firstChild);
+
+		var vTitle = JSGantt.newElement('div', 'gerrorstitle', vPanel, (vErrorsOpen ? '&#x25be; ' : '&#x25b8; ') + '&#x26a0; ');
+		vTitle.appendChild(document.createTextNode(JSGantt.lang['errors-title'].replace('%count%', vErrors.length)));
+		vTitle.setAttribute('data-action', 'errors-toggle');
+		if (!vErrorsOpen)
+		{
+			return;
+		}
+		var vList = JSGantt.newElement('ul', '', vPanel);
+		for (var i = 0; i < vErrors.length; i++)
+		{
+			var vItem = JSGantt.newElement('li', '', vList);
+			vItem.appendChild(document.createTextNode(vErrors[i].toString()));
+			if (vErrors[i].task !== null && this.getTaskById(vErrors[i].task))
+			{
+				vItem.className = 'gerrortask';
+				vItem.setAttribute('data-action', 'errors-task');
+				vItem.setAttribute('data-task-id', vErrors[i].task);
+			}
+		}
+	}
+
+	// Gets tooltip (plain text) of bars and rows of the task
+	this.getTaskTooltip = function(pTask)
+	{
+		var vTooltipFields = {start:1, end:1, dur:1, comp:1, res:1, depend:1, caption:1};
+		var vFields = this.getTaskFields(pTask);
+		var vLines = [JSGantt.decodeHTML(pTask.getName())];
+		for (var i = 0; i < vFields.length; i++)
+		{
+			if (vTooltipFields[vFields[i].name])
+			{
+				vLines.push(vFields[i].label + ': ' + JSGantt.decodeHTML(vFields[i].html));
+			}
+		}
+		return vLines.join('\n');
+	}
+
+	// Shows a side panel with all fields of the task
+	this.showDetails = function(pID)
+	{
+		var vTask = this.getTaskById(pID);
+		var vBody = this.getObj('chartbody');
+		if (!vTask || !vBody)
+		{
+			return;
+		}
+		vDetailsID = vTask.getID();
+
+		var vPanel = this.getObj('details');
+		if (!vPanel)
+		{
+			vPanel = JSGantt.newElement('div', 'gdetails', vBody.parentNode);
+			vPanel.id = this.getDomId('details');
+		}
+		vPanel.innerHTML = '';
+
+		var vClose = JSGantt.newElement('button', 'gdetailsclose', vPanel, '&times;');
+		vClose.type = 'button';
+		vClose.title = JSGantt.lang['details-close'];
+		vClose.setAttribute('data-action', 'details-close');
+		JSGantt.newElement('div', 'gdetailstitle', vPanel, vTask.getName());
+
+		var vTbody = JSGantt.newElement('tbody', '', JSGantt.newElement('table', '', vPanel));
+		var vFields = this.getTaskFields(vTask);
+		for (var i = 0; i < vFields.length; i++)
+		{
+			var vRow = JSGantt.newElement('tr', 'gdetails_' + vFields[i].name, vTbody);
+			JSGantt.newElement('th', '', vRow, vFields[i].label);
+			JSGantt.newElement('td', '', vRow, vFields[i].html);
+		}
+
+		// opening the task in the editor
+		var vEdit = JSGantt.newElement('button', '', vPanel, JSGantt.lang['details-edit']);
+		vEdit.type = 'button';
+		vEdit.setAttribute('data-action', 'edit');
+		vEdit.setAttribute('data-task-id', vTask.getID());
+	}
+
+	// Hides the details panel
+	this.hideDetails = function()
+	{
+		var vPanel = this.getObj('details');
+		if (vPanel)
+		{
+			vPanel.parentNode.removeChild(vPanel);
+		}
+		vDetailsID = null;
+	}
+
+	// Draws rows and date columns that came into view (both sides share one scroll, so they never get misaligned)
+	this.onScroll = function()
+	{
+		this.renderView(false);
+	}
+
+	// Keeps the date header in view when the page is scrolled past the top of the chart
+	this.onPageScroll = function()
+	{
+		var vBody = this.getObj('chartbody');
+		var vHeader = this.getObj('header');
+		if (!vBody || !vHeader || !vBody.getBoundingClientRect)
+		{
+			return;
+		}
+		var vShift = Math.max(0, Math.min(-vBody.getBoundingClientRect().top, vBody.clientHeight - 3 * vRowHeight));
+		vHeader.style.transform = vShift > 0 ? 'translateY(' + vShift + 'px)' : '';
+	}
+
+	// Zooms the chart with Ctrl + mouse wheel (the date under the mouse stays in place)
+	this.onChartWheel = function(e)
+	{
+		e = e || window.event;
+		var vDelta = e.deltaY ? e.deltaY : (e.wheelDelta ? -e.wheelDelta : 0);
+		if (!e.ctrlKey || !vDelta)
+		{
+			return;
+		}
+		if (e.preventDefault) e.preventDefault();
+		e.returnValue = false;
+		var vBody = this.getObj('chartbody');
+		this.zoom(vDelta < 0 ? 1.25 : 0.8, e.clientX - vBody.getBoundingClientRect().left - vNameWidth);
+	}
+
+	// Gets current zoom as width of a day in pixels
+	this.getDayWidth = function()
+	{
+		return (vColWidths[vFormat] + 1) / JSGantt.columnDays[vFormat];
+	}
+
+	// Gets range of zoom ({min, max} width of a day in pixels) for formats of the format chooser
+	this.getZoomRange = function()
+	{
+		var vRange = {min: 0, max: 0};
+		for (var i = 0; i < JSGantt.formats.length; i++)
+		{
+			if (vFormatArr.join().indexOf(JSGantt.formats[i]) == -1)
+			{
+				continue;
+			}
+			if (!vRange.max)
+			{
+				vRange.max = (vMaxColWidth + 1) / JSGantt.columnDays[JSGantt.formats[i]];
+			}
+			vRange.min = (vMinColWidth + 1) / JSGantt.columnDays[JSGantt.formats[i]];
+		}
+		return vRange;
+	}
+
+	// Zooms in (pFactor > 1) or out (pFactor < 1); see zoomTo
+	this.zoom = function(pFactor, pAnchorX)
+	{
+		this.zoomTo(this.getDayWidth() * pFactor, pAnchorX);
+	}
+
+	// Zooms the chart so that a day is pDayWidth pixels wide.
+	// Uses the finest format (of the format chooser) with columns at least vMinColWidth wide.
+	// pAnchorX - position in the visible chart area that stays at the same date (defaults to the middle)
+	this.zoomTo = function(pDayWidth, pAnchorX)
+	{
+		vFitToWidth = false;
+		var vNewFormat = null;
+		var vNewWidth = 0;
+		for (var i = 0; i < JSGantt.formats.length; i++)
+		{
+			if (vFormatArr.join().indexOf(JSGantt.formats[i]) == -1)
+			{
+				continue;
+			}
+			vNewFormat = JSGantt.formats[i];
+			vNewWidth = pDayWidth * JSGantt.columnDays[vNewFormat] - 1;
+			if (vNewWidth >= vMinColWidth)
+			{
+				break;
+			}
+		}
+		if (!vNewFormat)
+		{
+			return;
+		}
+		vNewWidth = Math.round(Math.max(vMinColWidth, Math.min(vMaxColWidth, vNewWidth)));
+		if (vNewFormat == vFormat && vNewWidth == vColWidths[vFormat])
+		{
+			return;
+		}
+
+		// remember the date at the anchor
+		var vBody = this.getObj('chartbody');
+		var vAnchorDate = null;
+		var vScrollTop = 0;
+		if (vBody)
+		{
+			if (typeof(pAnchorX) != 'number')
+			{
+				pAnchorX = this.getViewWidth() / 2;
+			}
+			vAnchorDate = this.getXDate(vBody.scrollLeft + pAnchorX);
+			vScrollTop = vBody.scrollTop;
+		}
+
+		var vOldFormat = vFormat;
+		vColWidths[vNewFormat] = vNewWidth;
+		vFormat = vNewFormat;
+		this.Draw();
+		if (vOldFormat != vFormat)
+		{
+			this.trigger('formatchange', vFormat, vOldFormat);
+		}
+
+		vBody = this.getObj('chartbody');
+		if (vBody && vAnchorDate)
+		{
+			vBody.scrollTop = vScrollTop;
+			vBody.scrollLeft = Math.max(0, Math.round(this.getDateX(vAnchorDate) - pAnchorX));
+			this.onScroll();
+		}
+	}
+
+	// Chooses the finest format (of the format chooser) in which the whole chart fits into pWidth pixels
+	// and sets width of its columns to fill that space
+	this.fitColumns = function(pWidth)
+	{
+		for (var i = 0; i < JSGantt.formats.length; i++)
+		{
+			if (vFormatArr.join().indexOf(JSGantt.formats[i]) == -1)
+			{
+				continue;
+			}
+			var vMin = JSGantt.getMinDate(vTaskList, JSGantt.formats[i], vRangeStart);
+			var vMax = JSGantt.getMaxDate(vTaskList, JSGantt.formats[i], vRangeEnd);
+			var vCols = 0;
+			for (var vDate = vMin; vDate <= vMax && vCols * (vMinColWidth + 1) < pWidth; JSGantt.nextColumnDate(vDate, JSGantt.formats[i]))
+			{
+				vCols++;
+			}
+			vFormat = JSGantt.formats[i];
+			vColWidths[vFormat] = Math.max(vMinColWidth, Math.min(vMaxColWidth, Math.floor((pWidth - 1) / vCols) - 1));
+			if (vCols * (vMinColWidth + 1) < pWidth)
+			{
+				break;
+			}
+		}
+	}
+
+	// Scrolls the chart by a page (pDirection: -1 - earlier, 1 - later).
+	// At the edge of the chart moves the date range instead (shows the next or the previous period of the same length).
+	this.scrollPage = function(pDirection)
+	{
+		var vBody = this.getObj('chartbody');
+		if (!vBody)
+		{
+			return;
+		}
+		var vScrollLeft = vBody.scrollLeft;
+		vBody.scrollLeft = vScrollLeft + pDirection * Math.max(this.getViewWidth() - vColWidth, vColWidth);
+		if (vBody.scrollLeft != vScrollLeft)
+		{
+			this.onScroll();
+			return;
+		}
+
+		var vStart = vRangeStart ? vRangeStart : vMinDate;
+		var vEnd = vRangeEnd ? vRangeEnd : vMaxDate;
+		var vDays = Math.round(JSGantt.daysBetween(vStart, vEnd)) + 1;
+		this.setRange(
+			new Date(vStart.getFullYear(), vStart.getMonth(), vStart.getDate() + pDirection * vDays),
+			new Date(vEnd.getFullYear(), vEnd.getMonth(), vEnd.getDate() + pDirection * vDays)
+		);
+		this.Draw();
+
+		vBody = this.getObj('chartbody');
+		if (vBody)
+		{
+			vBody.scrollLeft = pDirection > 0 ? 0 : vBody.scrollWidth;
+			this.onScroll();
+		}
+	}
+
+	// Scrolls the chart so that the date is in the middle (moves the date range if the date is outside of it)
+	this.scrollToDate = function(pDate)
+	{
+		if (vRangeStart && vRangeEnd && (pDate < vMinDate || pDate > vMaxDate))
+		{
+			var vDays = Math.round(JSGantt.daysBetween(vRangeStart, vRangeEnd));
+			var vStart = new Date(pDate.getFullYear(), pDate.getMonth(), pDate.getDate() - Math.floor(vDays / 2));
+			this.setRange(vStart, new Date(vStart.getFullYear(), vStart.getMonth(), vStart.getDate() + vDays));
+			this.Draw();
+		}
+
+		var vBody = this.getObj('chartbody');
+		if (vBody)
+		{
+			vBody.scrollLeft = Math.max(0, Math.round(this.getDateX(pDate) - this.getViewWidth() / 2));
+			this.onScroll();
+		}
+	}
+
+	this.Draw = function(pNameWidth)
+	{
+		vNameWidth = 300;
+		if (pNameWidth)
+		{
+			vNameWidth = pNameWidth;
+		}
+
+		if(vTaskList.length > 0 && this.trigger('beforerender') !== false)
+		{
+
+			// Process all tasks preset parent date and completion %
+			// (index is rebuilt as tasks might have been changed with their setters)
+			vTaskIndex = null;
+			this.validate();
+			JSGantt.processRows(vTaskList, 0, -1, 1, 1, this.getTaskIndex(), vRollup);
+
+			// float and critical path
+			if (vShowCriticalPath==1 || vShowFloat==1)
+			{
+				JSGantt.calcCriticalPath(vTaskList, vCalendar);
+			}
+
+			vExtraColsNum = 0;
+			if(vShowRes ==1) vExtraColsNum++;
+			if(vShowDur ==1) vExtraColsNum++;
+			if(vShowComp==1) vExtraColsNum++;
+			if(vShowStartDate==1) vExtraColsNum++;
+			if(vShowEndDate==1) vExtraColsNum++;
+			if(vShowVariance==1) vExtraColsNum++;
+			if(vShowFloat==1) vExtraColsNum++;
+
+			vNameWidth+=vStatusWidth*vExtraColsNum;
+
+			// choose format and column width to fit the chart area
+			if (vFitToWidth && vDiv.clientWidth > vNameWidth)
+			{
+				this.fitColumns(vDiv.clientWidth - vNameWidth - 40);	// -40 <= room for the vertical scrollbar
+			}
+
+			// get overall min/max dates plus padding (or the fixed date range)
+			vMinDate = JSGantt.getMinDate(vTaskList, vFormat, vRangeStart);
+			vMaxDate = JSGantt.getMaxDate(vTaskList, vFormat, vRangeEnd);
+
+			// Calculate chart width variables (column widths can be changed with setColumnWidth, setZoom and zoomTo)
+			vColWidth = vColWidths[vFormat];
+			if(vFormat == 'week')
+			{
+				vColUnit = 7;
+			}
+			else if(vFormat == 'month' || vFormat == 'quarter')
+			{
+				vColUnit = 0;	// months and quarters have different lengths (see getDateX)
+			}
+			else
+			{
+				vColUnit = 1;
+			}
+
+			// width of a day (of an hour or a minute in hour and minute formats)
+			vDayWidth = vColUnit ? (vColWidth + 1) / vColUnit : 0;
+
+			// each column is vColWidth wide plus 1px of its border
+			vColumns = this.getDateColumns(vMinDate, vMaxDate);
+			vChartWidth = vColumns.minor.length * (vColWidth + 1) + 1;
+
+			// only rows in view are drawn, so the chart body gets a limited height
+			this.buildRows();
+			vBodyHeight = Math.min(vRows.length * vRowHeight + 20, vChartHeight);	// +20 <= room for horizontal scrollbar (date header is added on top)
+			vView = null;
+
+			// one scrollable sheet: sticky date header on top, frozen name column on the left
+			var vMainDiv = JSGantt.newElement('div', 'ganttchart');
+			var vBody = JSGantt.newElement('div', 'gchartbody', vMainDiv);
+			vBody.id = this.getDomId('chartbody');
+			vBody.style.height = (vBodyHeight + 2 * vRowHeight) + 'px';
+			var vSheet = JSGantt.newElement('div', 'gsheet', vBody);
+			vSheet.style.width = (vNameWidth + vChartWidth) + 'px';
+			var vHeader = JSGantt.newElement('div', 'gheader', vSheet);
+			vHeader.id = this.getDomId('header');
+			var vRowsArea = JSGantt.newElement('div', 'grows', vSheet);
+			this.drawLeftSide(vHeader, vRowsArea);
+			this.drawRightSide(vHeader, vRowsArea);
+			this.drawFormatChooser(vMainDiv);
+			this.drawErrors(vMainDiv);
+
+			vDiv.innerHTML = '';
+			vDiv.appendChild(vMainDiv);
+			for (var i = 0; i < vLoadMessages.length; i++)
+			{
+				this.drawLoadMessage(vLoadMessages[i]);
+			}
+			this.attachEvents();
+
+			var vGantt = this;
+			smpAddEvent(vBody, 'scroll', function() { vGantt.onScroll(); });
+			smpAddEvent(vBody, 'wheel', function(e) { vGantt.onChartWheel(e); });
+
+			if (typeof (this.isResizeAlreadyAdded)=='undefined')
+			{
+				this.isResizeAlreadyAdded = true;
+				smpAddEvent(
+					window, 'resize'
+					, function()
+					{
+						try
+						{
+							if (vGantt.getFitToWidth())
+							{
+								vGantt.Draw();
+								return;
+							}
+							vGantt.renderView(false);
+						} catch(e) {}
+					}
+				);
+				smpAddEvent(window, 'scroll', function() { vGantt.onPageScroll(); });
+			}
+
+			this.renderView(true);
+			this.onPageScroll();
+			if (vDetailsID !== null)
+			{
+				this.showDetails(vDetailsID);
+			}
+
+			this.trigger('afterrender');
+		}
+
+	} //this.draw
+
+	this.mouseOver = function( pObj, pID, pPos, pType )
+	{
+		if( pPos == 'right' )  vID = this.getDomId('child', pID);
+		else vID = this.getDomId('childrow', pID);
+
+		pObj.bgColor = "#ffffaa";
+		vRowObj = document.getElementById(vID);
+		if (vRowObj) vRowObj.bgColor = "#ffffaa";
+	}
+
+	this.mouseOut = function( pObj, pID, pPos, pType )
+	{
+		if( pPos == 'right' )  vID = this.getDomId('child', pID);
+		else vID = this.getDomId('childrow', pID);
+
+		pObj.bgColor = "#ffffff";
+		vRowObj = document.getElementById(vID);
+		if (vRowObj)
+		{
+			if( pType == "group")
+			{
+				pObj.bgColor = "#f3f3f3";
+				vRowObj.bgColor = "#f3f3f3";
+			}
+			else
+			{
+				pObj.bgColor = "#ffffff";
+				vRowObj.bgColor = "#ffffff";
+			}
+		}
+	}
+
+} //GanttChart		
+
+/*
+	Builds an index of the task list
+
+	Returns positions (in the list) of tasks by their IDs (first task if IDs repeat)
+	and positions of children by IDs of their parents (in order of the list).
+	Tasks being their own parents are skipped so that walking the tree always ends.
+*/
+JSGantt.indexTasks = function(pList)
+{
+	var vById = {};
+	var vChildren = {};
+	for (var i = 0; i < pList.length; i++)
+	{
+		var vID = pList[i].getID();
+		var vParent = pList[i].getParent();
+		if (!vById.hasOwnProperty(vID))
+		{
+			vById[vID] = i;
+		}
+		if (vParent == vID)
+		{
+			continue;
+		}
+		if (!vChildren.hasOwnProperty(vParent))
+		{
+			vChildren[vParent] = [];
+		}
+		vChildren[vParent].push(i);
+	}
+	return {byId:vById, children:vChildren, size:pList.length};
+}
+
+// Recursively process task tree ... set min, max dates, duration and % complete of parent tasks and identfy task level.
+// pIndex - index of pList as built by JSGantt.indexTasks (built when not given)
+// pRollup - how % complete of groups is computed (see JSGantt.rollups; defaults to duration)
+JSGantt.processRows = function(pList, pID, pRow, pLevel, pOpen, pIndex, pRollup)
+{
+	if (!pIndex)
+	{
+		pIndex = JSGantt.indexTasks(pList);
+	}
+
+	var vMinDate = new Date();
+	var vMaxDate = new Date();
+	var vMinSet  = 0;
+	var vMaxSet  = 0;
+	var vList    = pList;
+	var vLevel   = pLevel;
+	var i        = 0;
+	var vNumKid  = 0;
+	var vCompSum = 0;
+	var vWeightedSum = 0;	// sum of % complete times weight
+	var vWeightSum = 0;
+	var vDaysSum = 0;
+	var vVisible = pOpen;
+	var vBaseStart = null;
+	var vBaseEnd = null;
+	var vKids    = pIndex.children.hasOwnProperty(pID) ? pIndex.children[pID] : [];
+	var k;
+
+	for(k = 0; k < vKids.length; k++)
+	{
+		i = vKids[k];
+		vVisible = pOpen;
+		pList[i].setVisible(vVisible);
+		if(vVisible==1 && pList[i].getOpen() == 0) 
+			vVisible = 0;
+			
+		pList[i].setLevel(vLevel);
+		vNumKid++;
+
+		if(pList[i].getGroup() == 1)
+		{
+			JSGantt.processRows(vList, pList[i].getID(), i, vLevel+1, vVisible, pIndex, pRollup);
+		}
+
+		if( vMinSet==0 || pList[i].getStart() < vMinDate)
+		{
+			vMinDate = pList[i].getStart();
+			vMinSet = 1;
+		}
+
+		if( vMaxSet==0 || pList[i].getEnd() > vMaxDate)
+		{
+			vMaxDate = pList[i].getEnd();
+			vMaxSet = 1;
+		}
+
+		// baseline of a group spans baselines of its children
+		if( pList[i].getBaseStart() && (vBaseStart===null || pList[i].getBaseStart() < vBaseStart))
+			vBaseStart = pList[i].getBaseStart();
+		if( pList[i].getBaseEnd() && (vBaseEnd===null || pList[i].getBaseEnd() > vBaseEnd))
+			vBaseEnd = pList[i].getBaseEnd();
+
+		vCompSum += pList[i].getCompVal();
+
+		// weight - pWeight or duration (milestones have none)
+		var vDays = pList[i].getWorkingDays();
+		var vWeight = (pList[i].getWeight() !== null) ? pList[i].getWeight() : vDays;
+		vDaysSum += vDays;
+		vWeightedSum += pList[i].getCompVal() * vWeight;
+		vWeightSum += vWeight;
+	}
+
+	if(pRow >= 0)
+	{
+		pList[pRow].setStart(vMinDate);
+		pList[pRow].setEnd(vMaxDate);
+		if(vBaseStart!==null && vBaseEnd!==null)
+		{
+			pList[pRow].setBaseStart(vBaseStart);
+			pList[pRow].setBaseEnd(vBaseEnd);
+		}
+		pList[pRow].setNumKid(vNumKid);
+		pList[pRow].setSumDays(Math.round(vDaysSum * 10) / 10);
+		if (pRollup != 'average' && vWeightSum > 0)
+		{
+			pList[pRow].setCompVal(Math.ceil(vWeightedSum/vWeightSum));
+		}
+		else
+		{
+			pList[pRow].setCompVal(Math.ceil(vCompSum/vNumKid));
+		}
+	}
+}
+
+
+/*
+	Validates the task list
+
+	Finds duplicate IDs, unknown parents and predecessors (pDepend), parents that are not groups,
+	loops of parents, dependency cycles, invalid or missing dates and tasks ending before they start.
+	Returns found problems as JSGantt.XMLError objects (with `tasks` - IDs of all tasks involved).
+	Tasks with missing dates get dates derived from their duration (pDur; see TaskItem.applyDur) or dates of the other end
+	(or today) so that the chart can still be drawn.
+	pIndex - index of pList as built by JSGantt.indexTasks (built when not given)
+	pCalendar - working calendar used for durations (optional)
+*/
+JSGantt.validateTasks = function(pList, pIndex, pCalendar)
+{
+	if (!pIndex)
+	{
+		pIndex = JSGantt.indexTasks(pList);
+	}
+	var vErrors = new Array();
+	var add = function(pTask, pMessage, pTasks)
+	{
+		var vError = new JSGantt.XMLError(pMessage, pTask.getSourceLine(), pTask.getID());
+		vError.tasks = pTasks ? pTasks : [pTask.getID()];
+		vErrors.push(vError);
+	};
+	var vPreds = new Array();	// positions of predecessors of tasks
+	var i, k, vTask;
+
+	for (i = 0; i < pList.length; i++)
+	{
+		vTask = pList[i];
+		var vID = vTask.getID();
+		if (pIndex.byId[vID] != i)
+		{
+			add(vTask, JSGantt.lang['error-duplicate-id'].replace('%id%', vID));
+		}
+
+		// dates (a missing start or end is derived from the duration if given)
+		vTask.applyDur(pCalendar);
+		var vInvalid = vTask.getInvalidDates();
+		for (var vField in vInvalid)
+		{
+			if (vField == 'pEnd' && vInvalid[vField] === '' && vTask.getMile())
+			{
+				continue;	// milestones need no end
+			}
+			if (vField == vTask.getDurDate())
+			{
+				continue;
+			}
+			add(vTask, vInvalid[vField] === ''
+				? JSGantt.lang['error-date-missing'].replace('%field%', vField)
+				: JSGantt.lang['error-date'].replace('%field%', vField).replace('%date%', vInvalid[vField]));
+		}
+		if (vTask.getGroup() != 1)
+		{
+			if (!vTask.getStart() || !vTask.getEnd())
+			{
+				var vToday = new Date();
+				vToday.setHours(0, 0, 0, 0);
+				vTask.setStart(vTask.getStart() ? vTask.getStart() : (vTask.getEnd() ? vTask.getEnd() : vToday));
+				vTask.setEnd(vTask.getEnd() ? vTask.getEnd() : vTask.getStart());
+			}
+			else if (vTask.getEnd() < vTask.getStart() && !vInvalid.hasOwnProperty('pStart') && !vInvalid.hasOwnProperty('pEnd'))
+			{
+				add(vTask, JSGantt.lang['error-end-before-start']);
+			}
+		}
+
+		// parent
+		var vParent = vTask.getParent();
+		if (vParent != 0 && vParent != vID)
+		{
+			if (typeof(pIndex.byId[vParent]) == 'undefined')
+			{
+				add(vTask, JSGantt.lang['error-parent'].replace('%id%', vParent));
+			}
+			else if (pList[pIndex.byId[vParent]].getGroup() != 1)
+			{
+				add(vTask, JSGantt.lang['error-parent-group'].replace('%id%', vParent), [vID, vParent]);
+			}
+		}
+
+		// predecessors
+		var vLinks = vTask.getDependLinks();
+		vPreds[i] = new Array();
+		for (k = 0; k < vLinks.length; k++)
+		{
+			if (typeof(pIndex.byId[vLinks[k].id]) == 'undefined')
+			{
+				add(vTask, JSGantt.lang['error-depend'].replace('%id%', vLinks[k].id));
+			}
+			else
+			{
+				vPreds[i].push(pIndex.byId[vLinks[k].id]);
+			}
+		}
+	}
+
+	// loops of parents (walking up from each task; 1 - on the current path, 2 - checked)
+	var vState = {};
+	for (i = 0; i < pList.length; i++)
+	{
+		var vPath = new Array();
+		var vPos = i;
+		while (typeof(vPos) != 'undefined' && vState[vPos] != 2)
+		{
+			if (vState[vPos] == 1)
+			{
+				var vLoop = new Array();
+				for (k = vPath.length - 1; k >= 0; k--)
+				{
+					vLoop.push(pList[vPath[k]].getID());
+					if (vPath[k] == vPos) break;
+				}
+				vLoop.reverse();
+				vTask = pList[vPos];
+				add(vTask, JSGantt.lang['error-parent-cycle'].replace('%ids%', vLoop.join(' \u2192 ') + ' \u2192 ' + vLoop[0]), vLoop);
+				break;
+			}
+			vState[vPos] = 1;
+			vPath.push(vPos);
+			vParent = pList[vPos].getParent();
+			vPos = (vParent == 0) ? undefined : pIndex.byId[vParent];
+		}
+		for (k = 0; k < vPath.length; k++)
+		{
+			vState[vPath[k]] = 2;
+		}
+	}
+
+	// dependency cycles (depth-first search over predecessors)
+	vState = {};
+	for (i = 0; i < pList.length; i++)
+	{
+		if (vState[i])
+		{
+			continue;
+		}
+		var vStack = [{pos: i, next: 0}];
+		vState[i] = 1;
+		while (vStack.length)
+		{
+			var vTop = vStack[vStack.length - 1];
+			if (vTop.next >= vPreds[vTop.pos].length)
+			{
+				vState[vTop.pos] = 2;
+				vStack.pop();
+				continue;
+			}
+			var vPred = vPreds[vTop.pos][vTop.next++];
+			if (vState[vPred] == 1)
+			{
+				// tasks from the predecessor up to the top of the stack (in order of dependencies)
+				var vCycle = new Array();
+				for (k = vStack.length - 1; k >= 0; k--)
+				{
+					vCycle.push(pList[vStack[k].pos].getID());
+					if (vStack[k].pos == vPred) break;
+				}
+				add(pList[vPred], JSGantt.lang['error-depend-cycle'].replace('%ids%', vCycle.join(' \u2192 ') + ' \u2192 ' + vCycle[0]), vCycle);
+			}
+			else if (!vState[vPred])
+			{
+				vState[vPred] = 1;
+				vStack.push({pos: vPred, next: 0});
+			}
+		}
+	}
+	return vErrors;
+}
+
+/*
+	Critical path method - forward/backward pass over dependencies of tasks
+
+	Uses dates of tasks as processed by JSGantt.processRows (tasks can not start before their scheduled start)
+	and links parsed from pDepend (see JSGantt.parseDepend). Sets total float of each task and marks
+	tasks with zero float as critical. Links that drive a critical task get `critical` flag.
+	Floats of groups are the smallest floats of their children. Tasks in dependency cycles get no float.
+
+	Durations, lags and floats are counted in working days of pCalendar (Monday to Friday if not given),
+	so a weekend between linked tasks is not a slack.
+*/
+JSGantt.calcCriticalPath = function(pList, pCalendar)
+{
+	var vEpsilon = 0.001;
+	var vAxis = new JSGantt.WorkingDaysAxis(pList, pCalendar ? pCalendar : new JSGantt.Calendar());
+	var vByID = {};
+	var vNodes = new Array();
+	var i, k, vNode, vLinks;
+
+	// nodes (first task with an ID is the one linked to)
+	for(i = 0; i < pList.length; i++)
+	{
+		pList[i].setFloat(null);
+		pList[i].setCritical(false);
+		var vID = pList[i].getID();
+		if (vByID[vID])
+		{
+			continue;
+		}
+		vNode = {
+			task : pList[i],
+			dur  : pList[i].getMile() ? 0 : Math.max(0, vAxis.getEnd(pList[i].getEnd()) - vAxis.getStart(pList[i].getStart())),
+			es   : vAxis.getStart(pList[i].getStart()),
+			lf   : null,
+			succ : new Array(),
+			preds: 0
+		};
+		vByID[vID] = vNode;
+		vNodes.push(vNode);
+	}
+
+	// graph
+	for(i = 0; i < vNodes.length; i++)
+	{
+		vLinks = vNodes[i].task.getDependLinks();
+		for(k = 0; k < vLinks.length; k++)
+		{
+			vLinks[k].critical = false;
+			var vPred = vByID[vLinks[k].id];
+			if (vPred && vPred != vNodes[i])
+			{
+				vPred.succ.push({node: vNodes[i], link: vLinks[k]});
+				vNodes[i].preds++;
+			}
+		}
+	}
+
+	// topological order
+	var vOrder = new Array();
+	for(i = 0; i < vNodes.length; i++)
+	{
+		if (vNodes[i].preds == 0)
+		{
+			vOrder.push(vNodes[i]);
+		}
+	}
+	for(i = 0; i < vOrder.length; i++)
+	{
+		for(k = 0; k < vOrder[i].succ.length; k++)
+		{
+			if (--vOrder[i].succ[k].node.preds == 0)
+			{
+				vOrder.push(vOrder[i].succ[k].node);
+			}
+		}
+	}
+
+	// forward pass (early start)
+	var vFinish = null;
+	for(i = 0; i < vOrder.length; i++)
+	{
+		vNode = vOrder[i];
+		for(k = 0; k < vNode.succ.length; k++)
+		{
+			var vSucc = vNode.succ[k];
+			var vES = JSGantt.linkEarlyStart(vNode.es, vNode.dur, vSucc.node.dur, vSucc.link);
+			if (vES > vSucc.node.es)
+			{
+				vSucc.node.es = vES;
+			}
+		}
+		if (vFinish === null || vNode.es + vNode.dur > vFinish)
+		{
+			vFinish = vNode.es + vNode.dur;
+		}
+	}
+
+	// backward pass (late finish)
+	for(i = vOrder.length - 1; i >= 0; i--)
+	{
+		vNode = vOrder[i];
+		vNode.lf = vFinish;
+		for(k = 0; k < vNode.succ.length; k++)
+		{
+			var vSucc = vNode.succ[k];
+			var vLF = JSGantt.linkLateFinish(vSucc.node.lf - vSucc.node.dur, vSucc.node.lf, vNode.dur, vSucc.link);
+			if (vLF < vNode.lf)
+			{
+				vNode.lf = vLF;
+			}
+		}
+		var vFloat = vNode.lf - vNode.dur - vNode.es;
+		vNode.task.setFloat(Math.abs(vFloat) < vEpsilon ? 0 : vFloat);
+		vNode.task.setCritical(vFloat < vEpsilon);
+	}
+
+	// driving links between critical tasks
+	for(i = 0; i < vOrder.length; i++)
+	{
+		vNode = vOrder[i];
+		for(k = 0; k < vNode.succ.length; k++)
+		{
+			var vSucc = vNode.succ[k];
+			if (vNode.task.getCritical() && vSucc.node.task.getCritical()
+				&& Math.abs(JSGantt.linkEarlyStart(vNode.es, vNode.dur, vSucc.node.dur, vSucc.link) - vSucc.node.es) < vEpsilon)
+			{
+				vSucc.link.critical = true;
+			}
+		}
+	}
+
+	// groups get the smallest float of their children (children are listed after their parents)
+	for(i = pList.length - 1; i >= 0; i--)
+	{
+		var vParent = vByID[pList[i].getParent()];
+		if (!vParent || !vParent.task.getGroup() || pList[i].getFloat() === null)
+		{
+			continue;
+		}
+		if (!vParent.isRolledUp || pList[i].getFloat() < vParent.task.getFloat())
+		{
+			vParent.isRolledUp = true;
+			vParent.task.setFloat(pList[i].getFloat());
+			vParent.task.setCritical(pList[i].getCritical());
+		}
+	}
+}
+
+/*
+	Dates as positions counted in working days of pCalendar (used by JSGantt.calcCriticalPath)
+
+	Positions are numbers of working days from the first day of tasks in pList with a fraction for time of day.
+	Days that are not working days have no length (their times are at the start of the next working day).
+*/
+JSGantt.WorkingDaysAxis = function(pList, pCalendar)
+{
+	var vDays = {};	// time of midnight => working days before that day
+	var vFirst = null;
+	var vLast = null;
+	var i, vDate;
+
+	for(i = 0; i < pList.length; i++)
+	{
+		if (!vFirst || pList[i].getStart() < vFirst) vFirst = pList[i].getStart();
+		if (!vLast || pList[i].getEnd() > vLast) vLast = pList[i].getEnd();
+	}
+	if (vFirst)
+	{
+		var vCount = 0;
+		vDate = new Date(vFirst.getFullYear(), vFirst.getMonth(), vFirst.getDate());
+		while (vDate <= vLast)
+		{
+			vDays[vDate.getTime()] = {before: vCount, working: pCalendar.isWorkingDay(vDate)};
+			if (vDays[vDate.getTime()].working)
+			{
+				vCount++;
+			}
+			vDate.setDate(vDate.getDate() + 1);
+		}
+	}
+
+	var getDay = function(pDate)
+	{
+		return vDays[new Date(pDate.getFullYear(), pDate.getMonth(), pDate.getDate()).getTime()];
+	}
+	var getPart = function(pDate)
+	{
+		return (pDate.getHours() * 60 + pDate.getMinutes()) / (24 * 60);
+	}
+
+	// position of the moment a task starts
+	this.getStart = function(pDate)
+	{
+		var vDay = getDay(pDate);
+		return vDay.before + (vDay.working ? getPart(pDate) : 0);
+	}
+	// position of the moment a task ends (end dates without time of day include the whole day)
+	this.getEnd = function(pDate)
+	{
+		var vDay = getDay(pDate);
+		if (!vDay.working)
+		{
+			return vDay.before;
+		}
+		return vDay.before + (JSGantt.hasTime(pDate) ? getPart(pDate) : 1);
+	}
+}
+
+// Early start of a successor as required by the link (pES, pDur - predecessor; pSuccDur - successor)
+JSGantt.linkEarlyStart = function(pES, pDur, pSuccDur, pLink)
+{
+	switch (pLink.type)
+	{
+		case 'SS': return pES + pLink.lag;
+		case 'FF': return pES + pDur + pLink.lag - pSuccDur;
+		case 'SF': return pES + pLink.lag - pSuccDur;
+	}
+	return pES + pDur + pLink.lag;	// FS
+}
+
+// Late finish of a predecessor as required by the link (pLS, pLF - successor; pDur - predecessor)
+JSGantt.linkLateFinish = function(pLS, pLF, pDur, pLink)
+{
+	switch (pLink.type)
+	{
+		case 'SS': return pLS - pLink.lag + pDur;
+		case 'FF': return pLF - pLink.lag;
+		case 'SF': return pLF - pLink.lag + pDur;
+	}
+	return pLS - pLink.lag;	// FS
+}
+
+// Used to determine the minimum date of all tasks and set lower bound based on format
+// (pRangeStart - start of a fixed date range; tasks are not checked and no padding is added then)
+JSGantt.getMinDate = function getMinDate(pList, pFormat, pRangeStart)  
+{
+
+	var vDate = new Date();
+
+	if (pRangeStart)
+	{
+		vDate.setTime(pRangeStart.getTime());
+	}
+	else
+	{
+		vDate.setTime(pList[0].getStart().getTime());
+
+		// Parse all Task End dates to find min
+		for(i = 0; i < pList.length; i++)
+		{
+			if(pList[i].getStart() < vDate)
+				vDate.setTime(pList[i].getStart().getTime());
+			// baseline bars must fit in too
+			if(pList[i].getBaseStart() && pList[i].getBaseStart() < vDate)
+				vDate.setTime(pList[i].getBaseStart().getTime());
+		}
+	}
+
+	// columns start at full hours (minute format) or at midnight
+	if ( pFormat== 'minute')
+	{
+		vDate.setMinutes(0, 0, 0);
+	}
+	else
+	{
+		vDate.setHours(0, 0, 0, 0);
+	}
+
+	// Adjust min date to specific format boundaries (first of week or first of month)
+	if (pFormat=='day')
+	{
+		if (!pRangeStart)
+		{
+			vDate.setDate(vDate.getDate() - 1);
+			while(vDate.getDay() % 7 > 0)
+			{
+				vDate.setDate(vDate.getDate() - 1);
+			}
+		}
+	}
+
+	else if (pFormat=='week')
+	{
+		if (!pRangeStart)
+		{
+			vDate.setDate(vDate.getDate() - 7);
+		}
+		while(vDate.getDay() % 7 > 0)
+		{
+			vDate.setDate(vDate.getDate() - 1);
+		}
+	}
+
+	else if (pFormat=='month')
+	{
+		while(vDate.getDate() > 1)
+		{
+			vDate.setDate(vDate.getDate() - 1);
+		}
+	}
+
+	else if (pFormat=='quarter')
+	{
+		if( vDate.getMonth()==0 || vDate.getMonth()==1 || vDate.getMonth()==2 )
+			vDate.setFullYear(vDate.getFullYear(), 0, 1);
+		else if( vDate.getMonth()==3 || vDate.getMonth()==4 || vDate.getMonth()==5 )
+			vDate.setFullYear(vDate.getFullYear(), 3, 1);
+		else if( vDate.getMonth()==6 || vDate.getMonth()==7 || vDate.getMonth()==8 )
+			vDate.setFullYear(vDate.getFullYear(), 6, 1);
+		else if( vDate.getMonth()==9 || vDate.getMonth()==10 || vDate.getMonth()==11 )
+			vDate.setFullYear(vDate.getFullYear(), 9, 1);
+	}
+
+	return(vDate);
+
+}
+
+// Used to determine the minimum date of all tasks and set lower bound based on format
+
+// (pRangeEnd - end of a fixed date range; tasks are not checked and no padding is added then)
+JSGantt.getMaxDate = function (pList, pFormat, pRangeEnd)
+{
+	var vDate = new Date();
+
+	if (pRangeEnd)
+	{
+		vDate.setTime(pRangeEnd.getTime());
+	}
+	else
+	{
+		vDate.setTime(pList[0].getEnd().getTime());
+	
+		// Parse all Task End dates to find max
+		for(i = 0; i < pList.length; i++)
+		{
+			if(pList[i].getEnd() > vDate)
+			{
+				vDate.setTime(pList[i].getEnd().getTime());
+			}	
+			// baseline bars must fit in too
+			if(pList[i].getBaseEnd() && pList[i].getBaseEnd() > vDate)
+			{
+				vDate.setTime(pList[i].getBaseEnd().getTime());
+			}
+		}
+	}
+	
+	// last column is the one before the moment the latest task ends (full hour or full day)
+	if (pFormat == 'minute' || pFormat == 'hour')
+	{
+		vDate = JSGantt.getEndMoment(vDate);
+		vDate.setMinutes(vDate.getMinutes() - 1, 0, 0);
+		if (pFormat == 'minute')
+		{
+			vDate.setMinutes(59);
+		}
+		else
+		{
+			vDate.setHours(23, 0);
+		}
+	}
+		
+	// Adjust max date to specific format boundaries (end of week or end of month)
+	if (pFormat=='day' && !pRangeEnd)
+	{
+		vDate.setDate(vDate.getDate() + 1);
+
+		while(vDate.getDay() % 6 > 0)
+		{
+			vDate.setDate(vDate.getDate() + 1);
+		}
+
+	}
+
+	if (pFormat=='week' && !pRangeEnd)
+	{
+		//For weeks, what is the last logical boundary?
+		vDate.setDate(vDate.getDate() + 11);
+
+		while(vDate.getDay() % 6 > 0)
+		{
+			vDate.setDate(vDate.getDate() + 1);
+		}
+
+	}
+
+	// Set to last day of current Month
+	if (pFormat=='month')
+	{
+		vDate.setDate(vDate.getDaysInMonth());
+	}
+
+	// Set to last day of current Quarter
+	if (pFormat=='quarter')
+	{
+		if( vDate.getMonth()==0 || vDate.getMonth()==1 || vDate.getMonth()==2 )
+			vDate.setFullYear(vDate.getFullYear(), 2, 31);
+		else if( vDate.getMonth()==3 || vDate.getMonth()==4 || vDate.getMonth()==5 )
+			vDate.setFullYear(vDate.getFullYear(), 5, 30);
+		else if( vDate.getMonth()==6 || vDate.getMonth()==7 || vDate.getMonth()==8 )
+			vDate.setFullYear(vDate.getFullYear(), 8, 30);
+		else if( vDate.getMonth()==9 || vDate.getMonth()==10 || vDate.getMonth()==11 )
+			vDate.setFullYear(vDate.getFullYear(), 11, 31);
+
+	}
+
+	return(vDate);
+
+}
+
+// This function finds the document id of the specified object
+JSGantt.findObj = function (theObj, theDoc)
+{
+	var p, i, foundObj;
+
+	if(!theDoc) theDoc = document;
+
+	if( (p = theObj.indexOf("?")) > 0 && parent.frames.length)
+	{
+		theDoc = parent.frames[theObj.substring(p+1)].document;
+		theObj = theObj.substring(0,p);
+	}
+
+	if(!(foundObj = theDoc[theObj]) && theDoc.all) 
+		foundObj = theDoc.all[theObj];
+
+	for (i=0; !foundObj && i < theDoc.forms.length; i++) 
+		foundObj = theDoc.forms[i][theObj];
+
+	for(i=0; !foundObj && theDoc.layers && i < theDoc.layers.length; i++)
+		foundObj = JSGantt.findObj(theObj,theDoc.layers[i].document);
+
+	if(!foundObj && document.getElementById)
+		foundObj = document.getElementById(theObj);
+
+	return foundObj;
+}
+
+// creates element (with optional class, parent and HTML content)
+JSGantt.newElement = function(pTag, pClass, pParent, pHTML)
+{
+	var vEl = document.createElement(pTag);
+	if (pClass)
+	{
+		vEl.className = pClass;
+	}
+	if (typeof(pHTML) != 'undefined')
+	{
+		vEl.innerHTML = pHTML;
+	}
+	if (pParent)
+	{
+		pParent.appendChild(vEl);
+	}
+	return vEl;
+}
+
+// decodes HTML entities (names are HTML-escaped by the parser, but titles need plain text)
+JSGantt.decodeHTML = function(pHTML)
+{
+	var vEl = document.createElement('textarea');
+	vEl.innerHTML = pHTML;
+	return vEl.value;
+}
+
+// finds element with the given attribute starting at the event target and going up to pRoot
+JSGantt.findEventElement = function(e, pAttr, pRoot)
+{
+	e = e || window.event;
+	var vEl = e.target || e.srcElement;
+	while (vEl && vEl != pRoot && vEl.nodeType == 1)
+	{
+		if (vEl.getAttribute(pAttr) !== null)
+		{
+			return vEl;
+		}
+		vEl = vEl.parentNode;
+	}
+	return null;
+}
+
+// moves the date to the start of the next column of the given format
+JSGantt.nextColumnDate = function(pDate, pFormat)
+{
+	switch (pFormat)
+	{
+		case 'minute':
+			pDate.setMinutes(pDate.getMinutes() + 1);
+		break;
+		case 'hour':
+			pDate.setHours(pDate.getHours() + 1);
+		break;
+		case 'day':
+			pDate.setDate(pDate.getDate() + 1);
+		break;
+		case 'week':
+			pDate.setDate(pDate.getDate() + 7);
+		break;
+		case 'month':
+			pDate.setDate(pDate.getDate() + 1);
+			while(pDate.getDate() > 1)
+			{
+				pDate.setDate(pDate.getDate() + 1);
+			}
+		break;
+		case 'quarter':
+			pDate.setDate(pDate.getDate() + 81);
+			while(pDate.getDate() > 1)
+			{
+				pDate.setDate(pDate.getDate() + 1);
+			}
+		break;
+	}
+	return pDate;
+}
+
+JSGantt.changeFormat = function(pFormat,ganttObj)
+{
+	if(ganttObj) 
+	{
+		ganttObj.setFormat(pFormat);
+		ganttObj.DrawDependencies();
+	}
+	else
+		alert('Chart undefined');
+}
+
+
+
+
+
+// Function to open/close and hide/show children of specified task
+JSGantt.folder= function (pID,ganttObj)
+{
+	var vTask = ganttObj.getTaskById(pID);
+	if (vTask)
+	{
+		ganttObj.setGroupOpen(pID, vTask.getOpen() == 1 ? 0 : 1);
+	}
+}
+
+JSGantt.hide = function (pID,ganttObj)
+{
+	var vList = ganttObj.getList();
+	var vKids = ganttObj.getTaskIndex().children[pID] || [];
+	var vID   = 0;
+
+	for(var k = 0; k < vKids.length; k++)
+	{
+		var i = vKids[k];
+		vID = vList[i].getID();
+		JSGantt.setRowDisplay(vID, "none", ganttObj);
+		vList[i].setVisible(0);
+		if(vList[i].getGroup() == 1) 
+			JSGantt.hide(vID,ganttObj);
+	}
+}
+
+// Function to show children of specified task
+// pTop: UNUSED - kept for backward compatibility (children are shown if the task is open)
+JSGantt.show =  function (pID, pTop, ganttObj)
+{
+	var vList = ganttObj.getList();
+	var vTask = ganttObj.getTaskById(pID);
+	var vID   = 0;
+
+	if (!vTask || vTask.getOpen() != 1)
+	{
+		return;
+	}
+
+	var vKids = ganttObj.getTaskIndex().children[pID] || [];
+	for(var k = 0; k < vKids.length; k++)
+	{
+		var i = vKids[k];
+		vID = vList[i].getID();
+		JSGantt.setRowDisplay(vID, "", ganttObj);
+		vList[i].setVisible(1);
+
+		if(vList[i].getGroup() == 1) 
+			JSGantt.show(vID, 0,ganttObj);
+	}
+}
+
+// Shows/hides row of the task (if it is drawn)
+JSGantt.setRowDisplay = function (pID, pDisplay, ganttObj)
+{
+	var vRow = ganttObj.getObj('child', pID);
+	var vGrid = ganttObj.getObj('childgrid', pID);
+	if (vRow) vRow.style.display = pDisplay;
+	if (vGrid) vGrid.style.display = pDisplay;
+}
+
+
+  
+
+
+// opens the task (by ID) in the editor of the current page
+JSGantt.editTask = function(pID)
+{
+	if (typeof(oJobSchEd) != 'undefined' && oJobSchEd.createOverlay)
+	{
+		oJobSchEd.createOverlay();
+	}
+	window.open(JSGantt.getEditTaskUrl(pID), "_self");
+}
+
+// function to open window to display task link
+// (kept for older scripts - opens the task by name; use JSGantt.editTask instead)
+JSGantt.taskLink = function(pName) 
+{
+	if (typeof(oJobSchEd) != 'undefined' && oJobSchEd.createOverlay)
+	{
+		oJobSchEd.createOverlay();
+	}
+	window.open(JSGantt.getScriptPath() + '?title=' + encodeURIComponent(JSGantt.getPageName().replace(/ /g, '_')) + '&action=edit#openTask=' + pName, "_self");
+}
+
+JSGantt.parseDateStr = function(pDateStr,pFormatStr)
+{
+	var vDate = Date.parseDate(pDateStr, pFormatStr);
+	// time of day can follow any date format (e.g. "Y-m-d H:i")
+	if (!vDate && pFormatStr.indexOf('H') == -1)
+	{
+		vDate = Date.parseDate(pDateStr, pFormatStr + ' H:i');
+	}
+	return(vDate);
+}
+
+// true if the string is a valid date in the given format (time of day can follow as in JSGantt.parseDateStr)
+JSGantt.isValidDateStr = function(pDateStr, pFormatStr)
+{
+	var vDate = pDateStr ? JSGantt.parseDateStr(pDateStr + '', pFormatStr) : null;
+	if (!vDate)
+	{
+		return false;
+	}
+	// the parser moves days and months out of range to the following ones (e.g. 2010-13-45),
+	// so numbers of the date formatted back must be the same as given
+	var vGiven = (pDateStr + '').match(/\d+/g) || [];
+	var vFormatted = JSGantt.formatDateStr(vDate, pFormatStr).match(/\d+/g) || [];
+	if (vGiven.length > vFormatted.length)
+	{
+		vFormatted = JSGantt.formatDateStr(vDate, pFormatStr + ' H:i').match(/\d+/g) || [];
+	}
+	if (vGiven.length != vFormatted.length)
+	{
+		return false;
+	}
+	for (var i = 0; i < vGiven.length; i++)
+	{
+		if (parseInt(vGiven[i], 10) != parseInt(vFormatted[i], 10))
+		{
+			return false;
+		}
+	}
+	return true;
+}
+
+// true if the date has a time of day (other than midnight)
+JSGantt.hasTime = function(pDate)
+{
+	return pDate.getHours() != 0 || pDate.getMinutes() != 0;
+}
+
+// Gets moment the task ends (end dates without time of day include the whole day)
+JSGantt.getEndMoment = function(pEnd)
+{
+	var vEnd = new Date(pEnd.getTime());
+	if (!JSGantt.hasTime(vEnd))
+	{
+		vEnd.setDate(vEnd.getDate() + 1);
+	}
+	return vEnd;
+}
+
+// Days from pFrom to pTo with a fraction for time of day (daylight saving time changes are ignored)
+JSGantt.daysBetween = function(pFrom, pTo)
+{
+	var vDays = (Date.UTC(pTo.getFullYear(), pTo.getMonth(), pTo.getDate()) - Date.UTC(pFrom.getFullYear(), pFrom.getMonth(), pFrom.getDate())) / (24 * 60 * 60 * 1000);
+	vDays += ((pTo.getHours() - pFrom.getHours()) * 60 + pTo.getMinutes() - pFrom.getMinutes()) / (24 * 60);
+	return vDays;
+}
+
+JSGantt.formatDateStr = function(pDate,pFormatStr)
+{
+	var vDateStr = pDate.dateFormat(pFormatStr);
+	return(vDateStr);
+}
+
+/*
+	Loads tasks (and the working calendar) from XML or JSON data at the given URL
+
+	Data is fetched asynchronously and parsed with DOMParser or JSON.parse (see JSGantt.parseXMLString and JSGantt.parseJSONString).
+	pOnLoad() is called when tasks are added to the chart; pOnError(oError, vFormat) gets JSGantt.XMLError and the format of the data.
+	Without pOnLoad the chart is drawn when tasks are loaded (as older scripts expect).
+	pFormat - 'xml' or 'json'; if not given JSON is recognized by the first character of the data ('{' or '[').
+*/
+JSGantt.loadData = function(pUrl, pGanttVar, pOnLoad, pOnError, pFormat)
+{
+	if (!pOnLoad)
+	{
+		pOnLoad = function() { pGanttVar.Draw(); };
+	}
+	if (!pOnError)
+	{
+		pOnError = function(oError) { alert(oError.toString()); };
+	}
+
+	var oRequest = new XMLHttpRequest();
+	oRequest.onreadystatechange = function()
+	{
+		if (oRequest.readyState != 4)
+		{
+			return;
+		}
+		var vFormat = pFormat ? pFormat : 'xml';
+		if (oRequest.status != 200)
+		{
+			pOnError(new JSGantt.XMLError(JSGantt.lang['xml-load-error'].replace('%status%', oRequest.status)), vFormat);
+			return;
+		}
+		if (!pFormat && JSGantt.isJSONString(oRequest.responseText))
+		{
+			vFormat = 'json';
+		}
+		try
+		{
+			if (vFormat == 'json')
+			{
+				JSGantt.parseJSONString(oRequest.responseText, pGanttVar);
+			}
+			else
+			{
+				JSGantt.parseXMLString(oRequest.responseText, pGanttVar);
+			}
+		}
+		catch (e)
+		{
+			pOnError(e instanceof JSGantt.XMLError ? e : new JSGantt.XMLError(e.message), vFormat);
+			return;
+		}
+		pOnLoad();
+	};
+	oRequest.open("GET", pUrl, true);
+	oRequest.send(null);
+}
+
+// Loads tasks from XML data at the given URL (see JSGantt.loadData)
+JSGantt.parseXML = function(ThisFile, pGanttVar, pOnLoad, pOnError)
+{
+	JSGantt.loadData(ThisFile, pGanttVar, pOnLoad, pOnError, 'xml');
+}
+
+// kept for older scripts
+JSGantt.ChromeLoadXML = JSGantt.parseXML;
+
+/*
+	Error in XML data
+
+	pLine - line of the XML source, pTask - ID (or name) of the task the error is in (both optional).
+*/
+JSGantt.XMLError = function(pMessage, pLine, pTask)
+{
+	this.message = pMessage;
+	this.line = pLine ? pLine : null;
+	this.task = (typeof(pTask) == 'undefined' || pTask === '') ? null : pTask;
+}
+
+// message with the task and the line (as shown to users)
+JSGantt.XMLError.prototype.toString = function()
+{
+	var vPrefix = '';
+	if (this.task !== null)
+	{
+		vPrefix = this.line
+			? JSGantt.lang['xml-error-task'].replace('%task%', this.task).replace('%line%', this.line)
+			: JSGantt.lang['error-task'].replace('%task%', this.task);
+	}
+	else if (this.line)
+	{
+		vPrefix = JSGantt.lang['xml-error-line'].replace('%line%', this.line);
+	}
+	return vPrefix + this.message;
+}
+
+// Parses XML data and adds tasks (and the working calendar) to the chart; throws JSGantt.XMLError
+JSGantt.parseXMLString = function(pText, pGanttVar)
+{
+	var vDoc = new DOMParser().parseFromString(pText, 'text/xml');
+	var vErrors = vDoc.getElementsByTagName('parsererror');
+	if (vErrors.length)
+	{
+		// browsers describe the error differently, but all give a line number
+		// (e.g. "error on line 9 at column 3: ...", "Line Number 9, Column 3:" or "9:3: ...")
+		var vDetails = vErrors[0].getElementsByTagName('div').length ? vErrors[0].getElementsByTagName('div')[0] : vErrors[0];
+		vDetails = vDetails.textContent.replace(/^\s+|\s+$/g, '');
+		var vLine = vDetails.match(/line(?:\s+number)?\s+(\d+)/i) || vDetails.match(/^(\d+):\d+:/);
+		vLine = vLine ? vLine[1] * 1 : null;
+		throw new JSGantt.XMLError(vDetails.split(/\n/)[0], vLine, vLine ? JSGantt.getXMLTaskAt(pText, vLine) : null);
+	}
+	JSGantt.AddXMLTask(pGanttVar, vDoc, pText);
+}
+
+// Gets lines (of the XML source) at which <task> elements start
+JSGantt.getXMLTaskLines = function(pText)
+{
+	var vLines = new Array();
+	var vRe = /<task[\s>\/]/gi;
+	var vMatch;
+	var vLine = 1;
+	var vPos = 0;
+	while ((vMatch = vRe.exec(pText)) !== null)
+	{
+		vLine += pText.substring(vPos, vMatch.index).split('\n').length - 1;
+		vPos = vMatch.index;
+		vLines.push(vLine);
+	}
+	return vLines;
+}
+
+// Gets ID (or name) of the task the given line of the XML source is in (null if it's not in a task)
+JSGantt.getXMLTaskAt = function(pText, pLine)
+{
+	var vLines = JSGantt.getXMLTaskLines(pText);
+	var vTask = -1;
+	for (var i = 0; i < vLines.length && vLines[i] <= pLine; i++)
+	{
+		vTask = i;
+	}
+	if (vTask < 0)
+	{
+		return null;
+	}
+	var vSource = pText.split(/<task[\s>\/]/i)[vTask + 1].split(/<\/task>/i)[0];
+	// compact syntax (<task id="..." name="..."/>)
+	var vTagEnd = vSource.indexOf('>');
+	if (vTagEnd > 0 && vSource.charAt(vTagEnd - 1) == '/')
+	{
+		vSource = vSource.substring(0, vTagEnd);
+	}
+	var vMatch = vSource.match(/<pID>\s*([^<]*?)\s*</i) || vSource.match(/^[^>]*?(?:^|\s)p?id\s*=\s*["']\s*([^"']*?)\s*["']/i)
+		|| vSource.match(/<pName>\s*([^<]*?)\s*</i) || vSource.match(/^[^>]*?(?:^|\s)p?name\s*=\s*["']\s*([^"']*?)\s*["']/i);
+	return vMatch ? vMatch[1] : '#' + (vTask + 1);
+}
+
+/*
+	Gets text of the first child element with the given name or value of the attribute
+	named without "p" (e.g. <pStart> or start="...") or as the element (pStart="...").
+	Child elements go first; names are not case sensitive.
+*/
+JSGantt.getXMLTaskValue = function(pTask, pName, pDefault)
+{
+	var vName = pName.toLowerCase();
+	var vText;
+	for (var vNode = pTask.firstChild; vNode; vNode = vNode.nextSibling)
+	{
+		if (vNode.nodeType == 1 && vNode.nodeName.toLowerCase() == vName)
+		{
+			vText = vNode.textContent.replace(/^\s+|\s+$/g, '');
+			return vText.length ? vText : pDefault;
+		}
+	}
+	var vAttrName = JSGantt.getXMLTaskAttrName(pName);
+	for (var i = 0; i < pTask.attributes.length; i++)
+	{
+		var vAttr = pTask.attributes[i];
+		if (vAttr.name.toLowerCase() == vAttrName || vAttr.name.toLowerCase() == vName)
+		{
+			vText = vAttr.value.replace(/^\s+|\s+$/g, '');
+			return vText.length ? vText : pDefault;
+		}
+	}
+	return pDefault;
+}
+
+// Gets name of the task attribute for the field (e.g. "start" for pStart)
+JSGantt.getXMLTaskAttrName = function(pName)
+{
+	return pName.replace(/^p/, '').toLowerCase();
+}
+
+// escapes text to be put into HTML (as the wiki extension does with values of tasks)
+JSGantt.escapeHTML = function(pText)
+{
+	return (pText + '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Gets the color if it is valid (3 or 6 hex digits without "#" as in pColor), otherwise the default color
+JSGantt.getValidColor = function(pColor)
+{
+	return /^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(pColor + '') ? pColor + '' : '0000ff';
+}
+
+// Checks if the (decoded) link can be opened - only http(s) and relative links are allowed (no javascript: and such)
+JSGantt.isSafeLink = function(pLink)
+{
+	// browsers ignore control characters and spaces in the scheme
+	var vLink = (pLink + '').replace(/[\u0000-\u0020]/g, '');
+	return /^https?:/i.test(vLink) || !/^[^\/?#]*:/.test(vLink);
+}
+
+/*
+	Adds tasks from the XML document to the chart
+
+	pDoc - parsed document (defaults to global xmlDoc for older scripts),
+	pText - (optional) XML source used to give lines of tasks in errors.
+*/
+JSGantt.AddXMLTask = function(pGanttVar, pDoc, pText)
+{
+	var vDoc = pDoc ? pDoc : xmlDoc;
+	var vLines = pText ? JSGantt.getXMLTaskLines(pText) : [];
+	var vElements = vDoc.getElementsByTagName('*');
+	var vTaskNum = 0;
+	var vCalendarSet = false;
+	var vFormat = pGanttVar.getDateInputFormat();
+
+	for (var i = 0; i < vElements.length; i++)
+	{
+		var vTask = vElements[i];
+		var vName = vTask.nodeName.toLowerCase();
+		// working calendar (the first one)
+		if (vName == 'calendar' && !vCalendarSet)
+		{
+			pGanttVar.setCalendar(JSGantt.Calendar.fromElement(vTask, vFormat));
+			vCalendarSet = true;
+			continue;
+		}
+		if (vName != 'task')
+		{
+			continue;
+		}
+		var vLine = vLines[vTaskNum++];
+		var get = function(pName, pDefault) { return JSGantt.getXMLTaskValue(vTask, pName, pDefault); };
+
+		// Task ID must NOT be zero other wise it will be skipped
+		// (make sure that numbers are not strings in order to make jsgantt.js behave as expected)
+		var pID = get('pID', 0) * 1;
+		if (!pID)
+		{
+			pGanttVar.addError(new JSGantt.XMLError(JSGantt.lang['error-no-id'], vLine, '#' + vTaskNum));
+			continue;
+		}
+
+		// Finally add the task (dates are checked by JSGantt.validateTasks)
+		try
+		{
+			var vItem = new JSGantt.TaskItem(pID, JSGantt.escapeHTML(get('pName', 'No Task Name')), get('pStart', ''), get('pEnd', ''),
+				get('pColor', '0000ff'), JSGantt.escapeHTML(get('pLink', '')), get('pMile', 0) * 1, JSGantt.escapeHTML(get('pRes', '')),
+				get('pComp', 0) * 1, get('pGroup', 0) * 1, get('pParent', 0) * 1, get('pOpen', 1) * 1, get('pDepend', ''),
+				JSGantt.escapeHTML(get('pCaption', '')), pGanttVar, get('pBaseStart', ''), get('pBaseEnd', ''),
+				JSGantt.escapeHTML(get('pNotes', '')), get('pWeight', ''), get('pDur', ''));
+		}
+		catch (e)
+		{
+			throw new JSGantt.XMLError(e.message, vLine, pID);
+		}
+		vItem.setSourceLine(vLine);
+		pGanttVar.AddTaskItem(vItem);
+	}
+}
+
+// true if the text looks like JSON data (rather than XML)
+JSGantt.isJSONString = function(pText)
+{
+	return /^\s*[\[{]/.test(pText);
+}
+
+/*
+	Parses JSON data and adds tasks to the chart (and sets its options); throws JSGantt.XMLError
+
+	Data is an object with options named as attributes of <jsgantt> and tasks with fields named as in XML, e.g.:
+	{
+		"options": {"option-show-duration": 1, "option-format": "week"},
+		"tasks": [
+			{"pID": 10, "pName": "Design", "pStart": "2010-07-01", "pEnd": "2010-07-09", "pComp": 50},
+			{"pID": 20, "pName": "Build", "pStart": "2010-07-12", "pEnd": "2010-07-30", "pDepend": "10"}
+		]
+	}
+	An array of tasks alone can be given too. This is also what GanttChart.exportJSON returns.
+*/
+JSGantt.parseJSONString = function(pText, pGanttVar)
+{
+	var vData;
+	try
+	{
+		vData = JSON.parse(pText);
+	}
+	catch (e)
+	{
+		// browsers give either a line (e.g. "at line 3 column 5") or a position in the text (e.g. "at position 42")
+		var vLine = e.message.match(/line\s+(\d+)/i);
+		var vPos = e.message.match(/position\s+(\d+)/i);
+		vLine = vLine ? vLine[1] * 1 : (vPos ? pText.substring(0, vPos[1] * 1).split('\n').length : null);
+		throw new JSGantt.XMLError(e.message, vLine);
+	}
+	JSGantt.AddJSONTask(pGanttVar, vData);
+}
+
+/*
+	Adds tasks from parsed JSON data to the chart (see JSGantt.parseJSONString)
+
+	Tasks get the same defaults as tasks read from XML (see JSGantt.AddXMLTask).
+*/
+JSGantt.AddJSONTask = function(pGanttVar, pData)
+{
+	var vTasks = pData;
+	if (pData && !(pData instanceof Array))
+	{
+		if (pData.options)
+		{
+			JSGantt.AttributeParser.setOptionsFromObject(pData.options, pGanttVar);
+		}
+		vTasks = pData.tasks;
+	}
+	if (!(vTasks instanceof Array))
+	{
+		return;
+	}
+
+	for (var i = 0; i < vTasks.length; i++)
+	{
+		// field names are not case sensitive (as in XML)
+		var vFields = {};
+		for (var vName in vTasks[i])
+		{
+			if (vTasks[i].hasOwnProperty(vName))
+			{
+				vFields[vName.toLowerCase()] = vTasks[i][vName];
+			}
+		}
+		var get = function(pName, pDefault)
+		{
+			var vValue = vFields[pName.toLowerCase()];
+			if (typeof(vValue) == 'string')
+			{
+				vValue = vValue.replace(/^\s+|\s+$/g, '');
+			}
+			return (typeof(vValue) == 'undefined' || vValue === null || vValue === '') ? pDefault : vValue;
+		};
+
+		// Task ID must NOT be zero other wise it will be skipped
+		var pID = get('pID', 0) * 1;
+		if (!pID)
+		{
+			pGanttVar.addError(new JSGantt.XMLError(JSGantt.lang['error-no-id'], null, '#' + (i + 1)));
+			continue;
+		}
+
+		// Finally add the task (dates are checked by JSGantt.validateTasks)
+		try
+		{
+			var vItem = new JSGantt.TaskItem(pID, JSGantt.escapeHTML(get('pName', 'No Task Name')), get('pStart', '') + '', get('pEnd', '') + '',
+				get('pColor', '0000ff') + '', JSGantt.escapeHTML(get('pLink', '')), get('pMile', 0) * 1, JSGantt.escapeHTML(get('pRes', '')),
+				get('pComp', 0) * 1, get('pGroup', 0) * 1, get('pParent', 0) * 1, get('pOpen', 1) * 1, get('pDepend', '') + '',
+				JSGantt.escapeHTML(get('pCaption', '')), pGanttVar, get('pBaseStart', '') + '', get('pBaseEnd', '') + '',
+				JSGantt.escapeHTML(get('pNotes', '')), get('pWeight', ''), get('pDur', ''));
+		}
+		catch (e)
+		{
+			throw new JSGantt.XMLError(e.message, null, pID);
+		}
+		pGanttVar.AddTaskItem(vItem);
+	}
+}
+
+// reverses JSGantt.escapeHTML
+JSGantt.unescapeHTML = function(pText)
+{
+	return (pText + '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+JSGantt.benchMark = function(pItem)
+{
+   var vEndTime=new Date().getTime();
+   alert(pItem + ': Elapsed time: '+((vEndTime-vBenchTime)/1000)+' seconds.');
+   vBenchTime=new Date().getTime();
+}
+
+// simple event adder
+if (typeof smpAddEvent != 'function')
+{
+	function smpAddEvent(obj, onwhat, fun)
+	{
+		if (obj.addEventListener)
+		{
+			obj.addEventListener(onwhat, fun, false);
+		}
+		else if (obj.attachEvent)
+		{
+			obj.attachEvent('on'+onwhat, fun);
+		}
+		else
+		{
+			// error
+		}
+	}
 }
\ No newline at end of file
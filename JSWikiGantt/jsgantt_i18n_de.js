@@ -7,15 +7,62 @@
 		JSGantt.lang['format-day']        = 'Tag';
 		JSGantt.lang['format-hour']       = 'Stunde';
 		JSGantt.lang['format-minute']     = 'Minute';
+		JSGantt.lang['zoom-label']        = 'Zoom:';
+		JSGantt.lang['nav-prev']          = 'Frher';
+		JSGantt.lang['nav-today']         = 'Heute';
+		JSGantt.lang['nav-next']          = 'Spter';
+		JSGantt.lang['nav-fit']           = 'Einpassen';
 		JSGantt.lang['header-res']        = 'Ressource';
 		JSGantt.lang['header-dur']        = 'Dauer';
 		JSGantt.lang['header-comp']       = '% Comp.';
 		JSGantt.lang['header-startdate']  = 'Anfangsdatum';
 		JSGantt.lang['header-enddate']    = 'Enddatum';
+		JSGantt.lang['header-variance']   = 'Abweichung';
+		JSGantt.lang['header-float']      = 'Puffer';
+		JSGantt.lang['status-date']       = 'Stichtag';
+		JSGantt.lang['status-overdue']    = 'berfllig - sollte zum Stichtag abgeschlossen sein';
+		JSGantt.lang['status-behind']     = 'Im Verzug - Fortschritt geringer als die verstrichene Zeit';
+		JSGantt.lang['field-id']          = 'ID';
+		JSGantt.lang['field-name']        = 'Name';
+		JSGantt.lang['field-type']        = 'Typ';
+		JSGantt.lang['type-task']         = 'Aufgabe';
+		JSGantt.lang['type-group']        = 'Gruppe';
+		JSGantt.lang['type-mile']         = 'Meilenstein';
+		JSGantt.lang['field-parent']      = 'bergeordnet';
+		JSGantt.lang['field-depend']      = 'Abhngigkeiten';
+		JSGantt.lang['field-caption']     = 'Beschriftung';
+		JSGantt.lang['field-color']       = 'Farbe';
+		JSGantt.lang['field-baseline']    = 'Basisplan';
+		JSGantt.lang['field-status']      = 'Status';
+		JSGantt.lang['field-link']        = 'Link';
+		JSGantt.lang['field-notes']       = 'Notizen';
+		JSGantt.lang['field-weight']      = 'Gewichtung';
+		JSGantt.lang['field-errors']      = 'Probleme';
+		JSGantt.lang['details-edit']      = 'Bearbeiten';
+		JSGantt.lang['details-close']     = 'Schlieen';
 		/* gantt inline/loader */
 		JSGantt.lang['no-xml-link-error'] = 'Fehler! Ein Link auf einen Artikel mit dem Diagramm fehlt. Der Link auf einen XML-Datenartikel sollte innerhalb des Elements mit id=\"%el_id%\". stehen';
 		JSGantt.lang['unexpected-error']  = 'Unerwarteter Fehler!';
 		JSGantt.lang['xml-parse-error']   = 'Parsingfehler! Die XML-Datei ist nicht wohlgeformt ode rdie URL ist nicht korrekt.';
+		JSGantt.lang['json-parse-error']  = 'Parsingfehler! Die JSON-Daten sind nicht wohlgeformt oder die URL ist nicht korrekt.';
+		JSGantt.lang['xml-load-error']    = 'Die Daten konnten nicht geladen werden (HTTP-Status %status%).';
+		JSGantt.lang['calendar-load-error'] = 'Der Arbeitskalender konnte nicht von der Seite %page% geladen werden.';
+		JSGantt.lang['xml-error-task']    = 'Aufgabe %task%, Zeile %line%: ';
+		JSGantt.lang['xml-error-line']    = 'Zeile %line%: ';
+		JSGantt.lang['loading']           = 'Daten werden geladen...';
+		JSGantt.lang['errors-title']      = 'Probleme in den Daten: %count%';
+		JSGantt.lang['error-task']        = 'Aufgabe %task%: ';
+		JSGantt.lang['error-no-id']       = 'Die Aufgabe hat keine ID (pID) und wurde bersprungen';
+		JSGantt.lang['error-duplicate-id'] = 'Doppelte ID %id%';
+		JSGantt.lang['error-parent']      = 'Unbekannte bergeordnete Aufgabe %id% (pParent)';
+		JSGantt.lang['error-parent-group'] = 'Die bergeordnete Aufgabe %id% ist keine Gruppe (pGroup)';
+		JSGantt.lang['error-parent-cycle'] = 'bergeordnete Aufgaben bilden eine Schleife: %ids%';
+		JSGantt.lang['error-depend']      = 'Unbekannter Vorgnger %id% (pDepend)';
+		JSGantt.lang['error-depend-cycle'] = 'Zyklische Abhngigkeit: %ids%';
+		JSGantt.lang['error-end-before-start'] = 'Das Enddatum liegt vor dem Startdatum';
+		JSGantt.lang['error-date']        = 'Ungltiges Datum in %field%: %date%';
+		JSGantt.lang['error-date-missing'] = 'Fehlendes Datum in %field%';
+		JSGantt.lang['no-tasks-error']    = 'Keine Aufgaben vorhanden. Jede Aufgabe muss in einem <task>-Element mit einer ID in <pID> (oder im Attribut id) angegeben werden.';
 		JSGantt.lang['quarter-short']     = 'Qtr.';
 		/* date-functions */
 		Date.monthNames =
@@ -7,15 +7,62 @@
 		JSGantt.lang['format-day']        = 'Day';
 		JSGantt.lang['format-hour']       = 'Hour';
 		JSGantt.lang['format-minute']     = 'Minute';
+		JSGantt.lang['zoom-label']        = 'Zoom:';
+		JSGantt.lang['nav-prev']          = 'Earlier';
+		JSGantt.lang['nav-today']         = 'Today';
+		JSGantt.lang['nav-next']          = 'Later';
+		JSGantt.lang['nav-fit']           = 'Fit to width';
 		JSGantt.lang['header-res']        = 'Resource';
 		JSGantt.lang['header-dur']        = 'Duration';
 		JSGantt.lang['header-comp']       = '% Comp.';
 		JSGantt.lang['header-startdate']  = 'Start Date';
 		JSGantt.lang['header-enddate']    = 'End Date';
+		JSGantt.lang['header-variance']   = 'Variance';
+		JSGantt.lang['header-float']      = 'Float';
+		JSGantt.lang['status-date']       = 'Status date';
+		JSGantt.lang['status-overdue']    = 'Overdue - should be finished by the status date';
+		JSGantt.lang['status-behind']     = 'Behind schedule - progress is less than elapsed time';
+		JSGantt.lang['field-id']          = 'ID';
+		JSGantt.lang['field-name']        = 'Name';
+		JSGantt.lang['field-type']        = 'Type';
+		JSGantt.lang['type-task']         = 'Task';
+		JSGantt.lang['type-group']        = 'Group';
+		JSGantt.lang['type-mile']         = 'Milestone';
+		JSGantt.lang['field-parent']      = 'Parent';
+		JSGantt.lang['field-depend']      = 'Dependencies';
+		JSGantt.lang['field-caption']     = 'Caption';
+		JSGantt.lang['field-color']       = 'Color';
+		JSGantt.lang['field-baseline']    = 'Baseline';
+		JSGantt.lang['field-status']      = 'Status';
+		JSGantt.lang['field-link']        = 'Link';
+		JSGantt.lang['field-notes']       = 'Notes';
+		JSGantt.lang['field-weight']      = 'Weight';
+		JSGantt.lang['field-errors']      = 'Problems';
+		JSGantt.lang['details-edit']      = 'Edit';
+		JSGantt.lang['details-close']     = 'Close';
 		/* gantt inline/loader */
 		JSGantt.lang['no-xml-link-error'] = 'Error! A link to an article containing the diagram data is missing. The link to an XML data article should be put inside the element with id=\"%el_id%\".';
 		JSGantt.lang['unexpected-error']  = 'Unexpected error!';
 		JSGantt.lang['xml-parse-error']   = 'Parse error! The XML file is malformed or the URL is incorrect.';
+		JSGantt.lang['json-parse-error']  = 'Parse error! The JSON data is malformed or the URL is incorrect.';
+		JSGantt.lang['xml-load-error']    = 'Loading of the data failed (HTTP status %status%).';
+		JSGantt.lang['calendar-load-error'] = 'The working calendar could not be loaded from page %page%.';
+		JSGantt.lang['xml-error-task']    = 'Task %task%, line %line%: ';
+		JSGantt.lang['xml-error-line']    = 'Line %line%: ';
+		JSGantt.lang['loading']           = 'Loading data...';
+		JSGantt.lang['errors-title']      = 'Problems in the data: %count%';
+		JSGantt.lang['error-task']        = 'Task %task%: ';
+		JSGantt.lang['error-no-id']       = 'Task has no ID (pID) and was skipped';
+		JSGantt.lang['error-duplicate-id'] = 'Duplicate ID %id%';
+		JSGantt.lang['error-parent']      = 'Unknown parent task %id% (pParent)';
+		JSGantt.lang['error-parent-group'] = 'Parent task %id% is not a group (pGroup)';
+		JSGantt.lang['error-parent-cycle'] = 'Parent tasks form a loop: %ids%';
+		JSGantt.lang['error-depend']      = 'Unknown predecessor %id% (pDepend)';
+		JSGantt.lang['error-depend-cycle'] = 'Dependency cycle: %ids%';
+		JSGantt.lang['error-end-before-start'] = 'End date is before start date';
+		JSGantt.lang['error-date']        = 'Invalid date in %field%: %date%';
+		JSGantt.lang['error-date-missing'] = 'Missing date in %field%';
+		JSGantt.lang['no-tasks-error']    = 'No tasks to show. Each task should be given in a <task> element with an ID in <pID> (or in the id attribute).';
 		JSGantt.lang['quarter-short']     = 'Qtr.';
 		/* date-functions */
 		Date.monthNames =
@@ -7,15 +7,62 @@
 		JSGantt.lang['format-day']        = 'Dni';
 		JSGantt.lang['format-hour']       = 'Godziny';
 		JSGantt.lang['format-minute']     = 'Minuty';
+		JSGantt.lang['zoom-label']        = 'Powiększenie:';
+		JSGantt.lang['nav-prev']          = 'Wcześniej';
+		JSGantt.lang['nav-today']         = 'Dziś';
+		JSGantt.lang['nav-next']          = 'Później';
+		JSGantt.lang['nav-fit']           = 'Dopasuj';
 		JSGantt.lang['header-res']        = 'Zasób';
 		JSGantt.lang['header-dur']        = 'Czas trwania';
 		JSGantt.lang['header-comp']       = '% Ukoń.';
 		JSGantt.lang['header-startdate']  = 'Rozpoczęcie';
 		JSGantt.lang['header-enddate']    = 'Zakończenie';
+		JSGantt.lang['header-variance']   = 'Odchylenie';
+		JSGantt.lang['header-float']      = 'Zapas';
+		JSGantt.lang['status-date']       = 'Data statusu';
+		JSGantt.lang['status-overdue']    = 'Zaległe - powinno być już ukończone';
+		JSGantt.lang['status-behind']     = 'Opóźnione - postęp mniejszy niż upływ czasu';
+		JSGantt.lang['field-id']          = 'ID';
+		JSGantt.lang['field-name']        = 'Nazwa';
+		JSGantt.lang['field-type']        = 'Typ';
+		JSGantt.lang['type-task']         = 'Zadanie';
+		JSGantt.lang['type-group']        = 'Grupa';
+		JSGantt.lang['type-mile']         = 'Kamień milowy';
+		JSGantt.lang['field-parent']      = 'Zadanie nadrzędne';
+		JSGantt.lang['field-depend']      = 'Zależności';
+		JSGantt.lang['field-caption']     = 'Podpis';
+		JSGantt.lang['field-color']       = 'Kolor';
+		JSGantt.lang['field-baseline']    = 'Plan bazowy';
+		JSGantt.lang['field-status']      = 'Status';
+		JSGantt.lang['field-link']        = 'Link';
+		JSGantt.lang['field-notes']       = 'Notatki';
+		JSGantt.lang['field-weight']      = 'Waga';
+		JSGantt.lang['field-errors']      = 'Problemy';
+		JSGantt.lang['details-edit']      = 'Edytuj';
+		JSGantt.lang['details-close']     = 'Zamknij';
 		/* gantt inline/loader */
 		JSGantt.lang['no-xml-link-error'] = 'Błąd! Brak linku do artykułu zawierającego dane harmonogramu. W elemencie o id=\"%el_id%\" należy podać link do artykułu z danymi w formacie XML.';
 		JSGantt.lang['unexpected-error']  = 'Niespodziewany błąd!';
 		JSGantt.lang['xml-parse-error']   = 'Błąd odczytu! Nieprawidłowy plik XML lub nieprawidłowy adres URL.';
+		JSGantt.lang['json-parse-error']  = 'Błąd odczytu! Nieprawidłowe dane JSON lub nieprawidłowy adres URL.';
+		JSGantt.lang['xml-load-error']    = 'Nie udało się wczytać danych (status HTTP %status%).';
+		JSGantt.lang['calendar-load-error'] = 'Nie udało się wczytać kalendarza ze strony %page%.';
+		JSGantt.lang['xml-error-task']    = 'Zadanie %task%, wiersz %line%: ';
+		JSGantt.lang['xml-error-line']    = 'Wiersz %line%: ';
+		JSGantt.lang['loading']           = 'Wczytywanie danych...';
+		JSGantt.lang['errors-title']      = 'Problemy w danych: %count%';
+		JSGantt.lang['error-task']        = 'Zadanie %task%: ';
+		JSGantt.lang['error-no-id']       = 'Zadanie nie ma ID (pID) i zostało pominięte';
+		JSGantt.lang['error-duplicate-id'] = 'Powtórzone ID %id%';
+		JSGantt.lang['error-parent']      = 'Nieznane zadanie nadrzędne %id% (pParent)';
+		JSGantt.lang['error-parent-group'] = 'Zadanie nadrzędne %id% nie jest grupą (pGroup)';
+		JSGantt.lang['error-parent-cycle'] = 'Zadania nadrzędne tworzą pętlę: %ids%';
+		JSGantt.lang['error-depend']      = 'Nieznany poprzednik %id% (pDepend)';
+		JSGantt.lang['error-depend-cycle'] = 'Cykl zależności: %ids%';
+		JSGantt.lang['error-end-before-start'] = 'Data zakończenia jest wcześniejsza niż data rozpoczęcia';
+		JSGantt.lang['error-date']        = 'Nieprawidłowa data w %field%: %date%';
+		JSGantt.lang['error-date-missing'] = 'Brak daty w %field%';
+		JSGantt.lang['no-tasks-error']    = 'Brak zadań do wyświetlenia. Każde zadanie należy podać w elemencie <task> z identyfikatorem w <pID> (lub w atrybucie id).';
 		JSGantt.lang['quarter-short']     = 'Kw.';
 		/* date-functions */
 		Date.monthNames =
@@ -1,94 +1,119 @@
-﻿//
-// Global gant object (needed for jsgantt)
-//
-var oJSGant;
-
-//
-// Global gant loader object
-//
-var oJSGantInline = {
-	//! @note Some settings also in this.init
-	conf : {
-		elGantDivID : 'GanttChartInline',	// gant element (a link should be added to it)
-		intNamesWidth : 300,			// names width
-		strDefaultViewFormat : 'day',		// ("day","week","month","quarter")
-		strDateInputFormat : 'Y-m-d',		// date format of the input
-		strDateDisplayFormat : 'Y-m-d',		// basic date format
-		oDateDisplayFormatCaptions : {		// headers date formats
-			'day' : {
-				'from' : 'd.m',
-				'to' : ' - d.m.y'
-			},
-			'week' : {
-				'upper' : 'Y',
-				'lower' : 'm/d'
-			},
-			'month' : {
-				'upper' : 'Y',
-				'lower' : 'M'
-			},
-			'quarter' : {
-				'upper' : 'Y',
-				'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
-			}
-		},
-		'':''
-	},
-	lang : JSGantt.lang
-};
-
-//
-// Standard error handling
-//
-oJSGantInline.displayError = function(strMsg)
-{
-	var nel = document.createElement('p');
-	nel.className = "gantt_error";
-	nel.appendChild(document.createTextNode(strMsg));
-	this.elGantDiv.appendChild(nel);
-}
-
-//
-// Init gantt
-//
-oJSGantInline.init = function()
-{
-	var elGantDiv = document.getElementById(this.conf.elGantDivID);
-	if (!elGantDiv)
-	{
-		return;
-	}
-	this.elGantDiv = elGantDiv;
-	
-	// setup
-	oJSGant = new JSGantt.GanttChart('oJSGant', elGantDiv, this.conf.strDefaultViewFormat);
-	oJSGant.setDateInputFormat (this.conf.strDateInputFormat);
-	oJSGant.setDateDisplayFormat (this.conf.strDateDisplayFormat);
-	oJSGant.setDateDisplayFormatCaptions (this.conf.oDateDisplayFormatCaptions);
-	
-	// see JSGantt.attributeMapping for attribute name to option mapping
-	JSGantt.AttributeParser.setOptions(elGantDiv, oJSGant, 'data-');
-}
-
-//
-// Draw diagram (call after tasks are added)
-//
-oJSGantInline.draw = function()
-{
-	if (oJSGant)
-	{
-		oJSGant.Draw(this.conf.intNamesWidth);	
-		oJSGant.DrawDependencies();
-	}
-	else
-	{
-		this.displayError(this.lang['unexpected-error']);
-	}
-}
-
-
-//
-// Loader init
-//
-//oJSGantInline.init();
+﻿//
+// Last created gant object (kept for older scripts; every chart is in JSGantt.charts)
+//
+var oJSGant;
+
+//
+// Global gant loader object
+//
+var oJSGantInline = {
+	//! @note Some settings also in this.init
+	conf : {
+		elGantDivID : 'GanttChartInline',	// gant element id prefix (ids are "GanttChartInline_<chart number>")
+		intNamesWidth : 300,			// names width
+		strDefaultViewFormat : 'day',		// ("minute","hour","day","week","month","quarter")
+		strDateInputFormat : 'Y-m-d',		// date format of the input (time can follow as in "Y-m-d H:i")
+		strDateDisplayFormat : 'Y-m-d',		// basic date format
+		oDateDisplayFormatCaptions : {		// headers date formats
+			'day' : {
+				'from' : 'd.m',
+				'to' : ' - d.m.y'
+			},
+			'week' : {
+				'upper' : 'Y',
+				'lower' : 'm/d'
+			},
+			'month' : {
+				'upper' : 'Y',
+				'lower' : 'M'
+			},
+			'quarter' : {
+				'upper' : 'Y',
+				'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
+			}
+		},
+		'':''
+	},
+	lang : JSGantt.lang
+};
+
+//
+// Standard error handling
+//
+oJSGantInline.displayError = function(strMsg, elGantDiv)
+{
+	var nel = document.createElement('p');
+	nel.className = "gantt_error";
+	nel.appendChild(document.createTextNode(strMsg));
+	elGantDiv.appendChild(nel);
+}
+
+//
+// Init gantt in the given element (returns the new chart or null)
+//
+oJSGantInline.init = function(strElementId)
+{
+	var elGantDiv = document.getElementById(strElementId);
+	if (!elGantDiv)
+	{
+		return null;
+	}
+	
+	// setup
+	var oChart = new JSGantt.GanttChart(null, elGantDiv, this.conf.strDefaultViewFormat);
+	oChart.setDateInputFormat (this.conf.strDateInputFormat);
+	oChart.setDateDisplayFormat (this.conf.strDateDisplayFormat);
+	oChart.setDateDisplayFormatCaptions (this.conf.oDateDisplayFormatCaptions);
+	
+	// see JSGantt.attributeMapping for attribute name to option mapping
+	JSGantt.AttributeParser.setOptions(elGantDiv, oChart, 'data-');
+	
+	oJSGant = oChart;
+	return oChart;
+}
+
+//
+// Add tasks (and options) from JSON data (returns false and shows the error if the data is not valid)
+//
+oJSGantInline.addJSON = function(oChart, strJSON)
+{
+	if (!oChart)
+	{
+		return false;
+	}
+	var elGantDiv = oChart.getDiv();
+	try
+	{
+		JSGantt.parseJSONString(strJSON, oChart);
+	}
+	catch (e)
+	{
+		this.displayError(this.lang['json-parse-error'] + ' ' + (e instanceof JSGantt.XMLError ? e : new JSGantt.XMLError(e.message)).toString(), elGantDiv);
+		return false;
+	}
+	if (!oChart.getList().length)
+	{
+		this.displayError(this.lang['no-tasks-error'], elGantDiv);
+		return false;
+	}
+	return true;
+}
+
+//
+// Draw diagram (call after tasks are added)
+//
+oJSGantInline.draw = function(oChart)
+{
+	if (oChart)
+	{
+		oChart.Draw(this.conf.intNamesWidth);	
+		oChart.DrawDependencies();
+	}
+}
+
+
+//
+// Loader init
+//
+//oJSGantInline.init();
 //addOnloadHook(function() {oJSGantInline.load()});
\ No newline at end of file
@@ -1,110 +1,128 @@
-﻿//
-// Global gant object (needed for jsgantt)
-//
-var oJSGant;
-
-//
-// Global gant loader object
-//
-var oJSGantLoader = {
-	//! @note Some settings also in this.init
-	conf : {
-		elGantDivID : 'GanttChartDIV',	// gant element (a link should be added to it)
-		intNamesWidth : 300,			// names width
-		strDefaultViewFormat : 'day',		// ("day","week","month","quarter")
-		strDateInputFormat : 'Y-m-d',		// date format of the input
-		strDateDisplayFormat : 'Y-m-d',		// basic date format
-		oDateDisplayFormatCaptions : {		// headers date formats
-			'day' : {
-				'from' : 'd.m',
-				'to' : ' - d.m.y'
-			},
-			'week' : {
-				'upper' : 'Y',
-				'lower' : 'm/d'
-			},
-			'month' : {
-				'upper' : 'Y',
-				'lower' : 'M'
-			},
-			'quarter' : {
-				'upper' : 'Y',
-				'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
-			}
-		},
-		'':''
-	},
-	lang : JSGantt.lang
-};
-
-//
-// Standard error handling
-//
-oJSGantLoader.displayError = function(strMsg)
-{
-	var nel = document.createElement('p');
-	nel.className = "gantt_error";
-	nel.appendChild(document.createTextNode(strMsg));
-	this.elGantDiv.appendChild(nel);
-}
-
-//
-// Init gantt
-//
-oJSGantLoader.load = function()
-{
-	var elGantDiv = document.getElementById(this.conf.elGantDivID);
-	if (!elGantDiv)
-	{
-		return;
-	}
-	this.elGantDiv = elGantDiv;
-	
-	var strXmlUrl = '';
-	try
-	{
-		var strXmlUrl = elGantDiv.getElementsByTagName('a')[0].href;
-		strXmlUrl += '?action=raw';
-	}
-	catch(e)
-	{
-		this.displayError(this.lang['no-xml-link-error'].replace('%el_id%', this.conf.elGantDivID));
-		return;
-	}
-
-	// setup
-	oJSGant = new JSGantt.GanttChart('oJSGant', elGantDiv, this.conf.strDefaultViewFormat);
-	oJSGant.setDateInputFormat (this.conf.strDateInputFormat);
-	oJSGant.setDateDisplayFormat (this.conf.strDateDisplayFormat);
-	oJSGant.setDateDisplayFormatCaptions (this.conf.oDateDisplayFormatCaptions);
-	
-	// see JSGantt.attributeMapping for attribute name to option mapping
-	JSGantt.AttributeParser.setOptions(elGantDiv, oJSGant, 'data-');
-	
-	if (oJSGant)
-	{
-		// Parameters (pID, pName, pStart, pEnd, pColor, pLink, pMile, pRes,  pComp, pGroup, pParent, pOpen)
-		// use the XML file parser 
-		try
-		{
-			JSGantt.parseXML(strXmlUrl,oJSGant)
-		}
-		catch(e)
-		{
-			this.displayError(this.lang['xml-parse-error']);
-			return;
-		}
-		oJSGant.Draw(this.conf.intNamesWidth);	
-		oJSGant.DrawDependencies();
-	}
-	else
-	{
-		this.displayError(this.lang['unexpected-error']);
-	}
-}
-
-
-//
-// Loader init
-//
+﻿//
+// Last created gant object (kept for older scripts; every chart is in JSGantt.charts)
+//
+var oJSGant;
+
+//
+// Global gant loader object
+//
+var oJSGantLoader = {
+	//! @note Some settings also in this.init
+	conf : {
+		elGantDivClass : 'GanttChartDIV',	// class of gant elements (a link should be added to each of them)
+		intNamesWidth : 300,			// names width
+		strDefaultViewFormat : 'day',		// ("day","week","month","quarter")
+		strDateInputFormat : 'Y-m-d',		// date format of the input
+		strDateDisplayFormat : 'Y-m-d',		// basic date format
+		oDateDisplayFormatCaptions : {		// headers date formats
+			'day' : {
+				'from' : 'd.m',
+				'to' : ' - d.m.y'
+			},
+			'week' : {
+				'upper' : 'Y',
+				'lower' : 'm/d'
+			},
+			'month' : {
+				'upper' : 'Y',
+				'lower' : 'M'
+			},
+			'quarter' : {
+				'upper' : 'Y',
+				'lower' : '"'+JSGantt.lang['quarter-short']+'" q'
+			}
+		},
+		'':''
+	},
+	lang : JSGantt.lang
+};
+
+//
+// Standard error handling
+//
+oJSGantLoader.displayError = function(strMsg, elGantDiv)
+{
+	var nel = document.createElement('p');
+	nel.className = "gantt_error";
+	nel.appendChild(document.createTextNode(strMsg));
+	elGantDiv.appendChild(nel);
+}
+
+//
+// Loading state (returns the element to be removed when the data is loaded)
+//
+oJSGantLoader.displayLoading = function(elGantDiv)
+{
+	var nel = document.createElement('p');
+	nel.className = "gantt_loading";
+	nel.appendChild(document.createTextNode(this.lang['loading']));
+	elGantDiv.appendChild(nel);
+	return nel;
+}
+
+//
+// Init all gantt charts on the page (data of each chart is loaded asynchronously)
+//
+oJSGantLoader.load = function()
+{
+	var elsGantDiv = document.getElementsByClassName(this.conf.elGantDivClass);
+	for (var i = 0; i < elsGantDiv.length; i++)
+	{
+		this.loadChart(elsGantDiv[i]);
+	}
+}
+
+//
+// Init single gantt chart
+//
+oJSGantLoader.loadChart = function(elGantDiv)
+{
+	var strXmlUrl = '';
+	try
+	{
+		var strXmlUrl = elGantDiv.getElementsByTagName('a')[0].href;
+		strXmlUrl += '?action=raw';
+	}
+	catch(e)
+	{
+		this.displayError(this.lang['no-xml-link-error'].replace('%el_id%', elGantDiv.id), elGantDiv);
+		return;
+	}
+
+	// setup
+	var oChart = new JSGantt.GanttChart(null, elGantDiv, this.conf.strDefaultViewFormat);
+	oChart.setDateInputFormat (this.conf.strDateInputFormat);
+	oChart.setDateDisplayFormat (this.conf.strDateDisplayFormat);
+	oChart.setDateDisplayFormatCaptions (this.conf.oDateDisplayFormatCaptions);
+	
+	// see JSGantt.attributeMapping for attribute name to option mapping
+	JSGantt.AttributeParser.setOptions(elGantDiv, oChart, 'data-');
+	oJSGant = oChart;
+	
+	// Parameters (pID, pName, pStart, pEnd, pColor, pLink, pMile, pRes,  pComp, pGroup, pParent, pOpen)
+	// use the XML or JSON parser (format="json" or recognized by the data)
+	var strFormat = (elGantDiv.getAttribute('data-format') || '').toLowerCase();
+	var _self = this;
+	var elLoading = this.displayLoading(elGantDiv);
+	JSGantt.loadData(strXmlUrl, oChart, function()
+	{
+		elGantDiv.removeChild(elLoading);
+		if (!oChart.getList().length)
+		{
+			_self.displayError(_self.lang['no-tasks-error'], elGantDiv);
+			return;
+		}
+		oChart.Draw(_self.conf.intNamesWidth);
+		oChart.DrawDependencies();
+	}, function(oError, strDataFormat)
+	{
+		elGantDiv.removeChild(elLoading);
+		_self.displayError(_self.lang[strDataFormat == 'json' ? 'json-parse-error' : 'xml-parse-error'] + ' ' + oError.toString(), elGantDiv);
+	}, (strFormat == 'json' || strFormat == 'xml') ? strFormat : '');
+}
+
+
+//
+// Loader init
+//
 addOnloadHook(function() {oJSGantLoader.load()});
\ No newline at end of file
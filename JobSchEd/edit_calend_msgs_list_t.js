@@ -1,84 +1,96 @@
-﻿/* ------------------------------------------------------------------------ *\
-	Show and other methods for listing tasks/activities
-\* ------------------------------------------------------------------------ */
-
-oJobSchEd.oListAct = new Object();
-
-/* ------------------------------------------------------------------------ *\
-	Show/build list window
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oListAct.show = function(intPersonId)
-{
-	// remeber last (for refresh)
-	if (typeof(intPersonId)=='undefined')
-	{
-		intPersonId = this.intLastPersonId;
-	}
-	this.intLastPersonId = intPersonId;
-	
-	// tasks list
-	var i = this.oParent.indexOfPerson(intPersonId);
-	// unexpected error (person should be known)
-	if (i<0)
-	{
-		return;
-	}
-	var oP = this.oParent.arrPersons[i];
-	var strList = '<h2>'+oP.strName+'</h2>';
-	strList += '<ul style="text-align:left">';
-	for (var j=0; j<oP.arrActivities.length; j++)
-	{
-		var oA = oP.arrActivities[j]
-		if (typeof(oA)=='undefined')	// might be empty after del
-		{
-			continue;
-		}
-		strList += ''
-			+'<li>'
-				+'<a href="javascript:oJobSchEd.oModTask.showEdit('+oP.intId.toString()+', '+j.toString()+')" title="'
-						+this.oParent.lang["title - edit"]
-					+'">'
-					+oA.strDateStart+" - "+oA.strDateEnd
-					+": "+this.oParent.lang.activities[oA.intId].name
-					+' '
-					+'<img src="'+this.oParent.conf['img - edit']+'" alt=" " />'
-				+'</a>'
-				+' '
-				+'<a href="javascript:oJobSchEd.oModTask.showDel('+oP.intId.toString()+', '+j.toString()+')" title="'
-						+this.oParent.lang["title - del"]
-					+'">'
-					+'<img src="'+this.oParent.conf['img - del']+'" alt="'
-						+this.oParent.lang['alt - del']
-					+'" />'
-				+'</a>'
-			+'</li>'
-		;
-	}
-	strList += ''
-		+'<li>'
-			+'<a href="javascript:oJobSchEd.oModTask.showAdd('+oP.intId.toString()+')" title="'
-						+this.oParent.lang["title - add"]
-					+'">'
-				+this.oParent.lang['label - new activity']
-			+'</a>'
-		+'</li>'
-	;
-	strList += '</ul>';
-
-	// show form
-	var msg = this.oMsg;
-	msg.show(strList);
-	msg.repositionMsgCenter();
-}
-
-/* ------------------------------------------------------------------------ *\
-	Refresh list
-\* ------------------------------------------------------------------------ */
-oJobSchEd.oListAct.refresh = function()
-{
-	// close previous
-	this.oMsg.close();
-
-	// show again
-	this.show();
-}
\ No newline at end of file
+﻿/* ------------------------------------------------------------------------ *\
+	Show and other methods for listing tasks/activities
+\* ------------------------------------------------------------------------ */
+
+oJobSchEd.oListAct = {}
+
+/* ------------------------------------------------------------------------ *\
+	Displays the list of tasks with options to edit or delete
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oListAct.show = function () {
+	let indentLevel = 0;
+	let listStyletype = 'inherit';
+	let stack = [];
+	let i = 0;
+
+	let oP = this.oParent;
+	let strList = '<h2>'+ 'Tasks' +'</h2>';
+	strList += '<ul style="text-align:left">';
+
+	while (i<oP.arrTasks.length) {
+
+		task_prev = oP.arrTasks[i-1];
+		task_curr = oP.arrTasks[i];
+		task_next = oP.arrTasks[i+1];
+
+		if (typeof(task_curr)=='undefined'){
+			continue;
+		}
+
+		/* If it's not a sub child then decrement indetation until parent is found */
+		if (task_prev && task_prev.intId != task_curr.intParent) {
+			/* Increase indent level and reassign prev parent to current one */
+			while (stack.last() != task_curr.intParent){
+				//debugger;
+				let parentFromStack = stack.pop();
+
+				indentLevel--;
+
+				if (stack.length === 0) {
+					indentLevel = 0;
+					listStyletype = 'inherit';
+					break;
+				}
+			}
+		}
+		else if (task_curr.intParent) {
+			indentLevel++;
+		}
+		if (task_next && task_next.intParent === task_curr.intId){
+			stack.push(task_curr.intId);
+		}
+		if (typeof(task_curr.intParent) === "number" ) {
+			listStyletype = 'none';
+		}
+
+		strList += ''
+			+'<li style="margin-left:'+ indentLevel * oP.conf.marginSize +'px; list-style:'+ listStyletype +'";>'
+				+'<a href="javascript:oJobSchEd.oModTask.showEdit('+task_curr.intId.toString()+')" title="'
+						+this.oParent.lang["title - edit"]
+					+'">'
+					+task_curr.strName
+				+'</a>'
+				+' '
+				+'<a href="javascript:oJobSchEd.oModTask.showDel('+task_curr.intId.toString()+')" title="'
+						+this.oParent.lang["title - del"]
+					+'">'
+					+'<img src="'+this.oParent.conf['img - del']+'" alt="" />'
+				+'</a>'
+			+'</li>';
+
+		i++;
+	}
+	strList += ''
+		+'<li>'
+			+'<a href="javascript:oJobSchEd.oModTask.showAdd('+oP.nextId.toString()+')" title="'
+						+this.oParent.lang["title - add"]
+					+'">'
+				+this.oParent.lang['label - new activity']
+			+'</a>'
+		+'</li>';
+	strList += '</ul>';
+
+	var msg = this.oMsg;
+	msg.show(strList);
+	msg.repositionMsgCenter();
+}
+
+/* ------------------------------------------------------------------------ *\
+	Refresh task list
+\* ------------------------------------------------------------------------ */
+oJobSchEd.oListAct.refresh = function ()
+{
+	this.oMsg.close();
+
+	this.show();
+}
@@ -1,106 +1,150 @@
-﻿/* ------------------------------------------------------------------------ *\
-	Parser methods
-\* ------------------------------------------------------------------------ */
-
-/* ------------------------------------------------------------------------ *\
-	preparse XML to an XML document DOM
-\* ------------------------------------------------------------------------ */
-oJobSchEd.parseToXMLDoc = function(strWikicode)
-{
-	strWikicode = "<root>"+strWikicode+"</root>";
-	var docXML;
-	if (window.DOMParser)
-	{
-		var parser = new DOMParser();
-		docXML = parser.parseFromString(strWikicode, "text/xml");
-	}
-	else // Internet Explorer
-	{
-		docXML = new ActiveXObject("Microsoft.XMLDOM");
-		docXML.async = "false";
-		docXML.loadXML(strWikicode);
-	}
-	return docXML;
-}
-
-/* ------------------------------------------------------------------------ *\
-	Parse jsgantt tag contents into inner structures
-	
-	false on error
-\* ------------------------------------------------------------------------ */
-oJobSchEd.parse = function(strWikicode)
-{
-	var docXML = this.parseToXMLDoc(strWikicode);
-	var elsTasks = docXML.getElementsByTagName('task');
-	this.arrPersons = new Array();
-	for (var i=0; i<elsTasks.length; i++)
-	{
-		var oTask = this.preParseTask(elsTasks[i]);
-		if (oTask===false)
-		{
-			return false;
-		}
-		this.addTask (oTask);
-	}
-	return true;
-}
-
-/* ------------------------------------------------------------------------ *\
-	Pre parse single task/activity node
-	
-	Returns:
-	false on error
-	oTask on success (cJobSchEdTask)
-
-	Expected content of nodeTask:
-    <pID>10</pID>
-    <pName>Maciek</pName>
-    <pStart>2010-07-15</pStart>
-    <pEnd>2010-07-30</pEnd>
-    <pColor>0000ff</pColor>
-    <pRes>Urlop</pRes>
-\* ------------------------------------------------------------------------ */
-oJobSchEd.preParseTask = function(nodeTask)
-{
-	var oTask = new Object();
-	
-	// osoba
-	try
-	{
-		oTask.intPersonId = parseInt(nodeTask.getElementsByTagName('pID')[0].textContent);
-		oTask.strPersonName = nodeTask.getElementsByTagName('pName')[0].textContent;
-	}
-	catch (e)
-	{
-		jsAlert(this.lang["gantt parse error - no id and name at nr"].replace(/%i%/g, i));
-		return false;
-	}
-	try
-	{
-		// daty
-		oTask.strDateStart = nodeTask.getElementsByTagName('pStart')[0].textContent;
-		oTask.strDateEnd = nodeTask.getElementsByTagName('pEnd')[0].textContent;
-		// rodzaj (nie)aktywności
-		var pColor = nodeTask.getElementsByTagName('pColor')[0].textContent;
-		var pRes = nodeTask.getElementsByTagName('pRes')[0].textContent;
-		oTask.intActivityId = this.getActivityId(pRes, pColor);
-		if (oTask.intActivityId<0)
-		{
-			jsAlert(this.lang["gantt parse error - unknow activity"]
-				.replace(/%pRes%/g, pRes)
-				.replace(/%pColor%/g, pColor)
-			);
-			return false;
-		}
-	}
-	catch (e)
-	{
-		jsAlert(this.lang["gantt parse error - at task"]
-			.replace(/%pID%/g, oTask.intPersonId)
-			.replace(/%pName%/g, oTask.strPersonName)
-		);
-		return false;
-	}
-
-	return oTask;
-}
\ No newline at end of file
+﻿/* ------------------------------------------------------------------------ *\
+	Parser methods
+\* ------------------------------------------------------------------------ */
+
+/* ------------------------------------------------------------------------ *\
+	preparse XML to an XML document DOM
+\* ------------------------------------------------------------------------ */
+oJobSchEd.parseToXMLDoc = function(strWikicode)
+{
+	strWikicode = "<root>"+strWikicode+"</root>";
+	var docXML;
+	if (window.DOMParser)
+	{
+		var parser = new DOMParser();
+		docXML = parser.parseFromString(strWikicode, "text/xml");
+	}
+	else // Internet Explorer
+	{
+		docXML = new ActiveXObject("Microsoft.XMLDOM");
+		docXML.async = "false";
+		docXML.loadXML(strWikicode);
+	}
+	return docXML;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Parse jsgantt tag contents to the internal tasks array
+	
+	Returns false on errors (errors are displayed here).
+\* ------------------------------------------------------------------------ */
+oJobSchEd.parse = function(strWikicode)
+{
+	let docXML = this.parseToXMLDoc(strWikicode);
+	let elsTasks = docXML.getElementsByTagName('task');
+	this.arrPersons = new Array();
+
+	this.arrTasks = [];
+	this.nextId = 1;
+	this.strParsedTaskSyntax = (elsTasks.length && (elsTasks[0].hasAttribute('id') || elsTasks[0].hasAttribute('pID'))) ? 'attributes' : 'elements';
+	for (var i=0; i<elsTasks.length; i++)
+	{
+		var oTask = this.preParseTask(elsTasks[i], i+1);
+		if (oTask===false)
+		{
+			return false;
+		}
+		this.arrTasks.push(oTask);
+	}
+
+	/* Parse the preferences if any: default color */
+	try{
+		let prefs = docXML.getElementsByTagName('prefs')[0];
+		let defColor = prefs.getElementsByTagName('defcolor')[0].textContent;
+		this.conf.defaultColor = defColor
+	}catch (e) {}
+
+	return true;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Get a field of the task node from a child element (e.g. <pStart>)
+	or from an attribute (e.g. start="..." or pStart="...")
+\* ------------------------------------------------------------------------ */
+oJobSchEd.getTaskValue = function(nodeTask, strName)
+{
+	let els = nodeTask.getElementsByTagName(strName);
+	if (els.length)
+	{
+		return els[0].textContent;
+	}
+	let strAttr = strName.replace(/^p/, '').toLowerCase();
+	if (nodeTask.hasAttribute(strAttr))
+	{
+		return nodeTask.getAttribute(strAttr);
+	}
+	if (nodeTask.hasAttribute(strName))
+	{
+		return nodeTask.getAttribute(strName);
+	}
+	return undefined;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Read in the XML of individual task nodes and build array of Tasks
+	
+	intNr - number of the task in the code (for error messages)
+\* ------------------------------------------------------------------------ */
+oJobSchEd.preParseTask = function(nodeTask, intNr)
+{
+	let oTask = new Object();
+	let strDateStart, intDur, strDateEnd, strColor, strResources, intComp, boolGroup, intParent, intDepend, boolMile;
+
+	/* Handling required fields */
+	try
+	{
+		oTask.intId = parseInt(this.getTaskValue(nodeTask, 'pID'));
+		oTask.strName = this.getTaskValue(nodeTask, 'pName');
+		if (isNaN(oTask.intId) || typeof(oTask.strName) != 'string')
+		{
+			throw new Error('no id or name');
+		}
+
+		/* Replace double with single quote otherwise it breaks the gadget sftJSmsg.js */
+		oTask.strName = oTask.strName.replace(/"/g, "'");
+
+		/* Trying to get a unique ID */
+		if (oTask.intId >= oJobSchEd.nextId){
+			oJobSchEd.nextId = oTask.intId+1;
+		}
+	}
+	catch (e)
+	{
+		jsAlert(this.lang["gantt parse error - no id and name at nr"].replace(/%i%/g, intNr));
+		return false;
+	}
+
+	/* Handling optional fields*/
+	try{ strDateStart = this.getTaskValue(nodeTask, 'pStart');}catch(e){}
+	finally{ if (strDateStart){ oTask.strDateStart = strDateStart;} }
+
+	try{ strDateEnd  = this.getTaskValue(nodeTask, 'pEnd');} catch(e){}
+	finally{if (strDateEnd){ oTask.strDateEnd = strDateEnd;}}
+
+	try{intDur = parseInt(this.getTaskValue(nodeTask, 'pDur'));} catch(e){}
+	finally{if (intDur){ oTask.intDur= intDur;}}
+
+	try{strColor = this.getTaskValue(nodeTask, 'pColor');} catch(e){}
+	finally{if (strColor){ oTask.strColor = strColor;}}
+
+	try{strResources = this.getTaskValue(nodeTask, 'pRes');} catch(e){}
+	finally{if (strResources){ oTask.strResources= strResources;}}
+
+	try{intComp = parseInt(this.getTaskValue(nodeTask, 'pComp'));} catch(e){}
+	finally{if (intComp){ oTask.intComp = intComp;}
+			else{ oTask.intComp = 0;}}
+
+	try{boolGroup = this.getTaskValue(nodeTask, 'pGroup');} catch(e){}
+	finally{oTask.boolGroup = (boolGroup) ? true : false;}
+
+	try{intParent = parseInt(this.getTaskValue(nodeTask, 'pParent'));} catch(e){}
+	finally{if (intParent){ oTask.intParent= intParent;}}
+
+	try{intDepend = parseInt(this.getTaskValue(nodeTask, 'pDepend'));} catch(e){}
+	finally{if (intDepend){ oTask.intDepend= intDepend;}}
+
+	try{boolMile = parseInt(this.getTaskValue(nodeTask, 'pMile'));} catch(e){}
+	finally{oTask.boolMile = (boolMile) ? true : false;}
+
+	return oTask;
+}
@@ -1,100 +1,158 @@
-﻿/* ------------------------------------------------------------------------ *\
-	Wiki code building methods
-\* ------------------------------------------------------------------------ */
-
-/* ------------------------------------------------------------------------ *\
-	Gets contents of jsgantt tag
-\* ------------------------------------------------------------------------ */
-oJobSchEd.getContents = function()
-{
-	this.elEditArea = document.getElementById('wpTextbox1');
-	var el = this.elEditArea;
-	var m = el.value.match(this.conf.reGantMatch);
-	if (m)
-	{
-		return m[2];
-	}
-	return false;
-}
-/* ------------------------------------------------------------------------ *\
-	Replace contents of jsgantt tag
-\* ------------------------------------------------------------------------ */
-oJobSchEd.setContents = function(strWikicode)
-{
-	var el = this.elEditArea;
-	el.value = el.value.replace(this.conf.reGantMatch, "$1"+strWikicode+"$3");
-}
-
-/* ------------------------------------------------------------------------ *\
-	Build wikicode from internal structures
-\* ------------------------------------------------------------------------ */
-oJobSchEd.buildWikicode = function()
-{
-	var strWikicode = '';
-	for (var i=0; i<this.arrPersons.length; i++)
-	{
-		for (var j=0; j<this.arrPersons[i].arrActivities.length; j++)
-		{
-			if (typeof(this.arrPersons[i].arrActivities[j])=='undefined')	// might be empty after del
-			{
-				continue;
-			}
-			// preapre task object
-			var oTask =
-				{
-					intPersonId		: this.arrPersons[i].intId,
-					strPersonName	: this.arrPersons[i].strName,
-					strDateStart	: this.arrPersons[i].arrActivities[j].strDateStart,
-					strDateEnd		: this.arrPersons[i].arrActivities[j].strDateEnd,
-					intActivityId	: this.arrPersons[i].arrActivities[j].intId
-				}
-			// render and add code
-			strWikicode += this.buildTaskcode(oTask);
-		}
-	}
-	return strWikicode + "\n";
-}
-
-/* ------------------------------------------------------------------------ *\
-	Build single task code
-	
-	Returns:
-	'' (empty str) on error
-	wiki code (XML) for the task
-	
-	Ouput of nodeTask:
-    <pID>10</pID>
-    <pName>Maciek</pName>
-    <pStart>2010-07-15</pStart>
-    <pEnd>2010-07-30</pEnd>
-    <pColor>0000ff</pColor>
-    <pRes>Urlop</pRes>
-\* ------------------------------------------------------------------------ */
-oJobSchEd.buildTaskcode = function(oTask)
-{
-	var strWikiCode = '';
-
-	try
-	{
-		strWikiCode = '\n<task>'
-			+'\n\t<pID>'+oTask.intPersonId+'</pID>'
-			+'\n\t<pName>'+oTask.strPersonName+'</pName>'
-			+'\n\t<pStart>'+oTask.strDateStart+'</pStart>'
-			+'\n\t<pEnd>'+oTask.strDateEnd+'</pEnd>'
-			+'\n\t<pColor>'+this.lang.activities[oTask.intActivityId].color+'</pColor>'
-			+'\n\t<pRes>'+this.lang.activities[oTask.intActivityId].name+'</pRes>'
-			+'\n</task>'
-		;
-	}
-	catch (e)
-	{
-		jsAlert(this.lang["gantt build error - at task"]
-			.replace(/%pID%/g, oTask.intPersonId)
-			.replace(/%pName%/g, oTask.strPersonName)
-			.replace(/%errDesc%/g, e.description)
-		);
-		return '';
-	}
-
-	return strWikiCode;
-}
\ No newline at end of file
+﻿/* ------------------------------------------------------------------------ *\
+	Wiki code building methods
+\* ------------------------------------------------------------------------ */
+
+/* ------------------------------------------------------------------------ *\
+	Gets contents of jsgantt tag
+\* ------------------------------------------------------------------------ */
+oJobSchEd.getContents = function ()
+{
+	this.elEditArea = document.getElementById('wpTextbox1');
+	let el = this.elEditArea;
+	let m = el.value.match(this.conf.reGantMatch);
+	if (m)
+	{
+		return m[2];
+	}
+	return false;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Replace contents of jsgantt tag
+\* ------------------------------------------------------------------------ */
+oJobSchEd.setContents = function(strWikicode)
+{
+	var el = this.elEditArea;
+	el.value = el.value.replace(this.conf.reGantMatch, "$1"+strWikicode+"$3");
+}
+
+/* ------------------------------------------------------------------------ *\
+	Build the jsGantt XML code by looping through all tasks
+\* ------------------------------------------------------------------------ */
+oJobSchEd.buildWikicode = function ()
+{
+	let strWikicode = '';
+
+	for (var i=0; i<this.arrTasks.length; i++){
+		strWikicode += this.buildTaskcode(this.arrTasks[i]);
+	}
+
+	//Add an XML tag for default color preferences
+	strWikicode += '\n'
+				 + '<prefs>\n'
+					 + '\t<defcolor>' + oJobSchEd.conf.defaultColor + '</defcolor>\n'
+				 + '</prefs>\n';
+
+	return strWikicode;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Build the jsGantt XML code a task
+\* ------------------------------------------------------------------------ */
+oJobSchEd.buildTaskcode = function(oTask)
+{
+	let strWikiCode = '';
+
+	if (this.getTaskSyntax() == 'attributes')
+	{
+		return this.buildTaskAttrcode(oTask);
+	}
+
+	let pName = (oTask.strName) 	? '\n\t<pName>'+this.encodeHTML(oTask.strName)+'</pName>' : '';
+	let pDateStart = (oTask.strDateStart) 	? '\n\t<pStart>'+oTask.strDateStart+'</pStart>' : '';
+	let pDateEnd = (oTask.strDateEnd) 	? '\n\t<pEnd>'+oTask.strDateEnd+'</pEnd>' : '';
+	let pDur = (oTask.intDur)		? '\n\t<pDur>'+oTask.intDur+'</pDur>' : '';
+	let pRes =  (oTask.strResources) 	? '\n\t<pRes>'+this.encodeHTML(oTask.strResources)+'</pRes>' : '';
+	let pComp = (oTask.intComp !== null) 		? '\n\t<pComp>'+oTask.intComp+'</pComp>' : '';
+	let pGroup = (oTask.boolGroup) 		? '\n\t<pGroup>1</pGroup>' : '';
+	let pParent = (oTask.intParent) 	? '\n\t<pParent>'+oTask.intParent+'</pParent>' : '';
+	let pDepend = (oTask.intDepend) 	? '\n\t<pDepend>'+oTask.intDepend+'</pDepend>' : '';
+	let pMile = (oTask.boolMile)		? '\n\t<pMile>1</pMile>' : '';
+
+	try
+	{
+		strWikiCode = '\n<task>'
+			+'\n\t<pID>'+oTask.intId+'</pID>'
+			+ pName
+			+'\n\t<pColor>'+oTask.strColor+'</pColor>'
+			+ pDateStart
+			+ pDateEnd
+			+ pRes
+			+ pComp
+			+ pGroup
+			+ pParent
+			+ pDepend
+			+ pMile
+			+ pDur
+			+'\n</task>'
+		;
+	}
+	//TODO FIX the error
+	catch (e)
+	{
+		jsAlert(this.lang["gantt build error - at task"]
+			.replace(/%pID%/g, oTask.intId)
+			.replace(/%pName%/g, oTask.strName)
+			.replace(/%errDesc%/g, e.description)
+		);
+		return '';
+	}
+
+	return strWikiCode;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Syntax of tasks to be written (see conf.strTaskSyntax)
+\* ------------------------------------------------------------------------ */
+oJobSchEd.getTaskSyntax = function()
+{
+	if (this.conf.strTaskSyntax)
+	{
+		return this.conf.strTaskSyntax;
+	}
+	return (this.strParsedTaskSyntax) ? this.strParsedTaskSyntax : 'elements';
+}
+
+/* ------------------------------------------------------------------------ *\
+	Build the jsGantt XML code a task in the compact syntax
+	(e.g. <task id="20" name="Move" start="2010-07-11" end="2010-07-15" comp="10"/>)
+\* ------------------------------------------------------------------------ */
+oJobSchEd.buildTaskAttrcode = function(oTask)
+{
+	let attr = function(strName, value)
+	{
+		return ' '+strName+'="'+oJobSchEd.encodeHTML(String(value))+'"';
+	};
+
+	return '\n<task'
+		+ attr('id', oTask.intId)
+		+ ((oTask.strName) ? attr('name', oTask.strName) : '')
+		+ attr('color', oTask.strColor)
+		+ ((oTask.strDateStart) ? attr('start', oTask.strDateStart) : '')
+		+ ((oTask.strDateEnd) ? attr('end', oTask.strDateEnd) : '')
+		+ ((oTask.strResources) ? attr('res', oTask.strResources) : '')
+		+ ((oTask.intComp !== null) ? attr('comp', oTask.intComp) : '')
+		+ ((oTask.boolGroup) ? attr('group', 1) : '')
+		+ ((oTask.intParent) ? attr('parent', oTask.intParent) : '')
+		+ ((oTask.intDepend) ? attr('depend', oTask.intDepend) : '')
+		+ ((oTask.boolMile) ? attr('mile', 1) : '')
+		+ ((oTask.intDur) ? attr('dur', oTask.intDur) : '')
+		+ '/>'
+	;
+}
+
+/* ------------------------------------------------------------------------ *\
+	Escapes the strings with proper sequences
+\* ------------------------------------------------------------------------ */
+oJobSchEd.encodeHTML = function (st) {
+	if (st) {
+		return st.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;')
+			.replace(/"/g, '&apos;')
+			.replace(/'/g, '&apos;');
+	}
+	else {
+		return ''
+	}
+};